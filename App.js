@@ -4,11 +4,11 @@
  * Sets up the App Provider and renders the main navigator
  */
 
-import React from 'react';
+import React, { useEffect } from 'react';
 import { StatusBar } from 'expo-status-bar';
 import { SafeAreaProvider } from 'react-native-safe-area-context';
 import { GestureHandlerRootView } from 'react-native-gesture-handler';
-import { StyleSheet } from 'react-native';
+import { StyleSheet, Alert } from 'react-native';
 
 // Import App Provider (context)
 import { AppProvider, useApp } from './src/context/AppContext';
@@ -19,9 +19,21 @@ import AppNavigator from './src/navigation/AppNavigator';
 /**
  * App Content Component
  * Contains the main app logic and dark mode handling
+ * Tells the user if their saved data could not be upgraded
  */
 const AppContent = () => {
-  const { darkMode } = useApp();
+  const { darkMode, storageMigration } = useApp();
+
+  useEffect(() => {
+    if (storageMigration && !storageMigration.success) {
+      Alert.alert(
+        'Data Update Failed',
+        'Your saved data could not be upgraded and has been left unchanged. ' +
+          'Some features may not work until the app is updated.\n\n' +
+          storageMigration.error
+      );
+    }
+  }, [storageMigration]);
   
   return (
     <>
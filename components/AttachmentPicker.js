@@ -0,0 +1,254 @@
+/**
+ * AttachmentPicker.js
+ * Attachments section of the submission form
+ * Files chosen from the device are checked against the type and size limits
+ * and uploaded straight away, each with its own progress bar and Cancel
+ * button; uploads still running when the form closes are cancelled
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Alert } from 'react-native';
+import * as DocumentPicker from 'expo-document-picker';
+import { uploadAttachment } from '../utils/api';
+import { isCancelled } from '../utils/http';
+import {
+  ATTACHMENT_TYPES,
+  ATTACHMENT_LIMITS,
+  resolveMimeType,
+  validateAttachment,
+  getAttachmentTypeLabel,
+} from '../utils/attachments';
+import { formatFileSize } from '../utils/format';
+
+const AttachmentPicker = ({ attachments, onChange, onUploadingChange, error }) => {
+  // State for uploads in progress, each with its progress from 0 to 1
+  const [uploads, setUploads] = useState([]);
+
+  // Controllers for cancelling uploads in progress, keyed by upload key
+  const controllersRef = useRef({});
+
+  // Cancel unfinished uploads when the form closes
+  useEffect(() => {
+    return () => Object.values(controllersRef.current).forEach((controller) => controller.abort());
+  }, []);
+
+  // Let the form hold back submitting until every upload has finished
+  useEffect(() => {
+    onUploadingChange?.(uploads.length > 0);
+  }, [uploads.length]);
+
+  /**
+   * Upload one file, tracking its progress
+   * @param {Object} file - Object with uri, name, size and mimeType
+   */
+  const startUpload = async (file) => {
+    const key = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    const controller = new AbortController();
+    controllersRef.current[key] = controller;
+    setUploads((current) => [...current, { ...file, key, progress: 0 }]);
+
+    const result = await uploadAttachment(file, {
+      signal: controller.signal,
+      onProgress: (progress) =>
+        setUploads((current) =>
+          current.map((item) => (item.key === key ? { ...item, progress } : item))
+        ),
+    });
+
+    delete controllersRef.current[key];
+    setUploads((current) => current.filter((item) => item.key !== key));
+    if (result.success) {
+      onChange((current) => [...current, result.data]);
+    } else if (!isCancelled(result)) {
+      Alert.alert('Upload Failed', `${file.name}: ${result.error || 'Failed to upload'}`);
+    }
+  };
+
+  /**
+   * Choose files from the device and upload the ones within the limits
+   */
+  const handlePick = async () => {
+    const remaining = ATTACHMENT_LIMITS.maxFiles - attachments.length - uploads.length;
+    if (remaining <= 0) {
+      Alert.alert('Too Many Files', `You can attach up to ${ATTACHMENT_LIMITS.maxFiles} files.`);
+      return;
+    }
+
+    let result;
+    try {
+      result = await DocumentPicker.getDocumentAsync({
+        type: Object.keys(ATTACHMENT_TYPES),
+        multiple: true,
+        copyToCacheDirectory: true,
+      });
+    } catch (err) {
+      console.error('Error picking attachment:', err);
+      Alert.alert('Error', 'Could not open your files');
+      return;
+    }
+    if (result.canceled) {
+      return;
+    }
+
+    const problems = [];
+    const accepted = [];
+    result.assets.forEach((asset) => {
+      const file = {
+        uri: asset.uri,
+        name: asset.name,
+        size: asset.size,
+        mimeType: resolveMimeType(asset) || asset.mimeType,
+      };
+      const problem = validateAttachment(file);
+      if (problem) {
+        problems.push(problem);
+      } else {
+        accepted.push(file);
+      }
+    });
+    if (accepted.length > remaining) {
+      problems.push(`Only ${remaining} more ${remaining === 1 ? 'file' : 'files'} can be attached`);
+      accepted.splice(remaining);
+    }
+
+    if (problems.length > 0) {
+      Alert.alert('Some Files Were Not Added', problems.join('\n'));
+    }
+    accepted.forEach(startUpload);
+  };
+
+  /**
+   * Cancel an upload in progress
+   * @param {string} key - Upload key
+   */
+  const handleCancel = (key) => {
+    controllersRef.current[key]?.abort();
+  };
+
+  /**
+   * Remove an uploaded attachment from the submission
+   * @param {Object} attachment - Attachment to remove
+   */
+  const handleRemove = (attachment) => {
+    onChange((current) => current.filter((item) => item.id !== attachment.id));
+  };
+
+  const maxSizeMb = ATTACHMENT_LIMITS.maxFileSizeBytes / (1024 * 1024);
+
+  return (
+    <View>
+      <Text style={styles.hintText}>
+        PDF, Word, PowerPoint, text or image files, up to {maxSizeMb} MB each
+      </Text>
+
+      {attachments.map((attachment) => (
+        <View key={attachment.id} style={styles.fileRow}>
+          <View style={styles.fileInfo}>
+            <Text style={styles.fileName} numberOfLines={1}>{attachment.name}</Text>
+            <Text style={styles.fileMeta}>
+              {formatFileSize(attachment.size)} · {getAttachmentTypeLabel(attachment.mimeType)}
+            </Text>
+          </View>
+          <TouchableOpacity onPress={() => handleRemove(attachment)} activeOpacity={0.7}>
+            <Text style={styles.removeText}>Remove</Text>
+          </TouchableOpacity>
+        </View>
+      ))}
+
+      {uploads.map((item) => (
+        <View key={item.key} style={styles.fileRow}>
+          <View style={styles.fileInfo}>
+            <Text style={styles.fileName} numberOfLines={1}>{item.name}</Text>
+            <View style={styles.progressTrack}>
+              <View style={[styles.progressFill, { width: `${Math.round(item.progress * 100)}%` }]} />
+            </View>
+            <Text style={styles.fileMeta}>
+              Uploading {Math.round(item.progress * 100)}% of {formatFileSize(item.size)}
+            </Text>
+          </View>
+          <TouchableOpacity onPress={() => handleCancel(item.key)} activeOpacity={0.7}>
+            <Text style={styles.removeText}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      ))}
+
+      {attachments.length + uploads.length < ATTACHMENT_LIMITS.maxFiles ? (
+        <TouchableOpacity style={styles.addButton} onPress={handlePick} activeOpacity={0.7}>
+          <Text style={styles.addButtonText}>+ Add Files</Text>
+        </TouchableOpacity>
+      ) : null}
+
+      {error ? <Text style={styles.errorText}>{error}</Text> : null}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  hintText: {
+    fontSize: 12,
+    color: '#9CA3AF',
+    marginBottom: 10,
+    marginLeft: 5,
+  },
+  fileRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1.5,
+    borderColor: '#E5E7EB',
+    borderRadius: 16,
+    padding: 12,
+    marginBottom: 8,
+    backgroundColor: '#F9FAFB',
+  },
+  fileInfo: {
+    flex: 1,
+    marginRight: 12,
+  },
+  fileName: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1F1F1F',
+  },
+  fileMeta: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 4,
+  },
+  progressTrack: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: '#E5E7EB',
+    marginTop: 8,
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: 6,
+    backgroundColor: '#6C63FF',
+  },
+  removeText: {
+    color: '#EF4444',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  addButton: {
+    borderWidth: 1.5,
+    borderColor: '#6C63FF',
+    borderStyle: 'dashed',
+    borderRadius: 16,
+    padding: 14,
+    alignItems: 'center',
+  },
+  addButtonText: {
+    color: '#6C63FF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  errorText: {
+    color: '#EF4444',
+    fontSize: 12,
+    marginTop: 6,
+    marginLeft: 5,
+  },
+});
+
+export default AttachmentPicker;
@@ -0,0 +1,52 @@
+/**
+ * CachedDataBanner.js
+ * Notice shown when a screen is displaying cached data that may be out of date
+ */
+
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+
+/**
+ * Format when data was cached, with the date only if it was not today
+ * @param {number} cachedAt - Time in milliseconds since the epoch
+ * @returns {string} Human-readable time
+ */
+const formatCachedAt = (cachedAt) => {
+  const date = new Date(cachedAt);
+  const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  if (date.toDateString() === new Date().toDateString()) {
+    return time;
+  }
+  return `${date.toLocaleDateString()} ${time}`;
+};
+
+const CachedDataBanner = ({ cachedAt, style }) => {
+  if (!cachedAt) {
+    return null;
+  }
+
+  return (
+    <View style={[styles.banner, style]}>
+      <Text style={styles.bannerText}>
+        Showing cached data from {formatCachedAt(cachedAt)}
+      </Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  banner: {
+    backgroundColor: '#FEF3C7',
+    borderRadius: 12,
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+  },
+  bannerText: {
+    fontSize: 13,
+    color: '#92400E',
+    fontWeight: '500',
+    textAlign: 'center',
+  },
+});
+
+export default CachedDataBanner;
@@ -19,9 +19,10 @@ import {
 } from '@react-navigation/drawer';
 import { LinearGradient } from 'expo-linear-gradient';
 import { useApp } from '../context/AppContext';
+import { ROLE_LABELS, getRole } from '../utils/permissions';
 
 const DrawerContent = (props) => {
-  const { userData, darkMode } = useApp();
+  const { user, darkMode } = useApp();
 
   const primaryColor = '#6C63FF';
   const secondaryColor = '#4A47A3';
@@ -39,18 +40,21 @@ const DrawerContent = (props) => {
           <View style={styles.avatarContainer}>
             <View style={styles.avatar}>
               <Text style={styles.avatarText}>
-                {userData?.username ? userData.username.charAt(0).toUpperCase() : 'A'}
+                {user?.username ? user.username.charAt(0).toUpperCase() : 'A'}
               </Text>
             </View>
           </View>
           
           {/* User Info */}
           <Text style={styles.userName}>
-            {userData?.username || 'Academic User'}
+            {user?.username || 'Academic User'}
           </Text>
           <Text style={styles.userEmail}>
-            {userData?.email || 'user@academic.com'}
+            {user?.email || 'user@academic.com'}
           </Text>
+          <View style={styles.roleBadge}>
+            <Text style={styles.roleText}>{ROLE_LABELS[getRole(user)]}</Text>
+          </View>
         </View>
       </LinearGradient>
 
@@ -110,6 +114,18 @@ const styles = StyleSheet.create({
     color: 'rgba(255, 255, 255, 0.8)',
     fontSize: 13,
   },
+  roleBadge: {
+    marginTop: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 4,
+    borderRadius: 12,
+    backgroundColor: 'rgba(255, 255, 255, 0.25)',
+  },
+  roleText: {
+    color: '#FFFFFF',
+    fontSize: 12,
+    fontWeight: '600',
+  },
   drawerContent: {
     paddingTop: 10,
   },
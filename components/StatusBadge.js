@@ -0,0 +1,48 @@
+/**
+ * StatusBadge.js
+ * Colored pill showing a submission's status
+ * Use `onColor` on colored backgrounds such as the Home cards
+ */
+
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { STATUS_DISPLAY, getSubmissionStatus } from '../utils/submissionStatus';
+
+const StatusBadge = ({ post, onColor = false, style }) => {
+  const { label, color } = STATUS_DISPLAY[getSubmissionStatus(post)];
+
+  return (
+    <View
+      style={[
+        styles.badge,
+        { backgroundColor: onColor ? '#FFFFFF' : color + '20' },
+        style,
+      ]}
+    >
+      <View style={[styles.dot, { backgroundColor: color }]} />
+      <Text style={[styles.label, { color }]}>{label}</Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  badge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+    borderRadius: 20,
+  },
+  dot: {
+    width: 6,
+    height: 6,
+    borderRadius: 3,
+    marginRight: 6,
+  },
+  label: {
+    fontSize: 12,
+    fontWeight: '700',
+  },
+});
+
+export default StatusBadge;
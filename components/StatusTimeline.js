@@ -0,0 +1,98 @@
+/**
+ * StatusTimeline.js
+ * Vertical timeline of a submission's status changes, oldest first
+ */
+
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { STATUS_DISPLAY, getStatusHistory } from '../utils/submissionStatus';
+import { formatDateTime } from '../utils/format';
+
+const StatusTimeline = ({ post, textColor = '#1F1F1F', textSecondary = '#6B7280' }) => {
+  const history = getStatusHistory(post);
+
+  if (history.length === 0) {
+    return (
+      <Text style={[styles.emptyText, { color: textSecondary }]}>No status changes recorded</Text>
+    );
+  }
+
+  return (
+    <View>
+      {history.map((entry, index) => {
+        const { label, color } = STATUS_DISPLAY[entry.status] || { label: entry.status, color: '#6B7280' };
+        const isLast = index === history.length - 1;
+
+        return (
+          <View key={`${index}-${entry.status}`} style={styles.entry}>
+            <View style={styles.markerColumn}>
+              <View style={[styles.marker, { backgroundColor: color }, isLast && styles.currentMarker]} />
+              {!isLast ? <View style={styles.line} /> : null}
+            </View>
+            <View style={styles.entryContent}>
+              <Text style={[styles.entryLabel, { color: isLast ? color : textColor }]}>{label}</Text>
+              <Text style={[styles.entryMeta, { color: textSecondary }]}>
+                {formatDateTime(entry.at)}
+                {entry.by ? ` · ${entry.by}` : ''}
+              </Text>
+              {entry.note ? (
+                <Text style={[styles.entryNote, { color: textColor }]}>{entry.note}</Text>
+              ) : null}
+            </View>
+          </View>
+        );
+      })}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  entry: {
+    flexDirection: 'row',
+  },
+  markerColumn: {
+    width: 20,
+    alignItems: 'center',
+  },
+  marker: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    marginTop: 4,
+  },
+  currentMarker: {
+    width: 14,
+    height: 14,
+    borderRadius: 7,
+    marginTop: 2,
+  },
+  line: {
+    flex: 1,
+    width: 2,
+    backgroundColor: '#E5E7EB',
+    marginVertical: 2,
+  },
+  entryContent: {
+    flex: 1,
+    marginLeft: 10,
+    paddingBottom: 16,
+  },
+  entryLabel: {
+    fontSize: 15,
+    fontWeight: '700',
+  },
+  entryMeta: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+  entryNote: {
+    fontSize: 14,
+    lineHeight: 20,
+    marginTop: 6,
+  },
+  emptyText: {
+    fontSize: 14,
+  },
+});
+
+export default StatusTimeline;
@@ -0,0 +1,271 @@
+/**
+ * SubmissionForm.js
+ * Title, course, category, body and attachment fields of a submission, with a
+ * submit button that waits for attachments to finish uploading
+ * Controlled by the screen using it, which owns the field values and errors;
+ * attachments are updated through onChangeField with an updater function.
+ * Screens restoring a draft pass `restoreSelection` to focus a field and put
+ * the cursor back where it was; `onSelectionChange` reports where it moves
+ * Typing counts as activity, so a long submission does not end the session
+ */
+
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { useApp } from '../context/AppContext';
+import { SUBMISSION_CATEGORIES, SUBMISSION_LIMITS } from '../utils/submission';
+import AttachmentPicker from './AttachmentPicker';
+
+const SubmissionForm = ({
+  fields,
+  errors,
+  onChangeField,
+  onSubmit,
+  submitting,
+  submitLabel = 'Submit',
+  submittingLabel = 'Submitting...',
+  restoreSelection = null,
+  onSelectionChange,
+}) => {
+  const { recordActivity } = useApp();
+
+  // State for whether attachments are still uploading
+  const [uploading, setUploading] = useState(false);
+
+  /**
+   * Update a text field, recording the keystroke as activity
+   * @param {string} name - Field name
+   * @param {string} value - New text
+   */
+  const handleChangeText = (name, value) => {
+    recordActivity();
+    onChangeField(name, value);
+  };
+
+  /**
+   * Get the props that restore and report a text field's cursor
+   * @param {string} name - Field name
+   * @returns {Object} TextInput props
+   */
+  const selectionProps = (name) => {
+    const restoring = restoreSelection?.field === name;
+    return {
+      autoFocus: restoring,
+      selection: restoring ? { start: restoreSelection.start, end: restoreSelection.end } : undefined,
+      onSelectionChange: (event) => onSelectionChange?.(name, event.nativeEvent.selection),
+    };
+  };
+
+  return (
+    <View style={styles.formCard}>
+      {/* Title Input */}
+      <View style={styles.inputContainer}>
+        <Text style={styles.inputLabel}>Title</Text>
+        <TextInput
+          style={[styles.input, errors.title && styles.inputError]}
+          placeholder="Give your submission a title"
+          placeholderTextColor="#9CA3AF"
+          value={fields.title}
+          onChangeText={(value) => handleChangeText('title', value)}
+          maxLength={SUBMISSION_LIMITS.titleMax}
+          {...selectionProps('title')}
+        />
+        {errors.title ? <Text style={styles.errorText}>{errors.title}</Text> : null}
+      </View>
+
+      {/* Course Input */}
+      <View style={styles.inputContainer}>
+        <Text style={styles.inputLabel}>Course</Text>
+        <TextInput
+          style={[styles.input, errors.course && styles.inputError]}
+          placeholder="e.g. CS 101"
+          placeholderTextColor="#9CA3AF"
+          value={fields.course}
+          onChangeText={(value) => handleChangeText('course', value)}
+          maxLength={SUBMISSION_LIMITS.courseMax}
+          {...selectionProps('course')}
+        />
+        {errors.course ? <Text style={styles.errorText}>{errors.course}</Text> : null}
+      </View>
+
+      {/* Category Chips */}
+      <View style={styles.inputContainer}>
+        <Text style={styles.inputLabel}>Category</Text>
+        <View style={styles.chipRow}>
+          {SUBMISSION_CATEGORIES.map((category) => {
+            const selected = fields.category === category;
+            return (
+              <TouchableOpacity
+                key={category}
+                style={[styles.chip, selected && styles.chipSelected]}
+                onPress={() => onChangeField('category', category)}
+                activeOpacity={0.7}
+              >
+                <Text style={[styles.chipText, selected && styles.chipTextSelected]}>
+                  {category}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+        {errors.category ? <Text style={styles.errorText}>{errors.category}</Text> : null}
+      </View>
+
+      {/* Body Input */}
+      <View style={styles.inputContainer}>
+        <Text style={styles.inputLabel}>Body</Text>
+        <TextInput
+          style={[styles.input, styles.bodyInput, errors.body && styles.inputError]}
+          placeholder="Write your submission"
+          placeholderTextColor="#9CA3AF"
+          value={fields.body}
+          onChangeText={(value) => handleChangeText('body', value)}
+          maxLength={SUBMISSION_LIMITS.bodyMax}
+          multiline
+          textAlignVertical="top"
+          {...selectionProps('body')}
+        />
+        <View style={styles.bodyFooter}>
+          {errors.body ? <Text style={styles.errorText}>{errors.body}</Text> : <View />}
+          <Text style={styles.counterText}>
+            {fields.body.length}/{SUBMISSION_LIMITS.bodyMax}
+          </Text>
+        </View>
+      </View>
+
+      {/* Attachments */}
+      <View style={styles.inputContainer}>
+        <Text style={styles.inputLabel}>Attachments</Text>
+        <AttachmentPicker
+          attachments={fields.attachments}
+          onChange={(update) => onChangeField('attachments', update)}
+          onUploadingChange={setUploading}
+          error={errors.attachments}
+        />
+      </View>
+
+      {/* Submit Button */}
+      <TouchableOpacity
+        style={[styles.button, (submitting || uploading) && styles.buttonDisabled]}
+        onPress={onSubmit}
+        disabled={submitting || uploading}
+      >
+        <LinearGradient
+          colors={['#6C63FF', '#4A47A3']}
+          start={{ x: 0, y: 0 }}
+          end={{ x: 1, y: 0 }}
+          style={styles.buttonGradient}
+        >
+          <Text style={styles.buttonText}>
+            {submitting ? submittingLabel : uploading ? 'Uploading...' : submitLabel}
+          </Text>
+        </LinearGradient>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  formCard: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 24,
+    padding: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.08,
+    shadowRadius: 12,
+    elevation: 3,
+  },
+  inputContainer: {
+    marginBottom: 18,
+  },
+  inputLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1F1F1F',
+    marginBottom: 10,
+    marginLeft: 5,
+  },
+  input: {
+    borderWidth: 1.5,
+    borderColor: '#E5E7EB',
+    borderRadius: 16,
+    padding: 16,
+    fontSize: 16,
+    color: '#1F1F1F',
+    backgroundColor: '#F9FAFB',
+  },
+  bodyInput: {
+    minHeight: 160,
+  },
+  inputError: {
+    borderColor: '#EF4444',
+  },
+  errorText: {
+    color: '#EF4444',
+    fontSize: 12,
+    marginTop: 6,
+    marginLeft: 5,
+  },
+  bodyFooter: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  counterText: {
+    color: '#9CA3AF',
+    fontSize: 12,
+    marginTop: 6,
+    marginRight: 5,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 20,
+    borderWidth: 1.5,
+    borderColor: '#E5E7EB',
+    backgroundColor: '#F9FAFB',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipSelected: {
+    borderColor: '#6C63FF',
+    backgroundColor: '#6C63FF',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#6B7280',
+    fontWeight: '500',
+  },
+  chipTextSelected: {
+    color: '#FFFFFF',
+  },
+  button: {
+    borderRadius: 16,
+    overflow: 'hidden',
+    marginTop: 8,
+    shadowColor: '#6C63FF',
+    shadowOffset: { width: 0, height: 8 },
+    shadowOpacity: 0.3,
+    shadowRadius: 12,
+    elevation: 6,
+  },
+  buttonDisabled: {
+    opacity: 0.7,
+  },
+  buttonGradient: {
+    padding: 18,
+    alignItems: 'center',
+  },
+  buttonText: {
+    color: '#FFFFFF',
+    fontSize: 18,
+    fontWeight: 'bold',
+    letterSpacing: 1,
+  },
+});
+
+export default SubmissionForm;
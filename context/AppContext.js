@@ -1,11 +1,36 @@
 /**
  * App Context Module
  * Provides global state management for the application
- * Handles theme, notifications settings, and user authentication state
+ * Handles theme, notifications settings, user authentication state, session expiry,
+ * the app-lock PIN and the backend environment
  */
 
-import React, { createContext, useState, useEffect, useContext } from 'react';
-import { getSettings, saveSettings, checkLoginStatus, getUserData } from '../utils/storage';
+import React, { createContext, useState, useEffect, useContext, useRef } from 'react';
+import { AppState } from 'react-native';
+import {
+  getSettings,
+  saveSettings,
+  getSession,
+  touchSession,
+  getAppLockConfig,
+  setAppLockPin,
+  setAppLockTimeout,
+  disableAppLock as removeAppLock,
+  verifyAppLockPin,
+  DEFAULT_SETTINGS,
+  APP_LOCK_POLICY,
+} from '../utils/storage';
+import { getAuthProvider } from '../utils/auth';
+import { runMigrations } from '../utils/migrations';
+import { getEnvironment, loadEnvironment, setEnvironment } from '../utils/environment';
+import { clearResponseCache, pruneResponseCache } from '../utils/api';
+
+// How often the remaining session time is recalculated
+const SESSION_TICK_MS = 15 * 1000;
+
+// Touches and typing extend the session at most this often, so storage is not
+// written on every keystroke
+const ACTIVITY_THROTTLE_MS = 60 * 1000;
 
 // Create the context
 const AppContext = createContext();
@@ -27,29 +52,129 @@ export const AppProvider = ({ children }) => {
   // State for loading
   const [isLoading, setIsLoading] = useState(true);
 
+  // Result of the storage migrations run at startup
+  const [storageMigration, setStorageMigration] = useState(null);
+
+  // State for session expiry (ms since epoch) and the clock it is compared to
+  const [sessionExpiresAt, setSessionExpiresAt] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
+  // State for the app lock
+  const [appLock, setAppLock] = useState({
+    enabled: false,
+    backgroundTimeoutMs: APP_LOCK_POLICY.defaultBackgroundTimeoutMs,
+  });
+  const [isLocked, setIsLocked] = useState(false);
+
+  // State for the backend environment
+  const [environment, setEnvironmentState] = useState(getEnvironment());
+
+  // The AppState listener is registered once, so it reads these through refs
+  const appLockRef = useRef(appLock);
+  const isLoggedInRef = useRef(isLoggedIn);
+  const backgroundedAtRef = useRef(null);
+  appLockRef.current = appLock;
+  isLoggedInRef.current = isLoggedIn;
+
+  // When the session was last extended, for throttling recordActivity
+  const lastActivityAtRef = useRef(0);
+
   // Load settings and check login status on app start
   useEffect(() => {
     loadInitialData();
   }, []);
 
+  // Drop the user from memory when the auth provider ends the session
+  // Each environment has its own provider, so re-subscribe when it changes
+  useEffect(() => {
+    return getAuthProvider().onSignedOut(() => {
+      clearUserData();
+    });
+  }, [environment.name]);
+
+  // Re-check the session and app lock whenever the app returns to the foreground
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'background') {
+        backgroundedAtRef.current = Date.now();
+      } else if (state === 'active') {
+        const backgroundedAt = backgroundedAtRef.current;
+        backgroundedAtRef.current = null;
+        if (
+          backgroundedAt !== null &&
+          appLockRef.current.enabled &&
+          Date.now() - backgroundedAt >= appLockRef.current.backgroundTimeoutMs
+        ) {
+          setIsLocked(true);
+        }
+        // With no one logged in there is no session to extend or end
+        if (isLoggedInRef.current) {
+          refreshSession();
+        }
+      }
+    });
+    return () => subscription.remove();
+  }, []);
+
+  // Keep the remaining session time current while a session is active
+  useEffect(() => {
+    if (!sessionExpiresAt) {
+      return undefined;
+    }
+    setNow(Date.now());
+    const interval = setInterval(() => setNow(Date.now()), SESSION_TICK_MS);
+    const timeout = setTimeout(checkSession, Math.max(0, sessionExpiresAt - Date.now()));
+    return () => {
+      clearInterval(interval);
+      clearTimeout(timeout);
+    };
+  }, [sessionExpiresAt]);
+
+  /**
+   * Apply a settings object to state
+   */
+  const applySettings = (settings) => {
+    setDarkMode(settings.darkMode || false);
+    setNotificationsEnabled(settings.notifications !== false);
+  };
+
+  /**
+   * Load the logged-in user's app-lock settings
+   * @returns {Object} App-lock config with enabled and backgroundTimeoutMs
+   */
+  const loadAppLock = async () => {
+    const config = await getAppLockConfig();
+    setAppLock(config);
+    return config;
+  };
+
   /**
    * Load initial data from AsyncStorage
+   * Storage migrations run first so everything below reads the current format,
+   * then the environment is loaded so the session is restored against its backend.
+   * Settings are stored per user, so they are only read for a logged-in user.
+   * A cold start with the app lock enabled begins locked
    */
   const loadInitialData = async () => {
     try {
-      // Load settings
-      const settings = await getSettings();
-      setDarkMode(settings.darkMode || false);
-      setNotificationsEnabled(settings.notifications !== false);
-
-      // Check login status
-      const loggedIn = await checkLoginStatus();
-      setIsLoggedIn(loggedIn);
-
-      // Load user data if logged in
-      if (loggedIn) {
-        const userData = await getUserData();
-        setUser(userData);
+      setStorageMigration(await runMigrations());
+      setEnvironmentState(await loadEnvironment());
+
+      // Old cached responses are dropped in the background; nothing waits on them
+      pruneResponseCache();
+
+      // Check login status; an expired session counts as logged out
+      const userData = await getAuthProvider().restore();
+      const session = userData ? await getSession() : null;
+      setUser(userData);
+      setIsLoggedIn(Boolean(userData));
+      setSessionExpiresAt(session ? session.expiresAt : null);
+
+      // Load the logged-in user's settings
+      applySettings(userData ? await getSettings() : DEFAULT_SETTINGS);
+      if (userData) {
+        const config = await loadAppLock();
+        setIsLocked(config.enabled);
       }
     } catch (error) {
       console.error('Error loading initial data:', error);
@@ -77,19 +202,131 @@ export const AppProvider = ({ children }) => {
   };
 
   /**
-   * Set user data after login/signup
+   * Set user data after login/signup and load that user's settings
    */
-  const setUserData = (userData) => {
+  const setUserData = async (userData) => {
     setUser(userData);
     setIsLoggedIn(true);
+    const session = await getSession();
+    setSessionExpiresAt(session ? session.expiresAt : null);
+    applySettings(await getSettings());
+    await loadAppLock();
   };
 
   /**
-   * Clear user data on logout
+   * Log out and drop the user's data from memory
+   * Cached responses are cleared too, so the next user on this device cannot see them
    */
-  const clearUserData = () => {
+  const clearUserData = async () => {
+    await getAuthProvider().logout();
+    await clearResponseCache();
     setUser(null);
     setIsLoggedIn(false);
+    setSessionExpiresAt(null);
+    applySettings(DEFAULT_SETTINGS);
+    setAppLock({ enabled: false, backgroundTimeoutMs: APP_LOCK_POLICY.defaultBackgroundTimeoutMs });
+    setIsLocked(false);
+  };
+
+  /**
+   * Log out if the stored session has expired
+   */
+  const checkSession = async () => {
+    const session = await getSession();
+    if (session) {
+      setSessionExpiresAt(session.expiresAt);
+    } else {
+      await clearUserData();
+    }
+  };
+
+  /**
+   * Record user activity to extend the session, logging out if it has already expired
+   */
+  const refreshSession = async () => {
+    lastActivityAtRef.current = Date.now();
+    const session = await touchSession();
+    if (session) {
+      setSessionExpiresAt(session.expiresAt);
+    } else {
+      await clearUserData();
+    }
+  };
+
+  /**
+   * Record a touch or keystroke as activity
+   * Called far more often than navigation, so the session is extended at most
+   * once every ACTIVITY_THROTTLE_MS
+   */
+  const recordActivity = () => {
+    if (Date.now() - lastActivityAtRef.current >= ACTIVITY_THROTTLE_MS) {
+      refreshSession();
+    }
+  };
+
+  /**
+   * Try to unlock the app with a PIN
+   * Too many wrong PINs log the user out completely
+   * @param {string} pin - PIN entered on the lock screen
+   * @returns {Object} Result object from verifyAppLockPin
+   */
+  const unlockApp = async (pin) => {
+    const result = await verifyAppLockPin(pin);
+    if (result.success) {
+      setIsLocked(false);
+    } else if (result.forceLogout) {
+      await clearUserData();
+    }
+    return result;
+  };
+
+  /**
+   * Enable the app lock, or change its PIN
+   */
+  const enableAppLock = async (pin) => {
+    const result = await setAppLockPin(pin, appLock.backgroundTimeoutMs);
+    if (result.success) {
+      await loadAppLock();
+    }
+    return result;
+  };
+
+  /**
+   * Disable the app lock
+   */
+  const disableAppLock = async () => {
+    const result = await removeAppLock();
+    if (result.success) {
+      await loadAppLock();
+    }
+    return result;
+  };
+
+  /**
+   * Change how long the app may stay in the background before it locks
+   */
+  const updateAppLockTimeout = async (backgroundTimeoutMs) => {
+    const result = await setAppLockTimeout(backgroundTimeoutMs);
+    if (result.success) {
+      setAppLock((prev) => ({ ...prev, backgroundTimeoutMs }));
+    }
+    return result;
+  };
+
+  /**
+   * Switch to another backend environment
+   * The session belongs to the old backend, so the user is logged out first,
+   * which also drops the cached responses from it
+   * @param {string} name - Environment name from app.json `extra.environments`
+   * @returns {Object} Result object from setEnvironment
+   */
+  const switchEnvironment = async (name) => {
+    await clearUserData();
+    const result = await setEnvironment(name);
+    if (result.success) {
+      setEnvironmentState(result.environment);
+    }
+    return result;
   };
 
   // Value object to be provided to consumers
@@ -100,6 +337,13 @@ export const AppProvider = ({ children }) => {
     isLoggedIn,
     user,
     isLoading,
+    storageMigration,
+    sessionExpiresAt,
+    sessionTimeRemaining: sessionExpiresAt ? Math.max(0, sessionExpiresAt - now) : null,
+    appLockEnabled: appLock.enabled,
+    appLockTimeoutMs: appLock.backgroundTimeoutMs,
+    isLocked,
+    environment,
     
     // Actions
     toggleDarkMode,
@@ -107,6 +351,13 @@ export const AppProvider = ({ children }) => {
     setUserData,
     clearUserData,
     loadInitialData,
+    refreshSession,
+    recordActivity,
+    unlockApp,
+    enableAppLock,
+    disableAppLock,
+    updateAppLockTimeout,
+    switchEnvironment,
   };
 
   return (
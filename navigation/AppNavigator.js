@@ -2,27 +2,42 @@
  * AppNavigator.js
  * Main navigation configuration for the application
  * Sets up Stack Navigator and Drawer Navigator
+ * The drawer and the Home stack only contain the screens the user's role may
+ * open, and deep links to any other screen are ignored
  */
 
-import React from 'react';
+import React, { useMemo } from 'react';
 import { TouchableOpacity, View, Text, StyleSheet } from 'react-native';
-import { NavigationContainer } from '@react-navigation/native';
+import { NavigationContainer, getStateFromPath } from '@react-navigation/native';
 import { createStackNavigator } from '@react-navigation/stack';
 import { createDrawerNavigator } from '@react-navigation/drawer';
 
 // Import screens
 import LoginScreen from '../screens/LoginScreen';
 import SignupScreen from '../screens/SignupScreen';
+import ResetPasswordScreen from '../screens/ResetPasswordScreen';
 import HomeScreen from '../screens/HomeScreen';
 import DetailScreen from '../screens/DetailScreen';
+import AuthorScreen from '../screens/AuthorScreen';
+import NewSubmissionScreen from '../screens/NewSubmissionScreen';
+import EditSubmissionScreen from '../screens/EditSubmissionScreen';
+import DraftsScreen from '../screens/DraftsScreen';
+import AssignmentsScreen from '../screens/AssignmentsScreen';
+import GradingScreen from '../screens/GradingScreen';
+import GradeSubmissionScreen from '../screens/GradeSubmissionScreen';
+import CoursesScreen from '../screens/CoursesScreen';
+import UsersScreen from '../screens/UsersScreen';
+import AttachmentViewerScreen from '../screens/AttachmentViewerScreen';
 import FavoritesScreen from '../screens/FavoritesScreen';
 import SettingsScreen from '../screens/SettingsScreen';
+import LockScreen from '../screens/LockScreen';
 
 // Import custom drawer
 import DrawerContent from '../components/DrawerContent';
 
 // Import context
 import { useApp } from '../context/AppContext';
+import { canAccessRoute } from '../utils/permissions';
 
 // Create navigators
 const Stack = createStackNavigator();
@@ -30,7 +45,7 @@ const Drawer = createDrawerNavigator();
 
 /**
  * Auth Stack Navigator
- * Handles authentication screens (Login, Signup)
+ * Handles authentication screens (Login, Signup, ResetPassword)
  */
 const AuthStack = () => {
   return (
@@ -41,6 +56,7 @@ const AuthStack = () => {
     >
       <Stack.Screen name="Login" component={LoginScreen} />
       <Stack.Screen name="Signup" component={SignupScreen} />
+      <Stack.Screen name="ResetPassword" component={ResetPasswordScreen} />
     </Stack.Navigator>
   );
 };
@@ -72,10 +88,11 @@ const CustomHeader = ({ navigation, title, showDrawerButton = true }) => {
 
 /**
  * Home Stack Navigator
- * Handles Home, Detail screens with drawer access
+ * Handles Home, Detail, Author, EditSubmission, GradeSubmission and AttachmentViewer
+ * screens with drawer access; EditSubmission and GradeSubmission only for roles allowed them
  */
 const HomeStack = () => {
-  const { darkMode } = useApp();
+  const { darkMode, user } = useApp();
   
   return (
     <Stack.Navigator
@@ -84,8 +101,8 @@ const HomeStack = () => {
       }}
     >
       <Stack.Screen name="HomeMain">
-        {({ navigation }) => (
-          <HomeScreen navigation={navigation} />
+        {({ navigation, route }) => (
+          <HomeScreen navigation={navigation} route={route} />
         )}
       </Stack.Screen>
       <Stack.Screen 
@@ -106,16 +123,40 @@ const HomeStack = () => {
           headerTintColor: '#fff',
         })}
       />
+      <Stack.Screen name="Author" component={AuthorScreen} />
+      {canAccessRoute(user, 'EditSubmission') ? (
+        <Stack.Screen name="EditSubmission" component={EditSubmissionScreen} />
+      ) : null}
+      {canAccessRoute(user, 'GradeSubmission') ? (
+        <Stack.Screen name="GradeSubmission" component={GradeSubmissionScreen} />
+      ) : null}
+      <Stack.Screen name="AttachmentViewer" component={AttachmentViewerScreen} />
     </Stack.Navigator>
   );
 };
 
+/**
+ * Screens in the main drawer, in drawer order
+ * Each one is only registered for users allowed to open it (see permissions.js)
+ */
+const DRAWER_SCREENS = [
+  { name: 'Home', component: HomeStack, label: 'Home', icon: '🏠' },
+  { name: 'Assignments', component: AssignmentsScreen, label: 'Assignments', icon: '📚' },
+  { name: 'NewSubmission', component: NewSubmissionScreen, label: 'New Submission', icon: '📝' },
+  { name: 'Drafts', component: DraftsScreen, label: 'Drafts', icon: '🗂️' },
+  { name: 'Grading', component: GradingScreen, label: 'Grading', icon: '✅' },
+  { name: 'Courses', component: CoursesScreen, label: 'Courses', icon: '🏫' },
+  { name: 'Users', component: UsersScreen, label: 'Users', icon: '👥' },
+  { name: 'Favorites', component: FavoritesScreen, label: 'Favorites', icon: '❤️' },
+  { name: 'Settings', component: SettingsScreen, label: 'Settings', icon: '⚙️' },
+];
+
 /**
  * Main Drawer Navigator
- * Handles all main app screens through drawer
+ * Handles all main app screens through drawer, built from the user's role
  */
 const MainDrawer = () => {
-  const { darkMode } = useApp();
+  const { darkMode, user } = useApp();
   
   const screenOptions = ({ navigation }) => ({
     headerShown: true,
@@ -147,59 +188,139 @@ const MainDrawer = () => {
       drawerContent={(props) => <DrawerContent {...props} />}
       screenOptions={screenOptions}
     >
-      <Drawer.Screen 
-        name="Home" 
-        component={HomeStack}
-        options={{
-          drawerLabel: 'Home',
-          drawerIcon: ({ color, size }) => (
-            <Text style={{ fontSize: size, color }}>🏠</Text>
-          ),
-        }}
-      />
-      <Drawer.Screen 
-        name="Favorites" 
-        component={FavoritesScreen}
-        options={{
-          drawerLabel: 'Favorites',
-          drawerIcon: ({ color, size }) => (
-            <Text style={{ fontSize: size, color }}>❤️</Text>
-          ),
-        }}
-      />
-      <Drawer.Screen 
-        name="Settings" 
-        component={SettingsScreen}
-        options={{
-          drawerLabel: 'Settings',
-          drawerIcon: ({ color, size }) => (
-            <Text style={{ fontSize: size, color }}>⚙️</Text>
-          ),
-        }}
-      />
+      {DRAWER_SCREENS.filter((screen) => canAccessRoute(user, screen.name)).map((screen) => (
+        <Drawer.Screen 
+          key={screen.name}
+          name={screen.name} 
+          component={screen.component}
+          options={{
+            drawerLabel: screen.label,
+            drawerIcon: ({ color, size }) => (
+              <Text style={{ fontSize: size, color }}>{screen.icon}</Text>
+            ),
+          }}
+        />
+      ))}
     </Drawer.Navigator>
   );
 };
 
+/**
+ * Deep link paths for the screens that can be opened by URL
+ * Screens the user may not open are left out, and any link that resolves to
+ * one of them is ignored (see buildLinking)
+ */
+const LINKING_PREFIXES = ['academicsubmission://'];
+const DEEP_LINK_SCREENS = {
+  Home: {
+    screens: {
+      HomeMain: 'home',
+      Author: 'authors/:userId',
+    },
+  },
+  Assignments: 'assignments',
+  NewSubmission: 'submit',
+  Drafts: 'drafts',
+  Grading: 'grading',
+  Courses: 'courses',
+  Users: 'users',
+  Favorites: 'favorites',
+  Settings: 'settings',
+};
+
+/**
+ * Keep only the linked screens a user may open
+ * @param {Object} screens - Linking screens config
+ * @param {Object} user - Logged-in user, or null
+ * @returns {Object} The screens config without restricted screens
+ */
+const filterLinkedScreens = (screens, user) =>
+  Object.fromEntries(
+    Object.entries(screens)
+      .filter(([name]) => user && canAccessRoute(user, name))
+      .map(([name, screen]) => [
+        name,
+        screen.screens ? { ...screen, screens: filterLinkedScreens(screen.screens, user) } : screen,
+      ])
+  );
+
+/**
+ * Check that every route in a navigation state is one of the linked screens
+ * Paths that match no screen still produce routes, named after the path
+ * @param {Object} state - Navigation state from a deep link
+ * @param {Object} screens - Linking screens config the routes must be in
+ * @returns {boolean} True if every route is allowed
+ */
+const isLinkedState = (state, screens) =>
+  state.routes.every(
+    (route) =>
+      screens[route.name] !== undefined &&
+      (!route.state || isLinkedState(route.state, screens[route.name].screens || {}))
+  );
+
+/**
+ * Build the deep linking config for a user
+ * Links are ignored while logged out and for screens the user's role may not open
+ * @param {Object} user - Logged-in user, or null
+ * @returns {Object} Linking options for NavigationContainer
+ */
+const buildLinking = (user) => {
+  const screens = filterLinkedScreens(DEEP_LINK_SCREENS, user);
+  return {
+    prefixes: LINKING_PREFIXES,
+    config: { screens },
+    getStateFromPath: (path, options) => {
+      const state = getStateFromPath(path, options);
+      return state && isLinkedState(state, screens) ? state : undefined;
+    },
+  };
+};
+
 /**
  * Main App Navigator
  * Determines which navigator to show based on login status
+ * The lock screen covers the navigator without unmounting it, so the user
+ * returns to the same screen after unlocking
  */
 const AppNavigator = () => {
-  const { isLoggedIn, isLoading } = useApp();
+  const { isLoggedIn, isLoading, isLocked, refreshSession, recordActivity, user } = useApp();
+
+  // Rebuilt when the user changes, so links follow the current role
+  const linking = useMemo(() => buildLinking(isLoggedIn ? user : null), [isLoggedIn, user]);
 
   if (isLoading) {
     return null; // Or a loading screen
   }
 
   return (
-    <NavigationContainer>
-      {isLoggedIn ? <MainDrawer /> : <AuthStack />}
-    </NavigationContainer>
+    <>
+      {/* Touches anywhere count as activity too; the handler only watches, it never takes the touch */}
+      <View
+        style={styles.root}
+        onStartShouldSetResponderCapture={() => {
+          if (isLoggedIn && !isLocked) {
+            recordActivity();
+          }
+          return false;
+        }}
+      >
+        <NavigationContainer
+          linking={linking}
+          // Navigating counts as activity and keeps the session alive
+          onStateChange={isLoggedIn ? refreshSession : undefined}
+        >
+          {isLoggedIn ? <MainDrawer /> : <AuthStack />}
+        </NavigationContainer>
+      </View>
+      {isLoggedIn && isLocked ? <LockScreen /> : null}
+    </>
   );
 };
 
 const styles = StyleSheet.create({
+  root: {
+    flex: 1,
+  },
   header: {
     flexDirection: 'row',
     alignItems: 'center',
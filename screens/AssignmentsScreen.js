@@ -0,0 +1,366 @@
+/**
+ * AssignmentsScreen.js
+ * Screen listing the assignments open to the logged-in user, most urgent first
+ * Each assignment shows its deadline and late policy, and can be submitted
+ * against from here while it still accepts work
+ */
+
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  TouchableOpacity,
+  StyleSheet,
+  ActivityIndicator,
+  RefreshControl,
+} from 'react-native';
+import { fetchAssignments } from '../utils/api';
+import { isCancelled } from '../utils/http';
+import {
+  ASSIGNMENT_URGENCY,
+  URGENCY_DISPLAY,
+  getAssignmentUrgency,
+  sortByUrgency,
+  describeDueDate,
+  describeLatePolicy,
+} from '../utils/assignments';
+import { formatDateTime } from '../utils/format';
+import CachedDataBanner from '../components/CachedDataBanner';
+
+const AssignmentsScreen = ({ navigation }) => {
+  // State for assignments, most urgent first
+  const [assignments, setAssignments] = useState([]);
+
+  // State for when the shown assignments were cached, if they may be out of date
+  const [cachedAt, setCachedAt] = useState(null);
+
+  // State for loading
+  const [loading, setLoading] = useState(true);
+
+  // State for refreshing
+  const [refreshing, setRefreshing] = useState(false);
+
+  // State for error
+  const [error, setError] = useState(null);
+
+  // State for the assignment whose instructions are shown in full
+  const [expandedId, setExpandedId] = useState(null);
+
+  // Cancels requests still in flight when the screen unmounts
+  const abortControllerRef = useRef(null);
+
+  // Load assignments on mount
+  useEffect(() => {
+    abortControllerRef.current = new AbortController();
+    loadAssignments();
+    return () => abortControllerRef.current.abort();
+  }, []);
+
+  /**
+   * Apply an assignments result from the API
+   * @param {Object} result - Result from fetchAssignments
+   */
+  const applyResult = (result) => {
+    setAssignments(sortByUrgency(result.data));
+    setCachedAt(result.cachedAt);
+  };
+
+  /**
+   * Load assignments from the API
+   * @param {boolean} forceRefresh - Skip the cache unless the request fails
+   */
+  const loadAssignments = async (forceRefresh = false) => {
+    try {
+      setError(null);
+      const result = await fetchAssignments({
+        forceRefresh,
+        onUpdate: applyResult,
+        signal: abortControllerRef.current.signal,
+      });
+      if (isCancelled(result)) {
+        return;
+      }
+      if (result.success) {
+        applyResult(result);
+      } else {
+        setError(result.error || 'Failed to load assignments');
+      }
+    } catch (err) {
+      setError('An unexpected error occurred');
+      console.error('Error loading assignments:', err);
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  };
+
+  /**
+   * Handle pull to refresh
+   */
+  const onRefresh = useCallback(() => {
+    setRefreshing(true);
+    loadAssignments(true);
+  }, []);
+
+  /**
+   * Start a submission for an assignment
+   * @param {Object} assignment - Assignment to submit against
+   */
+  const handleSubmit = (assignment) => {
+    navigation.navigate('NewSubmission', { assignment });
+  };
+
+  /**
+   * Show or hide an assignment's full instructions
+   * @param {Object} assignment - Assignment pressed
+   */
+  const toggleExpanded = (assignment) => {
+    setExpandedId((current) => (current === assignment.id ? null : assignment.id));
+  };
+
+  /**
+   * Render list header
+   */
+  const renderHeader = () => (
+    <View style={styles.headerContainer}>
+      <Text style={styles.headerTitle}>Assignments</Text>
+      <Text style={styles.headerSubtitle}>Most urgent first</Text>
+      <CachedDataBanner cachedAt={cachedAt} style={styles.cachedBanner} />
+    </View>
+  );
+
+  /**
+   * Render individual assignment
+   */
+  const renderItem = ({ item }) => {
+    const urgency = getAssignmentUrgency(item);
+    const { label, color } = URGENCY_DISPLAY[urgency];
+    const closed = urgency === ASSIGNMENT_URGENCY.CLOSED;
+    const expanded = expandedId === item.id;
+
+    return (
+      <TouchableOpacity
+        style={[styles.assignmentItem, { borderLeftColor: color }]}
+        onPress={() => toggleExpanded(item)}
+        activeOpacity={0.85}
+      >
+        <View style={styles.itemHeader}>
+          {item.course ? <Text style={styles.courseText}>{item.course}</Text> : <View />}
+          <View style={[styles.urgencyBadge, { backgroundColor: color + '1A' }]}>
+            <Text style={[styles.urgencyText, { color }]}>{label}</Text>
+          </View>
+        </View>
+
+        <Text style={styles.assignmentTitle}>{item.title}</Text>
+        {item.instructions ? (
+          <Text style={styles.instructions} numberOfLines={expanded ? undefined : 2}>
+            {item.instructions}
+          </Text>
+        ) : null}
+
+        <Text style={[styles.dueText, { color }]}>{describeDueDate(item)}</Text>
+        {item.dueAt ? <Text style={styles.metaText}>{formatDateTime(item.dueAt)}</Text> : null}
+        <Text style={styles.metaText}>{describeLatePolicy(item)}</Text>
+
+        <View style={styles.itemActions}>
+          <TouchableOpacity
+            style={[styles.submitButton, closed && styles.buttonDisabled]}
+            onPress={() => handleSubmit(item)}
+            disabled={closed}
+            activeOpacity={0.7}
+          >
+            <Text style={styles.submitButtonText}>{closed ? 'Closed' : 'Submit Work'}</Text>
+          </TouchableOpacity>
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  /**
+   * Render the list's loading, error or empty state
+   */
+  const renderEmpty = () => {
+    if (loading) {
+      return (
+        <View style={styles.emptyContainer}>
+          <ActivityIndicator size="large" color="#6C63FF" />
+        </View>
+      );
+    }
+
+    return (
+      <View style={styles.emptyContainer}>
+        {error ? (
+          <>
+            <Text style={styles.errorText}>{error}</Text>
+            <TouchableOpacity style={styles.retryButton} onPress={() => loadAssignments(true)}>
+              <Text style={styles.retryText}>Retry</Text>
+            </TouchableOpacity>
+          </>
+        ) : (
+          <>
+            <Text style={styles.emptyTitle}>No Assignments</Text>
+            <Text style={styles.emptyText}>Assignments set for your courses appear here</Text>
+          </>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <FlatList
+        data={assignments}
+        renderItem={renderItem}
+        keyExtractor={(item) => item.id.toString()}
+        ListHeaderComponent={renderHeader}
+        ListEmptyComponent={renderEmpty}
+        contentContainerStyle={styles.listContent}
+        refreshControl={
+          <RefreshControl
+            refreshing={refreshing}
+            onRefresh={onRefresh}
+            colors={['#6C63FF']}
+            tintColor="#6C63FF"
+          />
+        }
+        showsVerticalScrollIndicator={false}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F4F6FA',
+  },
+  listContent: {
+    paddingBottom: 30,
+  },
+  headerContainer: {
+    padding: 20,
+    paddingTop: 10,
+  },
+  headerTitle: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#1F1F1F',
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginTop: 6,
+  },
+  cachedBanner: {
+    marginTop: 12,
+  },
+  assignmentItem: {
+    backgroundColor: '#FFFFFF',
+    marginHorizontal: 16,
+    marginBottom: 14,
+    borderRadius: 20,
+    borderLeftWidth: 5,
+    padding: 18,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.08,
+    shadowRadius: 12,
+    elevation: 3,
+  },
+  itemHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  courseText: {
+    fontSize: 13,
+    color: '#6C63FF',
+    fontWeight: '600',
+  },
+  urgencyBadge: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+  },
+  urgencyText: {
+    fontSize: 12,
+    fontWeight: '700',
+  },
+  assignmentTitle: {
+    fontSize: 17,
+    fontWeight: '700',
+    color: '#1F1F1F',
+  },
+  instructions: {
+    fontSize: 14,
+    color: '#6B7280',
+    lineHeight: 20,
+    marginTop: 8,
+  },
+  dueText: {
+    fontSize: 14,
+    fontWeight: '700',
+    marginTop: 12,
+  },
+  metaText: {
+    fontSize: 12,
+    color: '#9CA3AF',
+    marginTop: 4,
+  },
+  itemActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 14,
+  },
+  submitButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 20,
+    backgroundColor: '#6C63FF',
+  },
+  submitButtonText: {
+    color: '#FFFFFF',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  buttonDisabled: {
+    backgroundColor: '#9CA3AF',
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#1F1F1F',
+    marginBottom: 8,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#6B7280',
+    textAlign: 'center',
+  },
+  errorText: {
+    fontSize: 16,
+    color: '#EF4444',
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  retryButton: {
+    backgroundColor: '#6C63FF',
+    paddingHorizontal: 24,
+    paddingVertical: 12,
+    borderRadius: 20,
+  },
+  retryText: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+});
+
+export default AssignmentsScreen;
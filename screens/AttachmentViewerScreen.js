@@ -0,0 +1,210 @@
+/**
+ * AttachmentViewerScreen.js
+ * Viewer for one of a submission's attachments
+ * Images are shown in the app and can be zoomed; documents are opened in the
+ * device's viewer for their type
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  Image,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+  Linking,
+  Alert,
+} from 'react-native';
+import { getAttachmentTypeLabel, isImageAttachment } from '../utils/attachments';
+import { formatFileSize } from '../utils/format';
+
+const AttachmentViewerScreen = ({ route, navigation }) => {
+  // Get the attachment from route params
+  const { attachment } = route.params;
+
+  // State for loading the image
+  const [imageLoading, setImageLoading] = useState(true);
+
+  // State for whether the image could not be shown
+  const [imageFailed, setImageFailed] = useState(false);
+
+  const showImage = isImageAttachment(attachment.mimeType) && !imageFailed;
+
+  /**
+   * Open the attachment in the device's viewer for its type
+   */
+  const handleOpen = async () => {
+    try {
+      if (!attachment.url || !(await Linking.canOpenURL(attachment.url))) {
+        Alert.alert('Cannot Open', 'No app on this device can open this file.');
+        return;
+      }
+      await Linking.openURL(attachment.url);
+    } catch (error) {
+      console.error('Error opening attachment:', error);
+      Alert.alert('Error', 'Failed to open the file');
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => navigation.goBack()}
+          activeOpacity={0.7}
+        >
+          <Text style={styles.backButtonText}>Back</Text>
+        </TouchableOpacity>
+        <View style={styles.headerInfo}>
+          <Text style={styles.fileName} numberOfLines={1}>{attachment.name}</Text>
+          <Text style={styles.fileMeta}>
+            {getAttachmentTypeLabel(attachment.mimeType)} · {formatFileSize(attachment.size)}
+          </Text>
+        </View>
+      </View>
+
+      {showImage ? (
+        <ScrollView
+          style={styles.imageScroll}
+          contentContainerStyle={styles.imageContent}
+          maximumZoomScale={4}
+          minimumZoomScale={1}
+          centerContent
+        >
+          <Image
+            source={{ uri: attachment.url }}
+            style={styles.image}
+            resizeMode="contain"
+            onLoadEnd={() => setImageLoading(false)}
+            onError={() => setImageFailed(true)}
+          />
+          {imageLoading ? (
+            <ActivityIndicator style={styles.imageSpinner} size="large" color="#FFFFFF" />
+          ) : null}
+        </ScrollView>
+      ) : (
+        <View style={styles.documentContainer}>
+          <View style={styles.documentCard}>
+            <Text style={styles.documentType}>{getAttachmentTypeLabel(attachment.mimeType)}</Text>
+            <Text style={styles.documentName}>{attachment.name}</Text>
+            <Text style={styles.documentSize}>{formatFileSize(attachment.size)}</Text>
+            {imageFailed ? (
+              <Text style={styles.documentNote}>This image could not be shown here.</Text>
+            ) : null}
+            <TouchableOpacity style={styles.openButton} onPress={handleOpen} activeOpacity={0.8}>
+              <Text style={styles.openButtonText}>Open File</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#1F1F1F',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingTop: 60,
+    paddingBottom: 16,
+    paddingHorizontal: 20,
+  },
+  backButton: {
+    width: 70,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: 'rgba(255,255,255,0.2)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 14,
+  },
+  backButtonText: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  headerInfo: {
+    flex: 1,
+  },
+  fileName: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  fileMeta: {
+    color: 'rgba(255,255,255,0.7)',
+    fontSize: 12,
+    marginTop: 2,
+  },
+  imageScroll: {
+    flex: 1,
+  },
+  imageContent: {
+    flexGrow: 1,
+    justifyContent: 'center',
+  },
+  image: {
+    width: '100%',
+    aspectRatio: 1,
+  },
+  imageSpinner: {
+    position: 'absolute',
+    alignSelf: 'center',
+  },
+  documentContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    padding: 20,
+  },
+  documentCard: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 24,
+    padding: 28,
+    alignItems: 'center',
+  },
+  documentType: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#6C63FF',
+    textTransform: 'uppercase',
+    letterSpacing: 1,
+  },
+  documentName: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1F1F1F',
+    textAlign: 'center',
+    marginTop: 10,
+  },
+  documentSize: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginTop: 6,
+  },
+  documentNote: {
+    fontSize: 13,
+    color: '#EF4444',
+    marginTop: 10,
+  },
+  openButton: {
+    backgroundColor: '#6C63FF',
+    paddingHorizontal: 32,
+    paddingVertical: 14,
+    borderRadius: 20,
+    marginTop: 20,
+  },
+  openButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default AttachmentViewerScreen;
@@ -0,0 +1,394 @@
+/**
+ * AuthorScreen.js
+ * Screen displaying an author's profile and all of their posts
+ * Opened from the author badge on Home cards and the author on DetailScreen
+ */
+
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  TouchableOpacity,
+  StyleSheet,
+  ActivityIndicator,
+  RefreshControl,
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { fetchUserById, fetchUserDirectory, fetchPostsByUser } from '../utils/api';
+import { isCancelled } from '../utils/http';
+import { getInitials } from '../utils/format';
+import CachedDataBanner from '../components/CachedDataBanner';
+
+// Premium color palette
+const cardColors = ['#6C63FF', '#FF6584', '#4A47A3', '#00C9A7', '#FF8C42', '#845EC2'];
+
+const AuthorScreen = ({ route, navigation }) => {
+  // Get author ID from route params
+  const { userId } = route.params;
+
+  // State for the author's profile
+  const [author, setAuthor] = useState(null);
+
+  // State for the author's posts
+  const [posts, setPosts] = useState([]);
+
+  // State for when the shown posts were cached, if they may be out of date
+  const [cachedAt, setCachedAt] = useState(null);
+
+  // State for loading
+  const [loading, setLoading] = useState(true);
+
+  // State for refreshing
+  const [refreshing, setRefreshing] = useState(false);
+
+  // State for error
+  const [error, setError] = useState(null);
+
+  // Cancels requests still in flight when the screen unmounts
+  const abortControllerRef = useRef(null);
+
+  const cardColor = cardColors[userId % cardColors.length];
+
+  // Load the author and their posts on mount
+  useEffect(() => {
+    abortControllerRef.current = new AbortController();
+    loadAuthor();
+    return () => abortControllerRef.current.abort();
+  }, []);
+
+  /**
+   * Apply a posts result from the API
+   * @param {Object} result - Result from fetchPostsByUser
+   */
+  const applyPostsResult = (result) => {
+    setPosts(result.data);
+    setCachedAt(result.cachedAt);
+  };
+
+  /**
+   * Load the author's profile and posts
+   * @param {boolean} forceRefresh - Skip the cache unless the request fails
+   */
+  const loadAuthor = async (forceRefresh = false) => {
+    try {
+      setError(null);
+      if (forceRefresh) {
+        await fetchUserDirectory({ forceRefresh });
+      }
+
+      const [authorResult, postsResult] = await Promise.all([
+        fetchUserById(userId),
+        fetchPostsByUser(userId, {
+          forceRefresh,
+          onUpdate: applyPostsResult,
+          signal: abortControllerRef.current.signal,
+        }),
+      ]);
+
+      if (isCancelled(postsResult)) {
+        return;
+      }
+      if (authorResult.success) {
+        setAuthor(authorResult.data);
+      }
+      if (postsResult.success) {
+        applyPostsResult(postsResult);
+      } else {
+        setError(postsResult.error || 'Failed to load posts');
+      }
+    } catch (err) {
+      setError('An unexpected error occurred');
+      console.error('Error loading author:', err);
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  };
+
+  /**
+   * Handle pull to refresh
+   */
+  const onRefresh = useCallback(() => {
+    setRefreshing(true);
+    loadAuthor(true);
+  }, []);
+
+  /**
+   * Navigate to detail screen
+   */
+  const handlePostPress = (post) => {
+    navigation.navigate('Detail', { post });
+  };
+
+  const authorName = author?.name || `User ${userId}`;
+
+  /**
+   * Render the author's profile above their posts
+   */
+  const renderHeader = () => (
+    <View>
+      <LinearGradient colors={[cardColor, cardColor + 'CC']} style={styles.headerGradient}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => navigation.goBack()}
+          activeOpacity={0.7}
+        >
+          <Text style={styles.backButtonText}>Back</Text>
+        </TouchableOpacity>
+
+        <View style={styles.profile}>
+          <View style={styles.avatar}>
+            <Text style={styles.avatarText}>{getInitials(authorName)}</Text>
+          </View>
+          <Text style={styles.authorName}>{authorName}</Text>
+          {author?.username ? <Text style={styles.username}>@{author.username}</Text> : null}
+        </View>
+      </LinearGradient>
+
+      {author ? (
+        <View style={styles.detailsCard}>
+          {[
+            ['Email', author.email],
+            ['Phone', author.phone],
+            ['Website', author.website],
+            ['Company', author.company?.name],
+            ['City', author.address?.city],
+          ]
+            .filter(([, value]) => value)
+            .map(([label, value]) => (
+              <View key={label} style={styles.detailRow}>
+                <Text style={styles.detailLabel}>{label}</Text>
+                <Text style={styles.detailValue}>{value}</Text>
+              </View>
+            ))}
+        </View>
+      ) : null}
+
+      <CachedDataBanner cachedAt={cachedAt} style={styles.cachedBanner} />
+
+      <Text style={styles.sectionTitle}>
+        {loading ? 'Posts' : `${posts.length} ${posts.length === 1 ? 'Post' : 'Posts'}`}
+      </Text>
+    </View>
+  );
+
+  /**
+   * Render one of the author's posts
+   */
+  const renderItem = ({ item }) => (
+    <TouchableOpacity
+      style={styles.postItem}
+      onPress={() => handlePostPress(item)}
+      activeOpacity={0.85}
+    >
+      <Text style={styles.postTitle} numberOfLines={2}>
+        {item.title}
+      </Text>
+      <Text style={styles.postBody} numberOfLines={2}>
+        {item.body}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  /**
+   * Render the posts list's loading, error or empty state
+   */
+  const renderEmpty = () => {
+    if (loading) {
+      return (
+        <View style={styles.emptyContainer}>
+          <ActivityIndicator size="large" color="#6C63FF" />
+        </View>
+      );
+    }
+
+    return (
+      <View style={styles.emptyContainer}>
+        {error ? (
+          <>
+            <Text style={styles.errorText}>{error}</Text>
+            <TouchableOpacity style={styles.retryButton} onPress={() => loadAuthor(true)}>
+              <Text style={styles.retryText}>Retry</Text>
+            </TouchableOpacity>
+          </>
+        ) : (
+          <Text style={styles.emptyText}>No posts yet</Text>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <FlatList
+        data={posts}
+        renderItem={renderItem}
+        keyExtractor={(item) => item.id.toString()}
+        ListHeaderComponent={renderHeader}
+        ListEmptyComponent={renderEmpty}
+        contentContainerStyle={styles.listContent}
+        refreshControl={
+          <RefreshControl
+            refreshing={refreshing}
+            onRefresh={onRefresh}
+            colors={['#6C63FF']}
+            tintColor="#6C63FF"
+          />
+        }
+        showsVerticalScrollIndicator={false}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F4F6FA',
+  },
+  listContent: {
+    paddingBottom: 30,
+  },
+  headerGradient: {
+    paddingTop: 60,
+    paddingBottom: 30,
+    paddingHorizontal: 20,
+    borderBottomLeftRadius: 30,
+    borderBottomRightRadius: 30,
+  },
+  backButton: {
+    width: 70,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: 'rgba(255,255,255,0.2)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  backButtonText: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  profile: {
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  avatar: {
+    width: 80,
+    height: 80,
+    borderRadius: 40,
+    backgroundColor: 'rgba(255,255,255,0.3)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderWidth: 3,
+    borderColor: 'rgba(255,255,255,0.5)',
+  },
+  avatarText: {
+    color: '#FFFFFF',
+    fontSize: 28,
+    fontWeight: 'bold',
+  },
+  authorName: {
+    color: '#FFFFFF',
+    fontSize: 22,
+    fontWeight: 'bold',
+    marginTop: 12,
+  },
+  username: {
+    color: 'rgba(255,255,255,0.85)',
+    fontSize: 14,
+    marginTop: 4,
+  },
+  detailsCard: {
+    backgroundColor: '#FFFFFF',
+    margin: 16,
+    borderRadius: 20,
+    padding: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.08,
+    shadowRadius: 12,
+    elevation: 3,
+  },
+  detailRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 8,
+  },
+  detailLabel: {
+    fontSize: 14,
+    color: '#6B7280',
+  },
+  detailValue: {
+    fontSize: 14,
+    color: '#1F1F1F',
+    fontWeight: '500',
+    flexShrink: 1,
+    textAlign: 'right',
+    marginLeft: 12,
+  },
+  cachedBanner: {
+    marginHorizontal: 16,
+    marginBottom: 8,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: '#1F1F1F',
+    marginHorizontal: 20,
+    marginTop: 8,
+    marginBottom: 12,
+  },
+  postItem: {
+    backgroundColor: '#FFFFFF',
+    marginHorizontal: 16,
+    marginBottom: 12,
+    borderRadius: 16,
+    padding: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.06,
+    shadowRadius: 8,
+    elevation: 2,
+  },
+  postTitle: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#1F1F1F',
+    marginBottom: 6,
+    textTransform: 'capitalize',
+  },
+  postBody: {
+    fontSize: 14,
+    color: '#6B7280',
+    lineHeight: 20,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#6B7280',
+  },
+  errorText: {
+    fontSize: 16,
+    color: '#EF4444',
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  retryButton: {
+    backgroundColor: '#6C63FF',
+    paddingHorizontal: 24,
+    paddingVertical: 12,
+    borderRadius: 20,
+  },
+  retryText: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+});
+
+export default AuthorScreen;
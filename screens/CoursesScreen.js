@@ -0,0 +1,573 @@
+/**
+ * CoursesScreen.js
+ * Course management for instructors and admins
+ * Lists each course's assignments, soonest due first, and lets the user set
+ * new assignments or delete ones that are no longer needed
+ */
+
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  SectionList,
+  TouchableOpacity,
+  StyleSheet,
+  ActivityIndicator,
+  RefreshControl,
+  Alert,
+} from 'react-native';
+import { fetchAssignments, createAssignment, deleteAssignment } from '../utils/api';
+import { isCancelled } from '../utils/http';
+import { useApp } from '../context/AppContext';
+import {
+  EMPTY_ASSIGNMENT,
+  LATE_POLICIES,
+  LATE_POLICY_LABELS,
+  URGENCY_DISPLAY,
+  getAssignmentUrgency,
+  describeDueDate,
+  describeLatePolicy,
+  validateAssignment,
+  toAssignment,
+} from '../utils/assignments';
+import CachedDataBanner from '../components/CachedDataBanner';
+
+/**
+ * Group assignments by course, courses in name order and assignments soonest due first
+ * @param {Array} assignments - Assignments
+ * @returns {Array} Sections with title and data, for SectionList
+ */
+const groupByCourse = (assignments) => {
+  const courses = {};
+  assignments.forEach((assignment) => {
+    const course = assignment.course || 'No course';
+    courses[course] = [...(courses[course] || []), assignment];
+  });
+  const dueTime = (assignment) =>
+    assignment.dueAt ? new Date(assignment.dueAt).getTime() : Number.MAX_SAFE_INTEGER;
+  return Object.keys(courses)
+    .sort((a, b) => a.localeCompare(b))
+    .map((title) => ({
+      title,
+      data: courses[title].sort((a, b) => dueTime(a) - dueTime(b)),
+    }));
+};
+
+const CoursesScreen = () => {
+  const { recordActivity } = useApp();
+
+  // State for assignments
+  const [assignments, setAssignments] = useState([]);
+
+  // State for when the shown assignments were cached, if they may be out of date
+  const [cachedAt, setCachedAt] = useState(null);
+
+  // State for loading
+  const [loading, setLoading] = useState(true);
+
+  // State for refreshing
+  const [refreshing, setRefreshing] = useState(false);
+
+  // State for error
+  const [error, setError] = useState(null);
+
+  // State for the new assignment form, and whether it is shown
+  const [formOpen, setFormOpen] = useState(false);
+  const [fields, setFields] = useState(EMPTY_ASSIGNMENT);
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  // Cancels requests still in flight when the screen unmounts
+  const abortControllerRef = useRef(null);
+
+  // Load assignments on mount
+  useEffect(() => {
+    abortControllerRef.current = new AbortController();
+    loadAssignments();
+    return () => abortControllerRef.current.abort();
+  }, []);
+
+  /**
+   * Apply an assignments result from the API
+   * @param {Object} result - Result from fetchAssignments
+   */
+  const applyResult = (result) => {
+    setAssignments(result.data);
+    setCachedAt(result.cachedAt);
+  };
+
+  /**
+   * Load assignments from the API
+   * @param {boolean} forceRefresh - Skip the cache unless the request fails
+   */
+  const loadAssignments = async (forceRefresh = false) => {
+    try {
+      setError(null);
+      const result = await fetchAssignments({
+        forceRefresh,
+        onUpdate: applyResult,
+        signal: abortControllerRef.current.signal,
+      });
+      if (isCancelled(result)) {
+        return;
+      }
+      if (result.success) {
+        applyResult(result);
+      } else {
+        setError(result.error || 'Failed to load assignments');
+      }
+    } catch (err) {
+      setError('An unexpected error occurred');
+      console.error('Error loading assignments:', err);
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  };
+
+  /**
+   * Handle pull to refresh
+   */
+  const onRefresh = useCallback(() => {
+    setRefreshing(true);
+    loadAssignments(true);
+  }, []);
+
+  /**
+   * Update one form field, clearing its error
+   * @param {string} name - Field name
+   * @param {string} value - New value
+   */
+  const setField = (name, value) => {
+    setFields((current) => ({ ...current, [name]: value }));
+    setErrors((current) => ({ ...current, [name]: undefined }));
+  };
+
+  /**
+   * Validate and set the new assignment
+   */
+  const handleCreate = async () => {
+    const newErrors = validateAssignment(fields);
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) {
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const result = await createAssignment(toAssignment(fields));
+      if (result.success) {
+        setAssignments((current) => [...current, result.data]);
+        setFields(EMPTY_ASSIGNMENT);
+        setFormOpen(false);
+      } else {
+        Alert.alert('Error', result.error || 'Failed to create assignment');
+      }
+    } catch (err) {
+      Alert.alert('Error', 'An unexpected error occurred');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Delete an assignment after confirming
+   * @param {Object} assignment - Assignment to delete
+   */
+  const handleDelete = (assignment) => {
+    Alert.alert(
+      'Delete Assignment',
+      `Delete "${assignment.title}"? Work already submitted for it is kept.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            const result = await deleteAssignment(assignment);
+            if (result.success) {
+              setAssignments((current) => current.filter((item) => item.id !== assignment.id));
+            } else {
+              Alert.alert('Error', result.error || 'Failed to delete assignment');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  /**
+   * Render one text field of the new assignment form
+   * @param {string} name - Field name
+   * @param {string} label - Field label
+   * @param {Object} props - Extra TextInput props
+   */
+  const renderInput = (name, label, props = {}) => (
+    <View style={styles.inputContainer}>
+      <Text style={styles.inputLabel}>{label}</Text>
+      <TextInput
+        style={[
+          styles.input,
+          props.multiline && styles.instructionsInput,
+          errors[name] && styles.inputError,
+        ]}
+        placeholderTextColor="#9CA3AF"
+        value={fields[name]}
+        onChangeText={(value) => {
+          recordActivity();
+          setField(name, value);
+        }}
+        {...props}
+      />
+      {errors[name] ? <Text style={styles.errorText}>{errors[name]}</Text> : null}
+    </View>
+  );
+
+  /**
+   * Render the new assignment form
+   */
+  const renderForm = () => (
+    <View style={styles.formCard}>
+      {renderInput('title', 'Title', { placeholder: 'e.g. Lab Report 3' })}
+      {renderInput('course', 'Course', { placeholder: 'e.g. CS 101' })}
+      {renderInput('instructions', 'Instructions', {
+        placeholder: 'What students should hand in',
+        multiline: true,
+        textAlignVertical: 'top',
+      })}
+      {renderInput('dueDate', 'Due', {
+        placeholder: 'YYYY-MM-DD HH:MM',
+        autoCapitalize: 'none',
+        autoCorrect: false,
+      })}
+
+      {/* Late Policy Chips */}
+      <View style={styles.inputContainer}>
+        <Text style={styles.inputLabel}>Late work</Text>
+        <View style={styles.chipRow}>
+          {Object.values(LATE_POLICIES).map((policy) => {
+            const selected = fields.latePolicy === policy;
+            return (
+              <TouchableOpacity
+                key={policy}
+                style={[styles.chip, selected && styles.chipSelected]}
+                onPress={() => setField('latePolicy', policy)}
+                activeOpacity={0.7}
+              >
+                <Text style={[styles.chipText, selected && styles.chipTextSelected]}>
+                  {LATE_POLICY_LABELS[policy]}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+      </View>
+
+      {fields.latePolicy === LATE_POLICIES.PENALTY
+        ? renderInput('latePenaltyPercent', 'Penalty (%)', {
+            placeholder: 'e.g. 10',
+            keyboardType: 'number-pad',
+          })
+        : null}
+
+      <TouchableOpacity
+        style={[styles.saveButton, saving && styles.buttonDisabled]}
+        onPress={handleCreate}
+        disabled={saving}
+        activeOpacity={0.8}
+      >
+        <Text style={styles.saveButtonText}>{saving ? 'Creating...' : 'Create Assignment'}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  /**
+   * Render list header
+   */
+  const renderHeader = () => (
+    <View style={styles.headerContainer}>
+      <View style={styles.headerRow}>
+        <Text style={styles.headerTitle}>Courses</Text>
+        <TouchableOpacity onPress={() => setFormOpen((open) => !open)} activeOpacity={0.7}>
+          <Text style={styles.toggleText}>{formOpen ? 'Cancel' : '+ New Assignment'}</Text>
+        </TouchableOpacity>
+      </View>
+      <Text style={styles.headerSubtitle}>Assignments set for each course</Text>
+      <CachedDataBanner cachedAt={cachedAt} style={styles.cachedBanner} />
+      {formOpen ? renderForm() : null}
+    </View>
+  );
+
+  /**
+   * Render a course heading
+   */
+  const renderSectionHeader = ({ section }) => (
+    <Text style={styles.sectionTitle}>{section.title}</Text>
+  );
+
+  /**
+   * Render individual assignment
+   */
+  const renderItem = ({ item }) => {
+    const { color } = URGENCY_DISPLAY[getAssignmentUrgency(item)];
+    return (
+      <View style={styles.assignmentItem}>
+        <View style={styles.assignmentInfo}>
+          <Text style={styles.assignmentTitle}>{item.title}</Text>
+          <Text style={[styles.assignmentDue, { color }]}>{describeDueDate(item)}</Text>
+          <Text style={styles.assignmentMeta}>{describeLatePolicy(item)}</Text>
+        </View>
+        <TouchableOpacity onPress={() => handleDelete(item)} activeOpacity={0.7}>
+          <Text style={styles.deleteText}>Delete</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  /**
+   * Render the list's loading, error or empty state
+   */
+  const renderEmpty = () => {
+    if (loading) {
+      return (
+        <View style={styles.emptyContainer}>
+          <ActivityIndicator size="large" color="#6C63FF" />
+        </View>
+      );
+    }
+
+    return (
+      <View style={styles.emptyContainer}>
+        {error ? (
+          <>
+            <Text style={styles.errorMessage}>{error}</Text>
+            <TouchableOpacity style={styles.retryButton} onPress={() => loadAssignments(true)}>
+              <Text style={styles.retryText}>Retry</Text>
+            </TouchableOpacity>
+          </>
+        ) : (
+          <Text style={styles.emptyText}>No assignments yet</Text>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <SectionList
+        sections={groupByCourse(assignments)}
+        renderItem={renderItem}
+        renderSectionHeader={renderSectionHeader}
+        keyExtractor={(item) => item.id.toString()}
+        // An element rather than a component, so the form keeps focus as it re-renders
+        ListHeaderComponent={renderHeader()}
+        ListEmptyComponent={renderEmpty}
+        contentContainerStyle={styles.listContent}
+        keyboardShouldPersistTaps="handled"
+        stickySectionHeadersEnabled={false}
+        refreshControl={
+          <RefreshControl
+            refreshing={refreshing}
+            onRefresh={onRefresh}
+            colors={['#6C63FF']}
+            tintColor="#6C63FF"
+          />
+        }
+        showsVerticalScrollIndicator={false}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F4F6FA',
+  },
+  listContent: {
+    paddingBottom: 30,
+  },
+  headerContainer: {
+    padding: 20,
+    paddingTop: 10,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  headerTitle: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#1F1F1F',
+  },
+  toggleText: {
+    color: '#6C63FF',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginTop: 6,
+  },
+  cachedBanner: {
+    marginTop: 12,
+  },
+  formCard: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 20,
+    padding: 18,
+    marginTop: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.08,
+    shadowRadius: 12,
+    elevation: 3,
+  },
+  inputContainer: {
+    marginBottom: 16,
+  },
+  inputLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1F1F1F',
+    marginBottom: 8,
+    marginLeft: 5,
+  },
+  input: {
+    borderWidth: 1.5,
+    borderColor: '#E5E7EB',
+    borderRadius: 16,
+    padding: 14,
+    fontSize: 16,
+    color: '#1F1F1F',
+    backgroundColor: '#F9FAFB',
+  },
+  instructionsInput: {
+    minHeight: 100,
+  },
+  inputError: {
+    borderColor: '#EF4444',
+  },
+  errorText: {
+    color: '#EF4444',
+    fontSize: 12,
+    marginTop: 6,
+    marginLeft: 5,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 20,
+    borderWidth: 1.5,
+    borderColor: '#E5E7EB',
+    backgroundColor: '#F9FAFB',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipSelected: {
+    borderColor: '#6C63FF',
+    backgroundColor: '#6C63FF',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#6B7280',
+    fontWeight: '500',
+  },
+  chipTextSelected: {
+    color: '#FFFFFF',
+  },
+  saveButton: {
+    backgroundColor: '#6C63FF',
+    borderRadius: 16,
+    padding: 16,
+    alignItems: 'center',
+  },
+  saveButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  buttonDisabled: {
+    opacity: 0.7,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: '#1F1F1F',
+    marginHorizontal: 20,
+    marginTop: 8,
+    marginBottom: 12,
+  },
+  assignmentItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    marginHorizontal: 16,
+    marginBottom: 12,
+    borderRadius: 16,
+    padding: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.06,
+    shadowRadius: 8,
+    elevation: 2,
+  },
+  assignmentInfo: {
+    flex: 1,
+    marginRight: 12,
+  },
+  assignmentTitle: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#1F1F1F',
+  },
+  assignmentDue: {
+    fontSize: 13,
+    fontWeight: '600',
+    marginTop: 6,
+  },
+  assignmentMeta: {
+    fontSize: 12,
+    color: '#9CA3AF',
+    marginTop: 2,
+  },
+  deleteText: {
+    color: '#EF4444',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#6B7280',
+  },
+  errorMessage: {
+    fontSize: 16,
+    color: '#EF4444',
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  retryButton: {
+    backgroundColor: '#6C63FF',
+    paddingHorizontal: 24,
+    paddingVertical: 12,
+    borderRadius: 20,
+  },
+  retryText: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+});
+
+export default CoursesScreen;
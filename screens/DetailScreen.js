@@ -2,10 +2,17 @@
  * DetailScreen.js
  * Screen for displaying full post details
  * Allows users to add/remove posts from favorites
+ * Refreshes the post from the API, showing when cached data is displayed
+ * Lists the post's comments a page at a time; pull down to refresh both
+ * Users can post comments, and edit or delete their own
+ * Shows the author's name, which opens their profile
+ * Authors can edit or withdraw their own submissions
+ * Lists the submission's attachments, which open in AttachmentViewer
+ * Shows the submission's status and a timeline of its status changes
  * Enhanced with premium aesthetic UI
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -13,32 +20,376 @@ import {
   StyleSheet,
   ScrollView,
   Alert,
+  ActivityIndicator,
+  RefreshControl,
+  TextInput,
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { useApp } from '../context/AppContext';
-import { addToFavorites, removeFromFavorites, isInFavorites } from '../utils/storage';
+import {
+  addToFavorites,
+  removeFromFavorites,
+  isInFavorites,
+  markPostsWithdrawn,
+} from '../utils/storage';
+import {
+  fetchPostById,
+  fetchComments,
+  fetchUserById,
+  createComment,
+  updateComment,
+  deleteComment,
+  deletePost,
+} from '../utils/api';
+import { isCancelled } from '../utils/http';
+import { formatRelativeTime, getInitials, formatFileSize, formatDateTime } from '../utils/format';
+import { getAttachmentTypeLabel } from '../utils/attachments';
+import { describeLateSubmission } from '../utils/assignments';
+import { isOwnComment, canEditSubmission, canReviewSubmission } from '../utils/permissions';
+import CachedDataBanner from '../components/CachedDataBanner';
+import StatusBadge from '../components/StatusBadge';
+import StatusTimeline from '../components/StatusTimeline';
 
 // Premium color palette
 const cardColors = ['#6C63FF', '#FF6584', '#4A47A3', '#00C9A7', '#FF8C42', '#845EC2'];
 
 const DetailScreen = ({ route, navigation }) => {
   // Get post from route params
-  const { post } = route.params;
+  const { post: initialPost } = route.params;
+
+  // State for post data, starting with the copy passed in and refreshed from the API
+  const [post, setPost] = useState(initialPost);
+
+  // State for when the shown post was cached, if it may be out of date
+  const [cachedAt, setCachedAt] = useState(null);
   
   // State for favorite status
   const [isFavorite, setIsFavorite] = useState(false);
+
+  // State for the post's author, once looked up
+  const [author, setAuthor] = useState(null);
+
+  // State for comments and their pagination
+  const [comments, setComments] = useState([]);
+  const [commentsPage, setCommentsPage] = useState(1);
+  const [commentsHasMore, setCommentsHasMore] = useState(false);
+  const [commentsTotal, setCommentsTotal] = useState(null);
+  const [commentsCachedAt, setCommentsCachedAt] = useState(null);
+
+  // State for loading comments
+  const [commentsLoading, setCommentsLoading] = useState(true);
+  const [commentsError, setCommentsError] = useState(null);
+  const [loadingMoreComments, setLoadingMoreComments] = useState(false);
+
+  // State for the new comment composer
+  const [commentDraft, setCommentDraft] = useState('');
+
+  // State for the comment being edited
+  const [editingCommentId, setEditingCommentId] = useState(null);
+  const [editingText, setEditingText] = useState('');
+
+  // State for pull to refresh
+  const [refreshing, setRefreshing] = useState(false);
+
+  // State for withdrawing the post
+  const [withdrawing, setWithdrawing] = useState(false);
   
-  // Get app context for dark mode
-  const { darkMode } = useApp();
+  // Cancels requests still in flight when the screen unmounts
+  const abortControllerRef = useRef(null);
+
+  // Scroll view and the comments section's offset in it, for jumping to comments
+  const scrollViewRef = useRef(null);
+  const commentsOffsetRef = useRef(0);
+
+  // Get app context for dark mode and the logged-in user
+  const { darkMode, user, recordActivity } = useApp();
 
   // Get avatar color based on userId
-  const cardColor = cardColors[post.userId % cardColors.length];
+  const cardColor = cardColors[(post.userId || 0) % cardColors.length];
 
-  // Check if post is in favorites on mount
+  // Check if post is in favorites, and refresh the post and load comments on mount
   useEffect(() => {
+    abortControllerRef.current = new AbortController();
     checkFavoriteStatus();
+    loadPost();
+    loadComments();
+    loadAuthor();
+    return () => abortControllerRef.current.abort();
   }, []);
 
+  // Show the new values when EditSubmission returns with the updated post
+  useEffect(() => {
+    setPost((current) => ({ ...current, ...initialPost }));
+  }, [initialPost]);
+
+  /**
+   * Apply a post result from the API
+   * @param {Object} result - Result from fetchPostById
+   */
+  const applyPostResult = (result) => {
+    if (result.success) {
+      setPost((current) => ({ ...current, ...result.data }));
+      setCachedAt(result.cachedAt);
+    }
+  };
+
+  /**
+   * Refresh the post from the API
+   * If it fails, the copy passed in from the list stays on screen
+   * @param {boolean} forceRefresh - Skip the cache unless the request fails
+   */
+  const loadPost = async (forceRefresh = false) => {
+    const result = await fetchPostById(initialPost.id, {
+      forceRefresh,
+      onUpdate: applyPostResult,
+      signal: abortControllerRef.current.signal,
+    });
+    applyPostResult(result);
+  };
+
+  /**
+   * Look up the post's author
+   * The header falls back to the user ID if this fails
+   * Posts submitted from the app are skipped, since their user ID comes from the
+   * auth backend and would match an unrelated directory user
+   */
+  const loadAuthor = async () => {
+    if (!initialPost.userId || initialPost.authorEmail) {
+      return;
+    }
+    const result = await fetchUserById(initialPost.userId);
+    if (result.success) {
+      setAuthor(result.data);
+    }
+  };
+
+  /**
+   * Apply a page of comments that was revalidated in the background
+   * Comments already shown are updated in place and new ones added at the end
+   * @param {Object} result - Fresh page result from fetchComments
+   */
+  const handleCommentsUpdate = (result) => {
+    setComments((current) => {
+      const fresh = new Map(result.data.map((comment) => [comment.id, comment]));
+      const shown = new Set(current.map((comment) => comment.id));
+      return [
+        ...current.map((comment) => fresh.get(comment.id) || comment),
+        ...result.data.filter((comment) => !shown.has(comment.id)),
+      ];
+    });
+    if (result.total !== null) {
+      setCommentsTotal(result.total);
+    }
+    if (result.page === 1) {
+      setCommentsCachedAt(null);
+    }
+  };
+
+  /**
+   * Load the first page of comments
+   * @param {boolean} forceRefresh - Skip the cache unless the request fails
+   */
+  const loadComments = async (forceRefresh = false) => {
+    try {
+      setCommentsError(null);
+      const result = await fetchComments(initialPost.id, {
+        page: 1,
+        forceRefresh,
+        onUpdate: handleCommentsUpdate,
+        signal: abortControllerRef.current.signal,
+      });
+
+      if (isCancelled(result)) {
+        return;
+      }
+      if (result.success) {
+        setComments(result.data);
+        setCommentsPage(1);
+        setCommentsHasMore(result.hasMore);
+        setCommentsTotal(result.total);
+        setCommentsCachedAt(result.cachedAt);
+      } else {
+        setCommentsError(result.error || 'Failed to load comments');
+      }
+    } catch (err) {
+      setCommentsError('An unexpected error occurred');
+      console.error('Error loading comments:', err);
+    } finally {
+      setCommentsLoading(false);
+    }
+  };
+
+  /**
+   * Load the next page of comments
+   */
+  const loadMoreComments = async () => {
+    if (loadingMoreComments || !commentsHasMore) {
+      return;
+    }
+
+    try {
+      setLoadingMoreComments(true);
+      const result = await fetchComments(initialPost.id, {
+        page: commentsPage + 1,
+        onUpdate: handleCommentsUpdate,
+        signal: abortControllerRef.current.signal,
+      });
+
+      if (isCancelled(result)) {
+        return;
+      }
+      if (result.success) {
+        setComments((current) => {
+          const ids = new Set(current.map((comment) => comment.id));
+          return [...current, ...result.data.filter((comment) => !ids.has(comment.id))];
+        });
+        setCommentsPage(result.page);
+        setCommentsHasMore(result.hasMore);
+      } else {
+        Alert.alert('Error', result.error || 'Failed to load more comments');
+      }
+    } catch (err) {
+      Alert.alert('Error', 'Failed to load more comments');
+      console.error('Error loading more comments:', err);
+    } finally {
+      setLoadingMoreComments(false);
+    }
+  };
+
+  /**
+   * Handle pull to refresh: reload the post and the first page of comments
+   */
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await Promise.all([loadPost(true), loadComments(true)]);
+    setRefreshing(false);
+  };
+
+  /**
+   * Post the composer's text as a new comment
+   * It appears at once and is removed again if the backend rejects it
+   */
+  const handlePostComment = async () => {
+    const body = commentDraft.trim();
+    if (!body) {
+      return;
+    }
+
+    const localId = `local-${Date.now()}`;
+    const pending = {
+      id: localId,
+      localId,
+      postId: post.id,
+      name: user.username,
+      email: user.email,
+      body,
+      createdAt: new Date().toISOString(),
+      pending: true,
+    };
+    setComments((current) => [pending, ...current]);
+    setCommentsTotal((total) => (total === null ? total : total + 1));
+    setCommentDraft('');
+
+    const result = await createComment(post.id, {
+      name: user.username,
+      email: user.email,
+      body,
+    });
+
+    if (result.success) {
+      setComments((current) =>
+        current.map((comment) =>
+          comment.localId === localId ? { ...pending, ...result.data, pending: false } : comment
+        )
+      );
+    } else {
+      setComments((current) => current.filter((comment) => comment.localId !== localId));
+      setCommentsTotal((total) => (total === null ? total : total - 1));
+      setCommentDraft(body);
+      Alert.alert('Error', result.error || 'Failed to post comment');
+    }
+  };
+
+  /**
+   * Start editing one of the user's comments
+   * @param {Object} comment - Comment to edit
+   */
+  const startEditingComment = (comment) => {
+    if (!isOwnComment(comment, user)) {
+      return;
+    }
+    setEditingCommentId(comment.id);
+    setEditingText(comment.body);
+  };
+
+  /**
+   * Save the edited comment text
+   * The change shows at once and is reverted if the backend rejects it
+   * @param {Object} comment - Comment being edited
+   */
+  const handleSaveComment = async (comment) => {
+    const body = editingText.trim();
+    setEditingCommentId(null);
+    if (!body || body === comment.body) {
+      return;
+    }
+
+    const replaceComment = (replacement) =>
+      setComments((current) =>
+        current.map((item) => (item.id === comment.id ? replacement : item))
+      );
+
+    replaceComment({ ...comment, body, updatedAt: new Date().toISOString() });
+    const result = await updateComment(comment, body);
+    if (result.success) {
+      replaceComment(result.data);
+    } else {
+      replaceComment(comment);
+      Alert.alert('Error', result.error || 'Failed to update comment');
+    }
+  };
+
+  /**
+   * Confirm and delete one of the user's comments
+   * It is removed at once and put back if the backend rejects the deletion
+   * @param {Object} comment - Comment to delete
+   */
+  const handleDeleteComment = (comment) => {
+    if (!isOwnComment(comment, user)) {
+      return;
+    }
+    Alert.alert('Delete Comment', 'Are you sure you want to delete this comment?', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: async () => {
+          const index = comments.findIndex((item) => item.id === comment.id);
+          setComments((current) => current.filter((item) => item.id !== comment.id));
+          setCommentsTotal((total) => (total === null ? total : total - 1));
+
+          const result = await deleteComment(comment);
+          if (!result.success) {
+            setComments((current) => [
+              ...current.slice(0, index),
+              comment,
+              ...current.slice(index),
+            ]);
+            setCommentsTotal((total) => (total === null ? total : total + 1));
+            Alert.alert('Error', result.error || 'Failed to delete comment');
+          }
+        },
+      },
+    ]);
+  };
+
+  /**
+   * Scroll down to the comments section
+   */
+  const scrollToComments = () => {
+    scrollViewRef.current?.scrollTo({ y: commentsOffsetRef.current, animated: true });
+  };
+
   /**
    * Check if post is in favorites
    */
@@ -67,14 +418,205 @@ const DetailScreen = ({ route, navigation }) => {
     }
   };
 
+  /**
+   * Open the submission form with the post's current values
+   */
+  const handleEdit = () => {
+    navigation.navigate('EditSubmission', { post });
+  };
+
+  /**
+   * Open the review form for the post
+   */
+  const handleReview = () => {
+    navigation.navigate('GradeSubmission', { post });
+  };
+
+  /**
+   * Withdraw the post after confirming, then return to Home
+   * It is also dropped from favorites, here and on other accounts when they sync
+   */
+  const handleWithdraw = () => {
+    Alert.alert(
+      'Withdraw Submission',
+      'This removes the submission and its comments for everyone. Are you sure?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Withdraw',
+          style: 'destructive',
+          onPress: async () => {
+            setWithdrawing(true);
+            const result = await deletePost(post);
+            if (!result.success) {
+              setWithdrawing(false);
+              Alert.alert('Error', result.error || 'Failed to withdraw submission');
+              return;
+            }
+            await markPostsWithdrawn([post.id]);
+            navigation.navigate('HomeMain', { withdrawnPostId: post.id });
+          },
+        },
+      ]
+    );
+  };
+
   const backgroundColor = '#F4F6FA';
   const cardBackground = '#FFFFFF';
   const textColor = '#1F1F1F';
   const textSecondary = '#6B7280';
 
+  // Whether the author is a directory user with a profile to open
+  const hasAuthorProfile = Boolean(post.userId) && !post.authorEmail;
+
+  // Author's name, or the user ID until it has been looked up
+  const authorName = (hasAuthorProfile && author?.name) || post.authorName || `User ${post.userId}`;
+
+  // Comment count, from the backend's total when it reports one
+  const commentCount = commentsTotal ?? comments.length;
+  const countSuffix = commentsTotal === null && commentsHasMore ? '+' : '';
+  const commentCountLabel = `${commentCount}${countSuffix} ${commentCount === 1 ? 'Comment' : 'Comments'}`;
+
+  // Oldest cache time among the data shown, or null if all of it is fresh
+  const cacheTimes = [cachedAt, commentsCachedAt].filter(Boolean);
+  const oldestCachedAt = cacheTimes.length > 0 ? Math.min(...cacheTimes) : null;
+
+  /**
+   * Render the comments section body for its loading, error, empty and loaded states
+   */
+  const renderComments = () => {
+    if (commentsLoading) {
+      return (
+        <View style={styles.commentsState}>
+          <ActivityIndicator size="small" color="#6C63FF" />
+          <Text style={[styles.commentsStateText, { color: textSecondary }]}>
+            Loading comments...
+          </Text>
+        </View>
+      );
+    }
+
+    if (commentsError) {
+      return (
+        <View style={styles.commentsState}>
+          <Text style={styles.commentsErrorText}>{commentsError}</Text>
+          <TouchableOpacity style={styles.retryButton} onPress={() => loadComments(true)}>
+            <Text style={styles.retryText}>Retry</Text>
+          </TouchableOpacity>
+        </View>
+      );
+    }
+
+    if (comments.length === 0) {
+      return (
+        <View style={styles.commentsState}>
+          <Text style={[styles.commentsStateText, { color: textSecondary }]}>
+            No comments yet
+          </Text>
+        </View>
+      );
+    }
+
+    return (
+      <>
+        {comments.map((comment) => (
+          <View key={comment.localId || comment.id} style={styles.commentItem}>
+            <View style={[styles.commentAvatar, { backgroundColor: cardColor + '20' }]}>
+              <Text style={[styles.commentAvatarText, { color: cardColor }]}>
+                {(comment.name || '?').charAt(0).toUpperCase()}
+              </Text>
+            </View>
+            <View style={styles.commentContent}>
+              <Text style={[styles.commentName, { color: textColor }]} numberOfLines={1}>
+                {comment.name}
+              </Text>
+              <Text style={[styles.commentEmail, { color: textSecondary }]} numberOfLines={1}>
+                {[
+                  comment.email,
+                  comment.pending ? 'Posting...' : formatRelativeTime(comment.createdAt),
+                  comment.updatedAt ? 'edited' : '',
+                ]
+                  .filter(Boolean)
+                  .join(' · ')}
+              </Text>
+
+              {editingCommentId === comment.id ? (
+                <>
+                  <TextInput
+                    style={styles.commentInput}
+                    value={editingText}
+                    onChangeText={(value) => {
+                      recordActivity();
+                      setEditingText(value);
+                    }}
+                    multiline
+                    autoFocus
+                  />
+                  <View style={styles.commentActions}>
+                    <TouchableOpacity onPress={() => setEditingCommentId(null)}>
+                      <Text style={[styles.commentActionText, { color: textSecondary }]}>
+                        Cancel
+                      </Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity onPress={() => handleSaveComment(comment)}>
+                      <Text style={styles.commentActionText}>Save</Text>
+                    </TouchableOpacity>
+                  </View>
+                </>
+              ) : (
+                <Text style={[styles.commentBody, { color: textSecondary }]}>
+                  {comment.body}
+                </Text>
+              )}
+
+              {isOwnComment(comment, user) && !comment.pending && editingCommentId !== comment.id ? (
+                <View style={styles.commentActions}>
+                  <TouchableOpacity onPress={() => startEditingComment(comment)}>
+                    <Text style={styles.commentActionText}>Edit</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity onPress={() => handleDeleteComment(comment)}>
+                    <Text style={[styles.commentActionText, styles.commentDeleteText]}>
+                      Delete
+                    </Text>
+                  </TouchableOpacity>
+                </View>
+              ) : null}
+            </View>
+          </View>
+        ))}
+
+        {commentsHasMore ? (
+          <TouchableOpacity
+            style={styles.loadMoreButton}
+            onPress={loadMoreComments}
+            disabled={loadingMoreComments}
+            activeOpacity={0.7}
+          >
+            {loadingMoreComments ? (
+              <ActivityIndicator size="small" color="#6C63FF" />
+            ) : (
+              <Text style={styles.loadMoreText}>Load more comments</Text>
+            )}
+          </TouchableOpacity>
+        ) : null}
+      </>
+    );
+  };
+
   return (
     <View style={[styles.container, { backgroundColor }]}>
-      <ScrollView contentContainerStyle={styles.scrollContent}>
+      <ScrollView
+        ref={scrollViewRef}
+        contentContainerStyle={styles.scrollContent}
+        refreshControl={
+          <RefreshControl
+            refreshing={refreshing}
+            onRefresh={onRefresh}
+            colors={['#6C63FF']}
+            tintColor="#6C63FF"
+          />
+        }
+      >
         {/* Header Gradient */}
         <LinearGradient
           colors={[cardColor, cardColor + 'CC']}
@@ -92,21 +634,35 @@ const DetailScreen = ({ route, navigation }) => {
             <Text style={styles.idBadgeText}>#{post.id}</Text>
           </View>
 
-          <View style={styles.avatarContainer}>
+          <TouchableOpacity
+            style={styles.avatarContainer}
+            onPress={() => navigation.navigate('Author', { userId: post.userId })}
+            // Posts submitted from the app have no author profile to open
+            disabled={!hasAuthorProfile}
+            activeOpacity={0.8}
+          >
             <View style={styles.avatar}>
-              <Text style={styles.avatarText}>{post.userId}</Text>
+              <Text style={styles.avatarText}>{getInitials(authorName)}</Text>
             </View>
-            <Text style={styles.userLabel}>User {post.userId}</Text>
-          </View>
+            <Text style={styles.userLabel}>{authorName}</Text>
+          </TouchableOpacity>
         </LinearGradient>
 
         {/* Content Card */}
         <View style={[styles.contentCard, { backgroundColor: cardBackground }]}>
+          <CachedDataBanner cachedAt={oldestCachedAt} style={styles.cachedBanner} />
+
           <Text style={[styles.title, { color: textColor }]}>
             {post.title}
           </Text>
           
           <View style={styles.badgeRow}>
+            <StatusBadge post={post} style={styles.statusBadge} />
+            {post.late ? (
+              <View style={[styles.badge, { backgroundColor: '#EF444420' }]}>
+                <Text style={[styles.badgeText, { color: '#EF4444' }]}>Late</Text>
+              </View>
+            ) : null}
             <View style={[styles.badge, { backgroundColor: cardColor + '20' }]}>
               <Text style={[styles.badgeText, { color: cardColor }]}>Academic</Text>
             </View>
@@ -118,8 +674,65 @@ const DetailScreen = ({ route, navigation }) => {
           <Text style={[styles.body, { color: textSecondary }]}>
             {post.body}
           </Text>
+
+          {post.attachments?.length > 0 ? (
+            <View style={styles.attachments}>
+              <Text style={[styles.sectionTitle, { color: textColor }]}>
+                {post.attachments.length === 1 ? '1 Attachment' : `${post.attachments.length} Attachments`}
+              </Text>
+              {post.attachments.map((attachment) => (
+                <TouchableOpacity
+                  key={attachment.id}
+                  style={styles.attachmentRow}
+                  onPress={() => navigation.navigate('AttachmentViewer', { attachment })}
+                  activeOpacity={0.7}
+                >
+                  <View style={[styles.attachmentType, { backgroundColor: cardColor + '20' }]}>
+                    <Text style={[styles.attachmentTypeText, { color: cardColor }]}>
+                      {getAttachmentTypeLabel(attachment.mimeType)}
+                    </Text>
+                  </View>
+                  <View style={styles.attachmentInfo}>
+                    <Text style={[styles.attachmentName, { color: textColor }]} numberOfLines={1}>
+                      {attachment.name}
+                    </Text>
+                    <Text style={[styles.attachmentSize, { color: textSecondary }]}>
+                      {formatFileSize(attachment.size)}
+                    </Text>
+                  </View>
+                  <Text style={styles.attachmentOpen}>Open</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          ) : null}
           
           <View style={styles.divider} />
+
+          {post.assignmentId ? (
+            <View style={styles.section}>
+              <Text style={[styles.sectionTitle, { color: textColor }]}>
+                Assignment
+              </Text>
+              <Text style={[styles.assignmentTitle, { color: textColor }]}>
+                {post.assignmentTitle}
+              </Text>
+              {post.dueAt ? (
+                <Text style={[styles.assignmentMeta, { color: textSecondary }]}>
+                  Due {formatDateTime(post.dueAt)}
+                </Text>
+              ) : null}
+              <Text style={[styles.assignmentStatus, post.late && styles.assignmentLate]}>
+                {describeLateSubmission(post) || 'Submitted on time'}
+              </Text>
+            </View>
+          ) : null}
+
+          <View style={styles.section}>
+            <Text style={[styles.sectionTitle, { color: textColor }]}>
+              Status History
+            </Text>
+            <StatusTimeline post={post} textColor={textColor} textSecondary={textSecondary} />
+          </View>
           
           <View style={styles.section}>
             <Text style={[styles.sectionTitle, { color: textColor }]}>
@@ -147,6 +760,17 @@ const DetailScreen = ({ route, navigation }) => {
         
         {/* Action Buttons */}
         <View style={styles.actionButtons}>
+          <TouchableOpacity
+            style={styles.commentCountButton}
+            onPress={scrollToComments}
+            activeOpacity={0.7}
+          >
+            <Text style={[styles.commentCountText, { color: textColor }]}>
+              {commentsLoading ? 'Comments' : commentCountLabel}
+            </Text>
+            <Text style={styles.commentCountLink}>View</Text>
+          </TouchableOpacity>
+
           <TouchableOpacity
             style={styles.favoriteButton}
             onPress={handleFavoriteToggle}
@@ -170,6 +794,75 @@ const DetailScreen = ({ route, navigation }) => {
           >
             <Text style={styles.shareButtonText}>Share Post</Text>
           </TouchableOpacity>
+
+          {canReviewSubmission(user, post) ? (
+            <TouchableOpacity
+              style={styles.reviewButton}
+              onPress={handleReview}
+              activeOpacity={0.8}
+            >
+              <Text style={styles.reviewButtonText}>Review Submission</Text>
+            </TouchableOpacity>
+          ) : null}
+
+          {canEditSubmission(user, post) ? (
+            <View style={styles.ownerActions}>
+              <TouchableOpacity
+                style={styles.editButton}
+                onPress={handleEdit}
+                disabled={withdrawing}
+                activeOpacity={0.8}
+              >
+                <Text style={styles.editButtonText}>Edit</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.withdrawButton, withdrawing && styles.buttonDisabled]}
+                onPress={handleWithdraw}
+                disabled={withdrawing}
+                activeOpacity={0.8}
+              >
+                <Text style={styles.withdrawButtonText}>
+                  {withdrawing ? 'Withdrawing...' : 'Withdraw'}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          ) : null}
+        </View>
+
+        {/* Comments */}
+        <View
+          style={[styles.commentsCard, { backgroundColor: cardBackground }]}
+          onLayout={(event) => {
+            commentsOffsetRef.current = event.nativeEvent.layout.y;
+          }}
+        >
+          <Text style={[styles.sectionTitle, { color: textColor }]}>
+            {commentsLoading || commentsError ? 'Comments' : commentCountLabel}
+          </Text>
+
+          <View style={styles.composer}>
+            <TextInput
+              style={styles.commentInput}
+              placeholder="Add a comment..."
+              placeholderTextColor="#9CA3AF"
+              value={commentDraft}
+              onChangeText={(value) => {
+                recordActivity();
+                setCommentDraft(value);
+              }}
+              multiline
+            />
+            <TouchableOpacity
+              style={[styles.postCommentButton, !commentDraft.trim() && styles.buttonDisabled]}
+              onPress={handlePostComment}
+              disabled={!commentDraft.trim()}
+              activeOpacity={0.8}
+            >
+              <Text style={styles.postCommentText}>Post</Text>
+            </TouchableOpacity>
+          </View>
+
+          {renderComments()}
         </View>
       </ScrollView>
     </View>
@@ -244,6 +937,9 @@ const styles = StyleSheet.create({
     marginTop: 10,
     fontWeight: '500',
   },
+  cachedBanner: {
+    marginBottom: 16,
+  },
   contentCard: {
     margin: 16,
     marginTop: -25,
@@ -267,6 +963,9 @@ const styles = StyleSheet.create({
     flexDirection: 'row',
     marginBottom: 20,
   },
+  statusBadge: {
+    marginRight: 8,
+  },
   badge: {
     paddingHorizontal: 14,
     paddingVertical: 6,
@@ -283,6 +982,45 @@ const styles = StyleSheet.create({
     marginBottom: 20,
     textTransform: 'capitalize',
   },
+  attachments: {
+    marginTop: 20,
+  },
+  attachmentRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    marginBottom: 8,
+  },
+  attachmentType: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 10,
+    marginRight: 12,
+  },
+  attachmentTypeText: {
+    fontSize: 11,
+    fontWeight: '700',
+  },
+  attachmentInfo: {
+    flex: 1,
+  },
+  attachmentName: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  attachmentSize: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+  attachmentOpen: {
+    color: '#6C63FF',
+    fontSize: 13,
+    fontWeight: '600',
+    marginLeft: 12,
+  },
   divider: {
     height: 1,
     backgroundColor: '#E5E7EB',
@@ -300,6 +1038,24 @@ const styles = StyleSheet.create({
     fontSize: 15,
     lineHeight: 24,
   },
+  assignmentTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  assignmentMeta: {
+    fontSize: 14,
+    marginTop: 4,
+  },
+  assignmentStatus: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#00C9A7',
+    marginTop: 4,
+    marginBottom: 12,
+  },
+  assignmentLate: {
+    color: '#EF4444',
+  },
   actionButtons: {
     paddingHorizontal: 16,
     marginTop: 10,
@@ -336,6 +1092,196 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '600',
   },
+  reviewButton: {
+    backgroundColor: '#00C9A7',
+    padding: 16,
+    borderRadius: 16,
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  reviewButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  ownerActions: {
+    flexDirection: 'row',
+    marginTop: 12,
+  },
+  editButton: {
+    flex: 1,
+    backgroundColor: '#6C63FF',
+    padding: 16,
+    borderRadius: 16,
+    alignItems: 'center',
+    marginRight: 6,
+  },
+  editButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  withdrawButton: {
+    flex: 1,
+    backgroundColor: '#FFFFFF',
+    padding: 16,
+    borderRadius: 16,
+    alignItems: 'center',
+    borderWidth: 2,
+    borderColor: '#EF4444',
+    marginLeft: 6,
+  },
+  withdrawButtonText: {
+    color: '#EF4444',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  commentCountButton: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    padding: 16,
+    borderRadius: 16,
+    marginBottom: 12,
+  },
+  commentCountText: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  commentCountLink: {
+    color: '#6C63FF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  commentsCard: {
+    margin: 16,
+    marginTop: 20,
+    borderRadius: 24,
+    padding: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.08,
+    shadowRadius: 12,
+    elevation: 4,
+  },
+  commentsState: {
+    alignItems: 'center',
+    paddingVertical: 20,
+  },
+  commentsStateText: {
+    marginTop: 8,
+    fontSize: 14,
+  },
+  commentsErrorText: {
+    fontSize: 14,
+    color: '#EF4444',
+    textAlign: 'center',
+    marginBottom: 12,
+  },
+  retryButton: {
+    backgroundColor: '#6C63FF',
+    paddingHorizontal: 24,
+    paddingVertical: 10,
+    borderRadius: 20,
+  },
+  retryText: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  commentItem: {
+    flexDirection: 'row',
+    paddingVertical: 12,
+    borderTopWidth: 1,
+    borderTopColor: '#F3F4F6',
+  },
+  commentAvatar: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  commentAvatarText: {
+    fontSize: 15,
+    fontWeight: '700',
+  },
+  commentContent: {
+    flex: 1,
+  },
+  commentName: {
+    fontSize: 14,
+    fontWeight: '600',
+    textTransform: 'capitalize',
+  },
+  commentEmail: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+  commentBody: {
+    fontSize: 14,
+    lineHeight: 20,
+    marginTop: 6,
+  },
+  composer: {
+    marginBottom: 12,
+  },
+  commentInput: {
+    backgroundColor: '#F9FAFB',
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    borderRadius: 12,
+    padding: 12,
+    marginTop: 8,
+    fontSize: 14,
+    color: '#1F1F1F',
+    minHeight: 44,
+    textAlignVertical: 'top',
+  },
+  postCommentButton: {
+    alignSelf: 'flex-end',
+    backgroundColor: '#6C63FF',
+    paddingHorizontal: 20,
+    paddingVertical: 8,
+    borderRadius: 16,
+    marginTop: 8,
+  },
+  postCommentText: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  commentActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 8,
+  },
+  commentActionText: {
+    color: '#6C63FF',
+    fontSize: 13,
+    fontWeight: '600',
+    marginLeft: 16,
+  },
+  commentDeleteText: {
+    color: '#EF4444',
+  },
+  loadMoreButton: {
+    alignItems: 'center',
+    paddingVertical: 12,
+    marginTop: 4,
+    borderRadius: 12,
+    backgroundColor: '#F3F4F6',
+  },
+  loadMoreText: {
+    color: '#6C63FF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
 });
 
 export default DetailScreen;
@@ -0,0 +1,386 @@
+/**
+ * DraftsScreen.js
+ * Screen listing the logged-in user's autosaved submission drafts
+ * Drafts open in the New Submission form, and can be deleted or submitted
+ * from here once they are complete
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  TouchableOpacity,
+  StyleSheet,
+  RefreshControl,
+  Alert,
+} from 'react-native';
+import { useApp } from '../context/AppContext';
+import { getDrafts, deleteDraft } from '../utils/storage';
+import { createPost } from '../utils/api';
+import { normalizeSubmission, validateSubmission } from '../utils/submission';
+import { isPastDue } from '../utils/assignments';
+import { formatRelativeTime } from '../utils/format';
+
+const DraftsScreen = ({ navigation }) => {
+  const { user } = useApp();
+
+  // State for drafts
+  const [drafts, setDrafts] = useState([]);
+
+  // State for loading
+  const [loading, setLoading] = useState(true);
+
+  // State for refreshing
+  const [refreshing, setRefreshing] = useState(false);
+
+  // State for the draft being submitted
+  const [submittingId, setSubmittingId] = useState(null);
+
+  // Reload drafts whenever the screen is shown, since the form saves them elsewhere
+  useEffect(() => {
+    const unsubscribe = navigation.addListener('focus', () => {
+      loadDrafts();
+    });
+    return unsubscribe;
+  }, [navigation]);
+
+  /**
+   * Load drafts from storage
+   */
+  const loadDrafts = async () => {
+    try {
+      setDrafts(await getDrafts());
+    } catch (error) {
+      console.error('Error loading drafts:', error);
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  };
+
+  /**
+   * Handle pull to refresh
+   */
+  const onRefresh = useCallback(() => {
+    setRefreshing(true);
+    loadDrafts();
+  }, []);
+
+  /**
+   * Open a draft in the submission form
+   * @param {Object} draft - Draft to open
+   */
+  const handleOpen = (draft) => {
+    navigation.navigate('NewSubmission', { draftId: draft.id });
+  };
+
+  /**
+   * Delete a draft after confirming
+   * @param {Object} draft - Draft to delete
+   */
+  const handleDelete = (draft) => {
+    Alert.alert('Delete Draft', 'Are you sure you want to delete this draft?', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: async () => {
+          const result = await deleteDraft(draft.id);
+          if (!result.success) {
+            Alert.alert('Error', result.error || 'Failed to delete draft');
+          }
+          loadDrafts();
+        },
+      },
+    ]);
+  };
+
+  /**
+   * Submit a draft without opening it
+   * Incomplete drafts are opened instead, so the user can finish them
+   * @param {Object} draft - Draft to submit
+   */
+  const handleSubmitNow = async (draft) => {
+    const errors = Object.values(validateSubmission(draft.fields));
+    if (errors.length > 0) {
+      Alert.alert('Draft Incomplete', errors[0], [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Open Draft', onPress: () => handleOpen(draft) },
+      ]);
+      return;
+    }
+
+    setSubmittingId(draft.id);
+    try {
+      const result = await createPost(normalizeSubmission(draft.fields), user);
+      if (result.success) {
+        await deleteDraft(draft.id);
+        setDrafts((current) => current.filter((item) => item.id !== draft.id));
+        navigation.navigate('Home', { screen: 'HomeMain', params: { newPost: result.data } });
+      } else {
+        Alert.alert('Error', result.error || 'Failed to submit');
+      }
+    } catch (error) {
+      Alert.alert('Error', 'An unexpected error occurred');
+    } finally {
+      setSubmittingId(null);
+    }
+  };
+
+  /**
+   * Render list header
+   */
+  const renderHeader = () => (
+    <View style={styles.headerContainer}>
+      <Text style={styles.headerTitle}>Drafts</Text>
+      <Text style={styles.headerSubtitle}>
+        {drafts.length} {drafts.length === 1 ? 'draft' : 'drafts'}, saved as you type
+      </Text>
+    </View>
+  );
+
+  /**
+   * Render individual draft
+   */
+  const renderItem = ({ item }) => {
+    const submitting = submittingId === item.id;
+    const attachmentCount = item.fields.attachments?.length || 0;
+    const { assignment } = item.fields;
+    const meta = [
+      item.fields.course,
+      item.fields.category,
+      attachmentCount > 0 ? `${attachmentCount} ${attachmentCount === 1 ? 'file' : 'files'}` : null,
+    ]
+      .filter(Boolean)
+      .join(' · ');
+
+    return (
+      <TouchableOpacity
+        style={styles.draftItem}
+        onPress={() => handleOpen(item)}
+        activeOpacity={0.85}
+      >
+        <Text style={styles.draftTitle} numberOfLines={2}>
+          {item.fields.title.trim() || 'Untitled draft'}
+        </Text>
+        {meta ? <Text style={styles.draftMeta}>{meta}</Text> : null}
+        {assignment ? (
+          <Text style={[styles.draftAssignment, isPastDue(assignment) && styles.draftAssignmentLate]}>
+            For {assignment.title}
+            {isPastDue(assignment) ? ' · past deadline' : ''}
+          </Text>
+        ) : null}
+        {item.fields.body.trim() ? (
+          <Text style={styles.draftBody} numberOfLines={2}>
+            {item.fields.body}
+          </Text>
+        ) : null}
+        <Text style={styles.draftTime}>Edited {formatRelativeTime(item.updatedAt)}</Text>
+
+        <View style={styles.draftActions}>
+          <TouchableOpacity
+            style={styles.deleteButton}
+            onPress={() => handleDelete(item)}
+            disabled={submitting}
+            activeOpacity={0.7}
+          >
+            <Text style={styles.deleteButtonText}>Delete</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.submitButton, submitting && styles.buttonDisabled]}
+            onPress={() => handleSubmitNow(item)}
+            disabled={submittingId !== null}
+            activeOpacity={0.7}
+          >
+            <Text style={styles.submitButtonText}>
+              {submitting ? 'Submitting...' : 'Submit Now'}
+            </Text>
+          </TouchableOpacity>
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  /**
+   * Render empty list
+   */
+  const renderEmpty = () => (
+    <View style={styles.emptyContainer}>
+      <Text style={styles.emptyIcon}>No Drafts</Text>
+      <Text style={styles.emptyTitle}>No Drafts Yet</Text>
+      <Text style={styles.emptyText}>
+        Submissions you start are saved here until you submit them
+      </Text>
+    </View>
+  );
+
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <Text style={styles.loadingText}>Loading drafts...</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <FlatList
+        data={drafts}
+        renderItem={renderItem}
+        keyExtractor={(item) => item.id}
+        ListHeaderComponent={drafts.length > 0 ? renderHeader : null}
+        ListEmptyComponent={renderEmpty}
+        contentContainerStyle={[
+          styles.listContent,
+          drafts.length === 0 && styles.emptyListContent,
+        ]}
+        refreshControl={
+          <RefreshControl
+            refreshing={refreshing}
+            onRefresh={onRefresh}
+            colors={['#6C63FF']}
+            tintColor="#6C63FF"
+          />
+        }
+        showsVerticalScrollIndicator={false}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F4F6FA',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#F4F6FA',
+  },
+  loadingText: {
+    fontSize: 16,
+    color: '#6B7280',
+  },
+  listContent: {
+    paddingBottom: 30,
+  },
+  emptyListContent: {
+    flexGrow: 1,
+  },
+  headerContainer: {
+    padding: 20,
+    paddingTop: 10,
+  },
+  headerTitle: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#1F1F1F',
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginTop: 6,
+  },
+  draftItem: {
+    backgroundColor: '#FFFFFF',
+    marginHorizontal: 16,
+    marginBottom: 14,
+    borderRadius: 20,
+    padding: 18,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.08,
+    shadowRadius: 12,
+    elevation: 3,
+  },
+  draftTitle: {
+    fontSize: 17,
+    fontWeight: '700',
+    color: '#1F1F1F',
+  },
+  draftMeta: {
+    fontSize: 13,
+    color: '#6C63FF',
+    fontWeight: '600',
+    marginTop: 4,
+  },
+  draftAssignment: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginTop: 4,
+  },
+  draftAssignmentLate: {
+    color: '#EF4444',
+  },
+  draftBody: {
+    fontSize: 14,
+    color: '#6B7280',
+    lineHeight: 20,
+    marginTop: 8,
+  },
+  draftTime: {
+    fontSize: 12,
+    color: '#9CA3AF',
+    marginTop: 10,
+  },
+  draftActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 14,
+  },
+  deleteButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 20,
+    borderWidth: 1.5,
+    borderColor: '#EF4444',
+    marginRight: 10,
+  },
+  deleteButtonText: {
+    color: '#EF4444',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  submitButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 20,
+    backgroundColor: '#6C63FF',
+  },
+  submitButtonText: {
+    color: '#FFFFFF',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  buttonDisabled: {
+    opacity: 0.7,
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyIcon: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: '#6C63FF',
+    marginBottom: 12,
+  },
+  emptyTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#1F1F1F',
+    marginBottom: 8,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#6B7280',
+    textAlign: 'center',
+  },
+});
+
+export default DraftsScreen;
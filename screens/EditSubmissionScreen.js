@@ -0,0 +1,203 @@
+/**
+ * EditSubmissionScreen.js
+ * Form for changing one of the logged-in user's own submissions
+ * Opened from DetailScreen; saving returns there with the updated post
+ * Leaving with unsaved changes asks before discarding them
+ * Saving a submission that was returned resubmits it
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  KeyboardAvoidingView,
+  Platform,
+  Alert,
+} from 'react-native';
+import { CommonActions } from '@react-navigation/native';
+import { useApp } from '../context/AppContext';
+import { updatePost } from '../utils/api';
+import {
+  hasSubmissionChanges,
+  normalizeSubmission,
+  toSubmissionFields,
+  validateSubmission,
+} from '../utils/submission';
+import {
+  SUBMISSION_STATUSES,
+  getSubmissionStatus,
+  transitionSubmission,
+} from '../utils/submissionStatus';
+import SubmissionForm from '../components/SubmissionForm';
+
+const EditSubmissionScreen = ({ route, navigation }) => {
+  // Get the post being edited from route params
+  const { post } = route.params;
+
+  const { user } = useApp();
+
+  // A returned submission goes back to the reviewer when it is saved
+  const resubmitting = getSubmissionStatus(post) === SUBMISSION_STATUSES.RETURNED;
+
+  // State for form fields, starting with the post's current values
+  const [fields, setFields] = useState(() => toSubmissionFields(post));
+
+  // State for field errors
+  const [errors, setErrors] = useState({});
+
+  // State for saving
+  const [saving, setSaving] = useState(false);
+
+  // Set once the changes are saved, so leaving afterwards does not ask
+  const savedRef = useRef(false);
+
+  const hasUnsavedChanges = hasSubmissionChanges(fields, toSubmissionFields(post));
+
+  // Ask before going back would discard unsaved changes
+  useEffect(() => {
+    return navigation.addListener('beforeRemove', (event) => {
+      if (!hasUnsavedChanges || savedRef.current) {
+        return;
+      }
+      event.preventDefault();
+      Alert.alert('Discard Changes', 'You have unsaved changes. Discard them and leave?', [
+        { text: 'Keep Editing', style: 'cancel' },
+        {
+          text: 'Discard',
+          style: 'destructive',
+          onPress: () => navigation.dispatch(event.data.action),
+        },
+      ]);
+    });
+  }, [navigation, hasUnsavedChanges]);
+
+  /**
+   * Update one field, clearing its error
+   * @param {string} name - Field name
+   * @param {*} value - New value, or a function from the current value to the new one
+   */
+  const setField = (name, value) => {
+    setFields((current) => ({
+      ...current,
+      [name]: typeof value === 'function' ? value(current[name]) : value,
+    }));
+    setErrors((current) => ({ ...current, [name]: undefined }));
+  };
+
+  /**
+   * Show the updated post on Home as well as on DetailScreen
+   * @param {Object} updatedPost - Post as the backend stored it
+   */
+  const showUpdatedPost = (updatedPost) => {
+    const homeRoute = navigation.getState().routes.find((item) => item.name === 'HomeMain');
+    if (homeRoute) {
+      navigation.dispatch({
+        ...CommonActions.setParams({ updatedPost }),
+        source: homeRoute.key,
+      });
+    }
+    navigation.navigate({ name: 'Detail', params: { post: updatedPost }, merge: true });
+  };
+
+  /**
+   * Validate and save the changes
+   */
+  const handleSave = async () => {
+    const newErrors = validateSubmission(fields);
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) {
+      return;
+    }
+
+    setSaving(true);
+    try {
+      let changes = normalizeSubmission(fields);
+      if (resubmitting) {
+        const transition = transitionSubmission(post, SUBMISSION_STATUSES.SUBMITTED, {
+          by: user?.username,
+        });
+        changes = { ...changes, ...transition.changes };
+      }
+      const result = await updatePost(post, changes);
+      if (result.success) {
+        savedRef.current = true;
+        showUpdatedPost(result.data);
+      } else {
+        Alert.alert('Error', result.error || 'Failed to save changes');
+      }
+    } catch (err) {
+      Alert.alert('Error', 'An unexpected error occurred');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <KeyboardAvoidingView
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      style={styles.container}
+    >
+      <ScrollView contentContainerStyle={styles.scrollContent} keyboardShouldPersistTaps="handled">
+        <View style={styles.headerRow}>
+          <Text style={styles.title}>Edit Submission</Text>
+          <TouchableOpacity onPress={() => navigation.goBack()} activeOpacity={0.7}>
+            <Text style={styles.cancelText}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+        <Text style={styles.subtitle}>
+          {resubmitting
+            ? 'Address the feedback, then resubmit for review'
+            : 'Changes are visible to everyone once saved'}
+        </Text>
+
+        <SubmissionForm
+          fields={fields}
+          errors={errors}
+          onChangeField={setField}
+          onSubmit={handleSave}
+          submitting={saving}
+          submitLabel={resubmitting ? 'Resubmit' : 'Save Changes'}
+          submittingLabel={resubmitting ? 'Resubmitting...' : 'Saving...'}
+        />
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F4F6FA',
+  },
+  scrollContent: {
+    padding: 20,
+    paddingTop: 60,
+    paddingBottom: 40,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#1F1F1F',
+  },
+  cancelText: {
+    color: '#6C63FF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginTop: 6,
+    marginBottom: 20,
+  },
+});
+
+export default EditSubmissionScreen;
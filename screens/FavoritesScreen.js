@@ -2,6 +2,7 @@
  * FavoritesScreen.js
  * Screen displaying saved favorite posts
  * Loads favorites from AsyncStorage and displays them in a FlatList
+ * Each load also syncs with the backend, dropping posts that were withdrawn
  * Enhanced with premium aesthetic UI
  */
 
@@ -17,7 +18,13 @@ import {
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { useApp } from '../context/AppContext';
-import { getFavorites, removeFromFavorites } from '../utils/storage';
+import {
+  getFavorites,
+  removeFromFavorites,
+  markPostsWithdrawn,
+  markFavoritesSeenOnServer,
+} from '../utils/storage';
+import { findWithdrawnPosts } from '../utils/api';
 
 // Premium color palette
 const cardColors = ['#6C63FF', '#FF6584', '#4A47A3', '#00C9A7', '#FF8C42', '#845EC2'];
@@ -50,6 +57,8 @@ const FavoritesScreen = ({ navigation }) => {
     try {
       const data = await getFavorites();
       setFavorites(data);
+      setLoading(false);
+      await syncFavorites(data);
     } catch (error) {
       console.error('Error loading favorites:', error);
     } finally {
@@ -58,6 +67,27 @@ const FavoritesScreen = ({ navigation }) => {
     }
   };
 
+  /**
+   * Check the favorites against the backend and drop any that were withdrawn
+   * The saved copies stay on screen while this runs, and if it fails
+   * @param {Array} data - Favorites as loaded from storage
+   */
+  const syncFavorites = async (data) => {
+    if (data.length === 0) {
+      return;
+    }
+    const result = await findWithdrawnPosts(data);
+    if (!result.success) {
+      return;
+    }
+    // Favorites the backend returned count as withdrawn if they later answer 404
+    await markFavoritesSeenOnServer(result.found);
+    if (result.data.length > 0) {
+      await markPostsWithdrawn(result.data);
+      setFavorites(await getFavorites());
+    }
+  };
+
   /**
    * Handle pull to refresh
    */
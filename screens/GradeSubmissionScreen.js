@@ -0,0 +1,330 @@
+/**
+ * GradeSubmissionScreen.js
+ * Form for moving a submission through review, for instructors and admins
+ * Opened from DetailScreen; saving returns there with the updated post, and
+ * the change is shown on Home and the Grading screen too
+ * Returning a submission needs feedback, so the author knows what to fix
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  KeyboardAvoidingView,
+  Platform,
+  Alert,
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { CommonActions } from '@react-navigation/native';
+import { useApp } from '../context/AppContext';
+import { updatePostStatus } from '../utils/api';
+import { SUBMISSION_STATUSES, STATUS_DISPLAY } from '../utils/submissionStatus';
+import { getReviewStatuses } from '../utils/permissions';
+import StatusBadge from '../components/StatusBadge';
+
+const GradeSubmissionScreen = ({ route, navigation }) => {
+  // Get the post being reviewed from route params
+  const { post } = route.params;
+
+  const { user, recordActivity } = useApp();
+
+  const choices = getReviewStatuses(post);
+
+  // State for the status to move the submission to
+  const [status, setStatus] = useState(choices.length === 1 ? choices[0] : null);
+
+  // State for feedback to the author
+  const [note, setNote] = useState('');
+
+  // State for field errors
+  const [errors, setErrors] = useState({});
+
+  // State for saving
+  const [saving, setSaving] = useState(false);
+
+  /**
+   * Show the updated post wherever it is listed, then on DetailScreen
+   * @param {Object} updatedPost - Post as the backend stored it
+   */
+  const showUpdatedPost = (updatedPost) => {
+    const homeRoute = navigation.getState().routes.find((item) => item.name === 'HomeMain');
+    if (homeRoute) {
+      navigation.dispatch({
+        ...CommonActions.setParams({ updatedPost }),
+        source: homeRoute.key,
+      });
+    }
+    const drawer = navigation.getParent();
+    const gradingRoute = drawer?.getState().routes.find((item) => item.name === 'Grading');
+    if (gradingRoute) {
+      drawer.dispatch({
+        ...CommonActions.setParams({ updatedPost }),
+        source: gradingRoute.key,
+      });
+    }
+    navigation.navigate({ name: 'Detail', params: { post: updatedPost }, merge: true });
+  };
+
+  /**
+   * Validate and save the review
+   */
+  const handleSave = async () => {
+    const newErrors = {};
+    if (!status) {
+      newErrors.status = 'Choose what happens next';
+    } else if (status === SUBMISSION_STATUSES.RETURNED && !note.trim()) {
+      newErrors.note = 'Tell the author what to change';
+    }
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) {
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const result = await updatePostStatus(post, status, {
+        by: user?.username,
+        note: note.trim() || undefined,
+      });
+      if (result.success) {
+        showUpdatedPost(result.data);
+      } else {
+        Alert.alert('Error', result.error || 'Failed to update the submission');
+      }
+    } catch (err) {
+      Alert.alert('Error', 'An unexpected error occurred');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <KeyboardAvoidingView
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      style={styles.container}
+    >
+      <ScrollView contentContainerStyle={styles.scrollContent} keyboardShouldPersistTaps="handled">
+        <View style={styles.headerRow}>
+          <Text style={styles.title}>Review Submission</Text>
+          <TouchableOpacity onPress={() => navigation.goBack()} activeOpacity={0.7}>
+            <Text style={styles.cancelText}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+        <Text style={styles.subtitle}>The author sees your feedback in the status history</Text>
+
+        <View style={styles.summaryCard}>
+          <StatusBadge post={post} style={styles.summaryBadge} />
+          <Text style={styles.summaryTitle}>{post.title}</Text>
+          <Text style={styles.summaryMeta}>
+            {[post.authorName, post.course, post.late ? 'Late' : null].filter(Boolean).join(' · ')}
+          </Text>
+        </View>
+
+        {/* Status Chips */}
+        <View style={styles.inputContainer}>
+          <Text style={styles.inputLabel}>Move to</Text>
+          <View style={styles.chipRow}>
+            {choices.map((choice) => {
+              const selected = status === choice;
+              const { label, color } = STATUS_DISPLAY[choice];
+              return (
+                <TouchableOpacity
+                  key={choice}
+                  style={[styles.chip, selected && { borderColor: color, backgroundColor: color }]}
+                  onPress={() => {
+                    setStatus(choice);
+                    setErrors({});
+                  }}
+                  activeOpacity={0.7}
+                >
+                  <Text style={[styles.chipText, selected && styles.chipTextSelected]}>{label}</Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+          {errors.status ? <Text style={styles.errorText}>{errors.status}</Text> : null}
+        </View>
+
+        {/* Feedback Input */}
+        <View style={styles.inputContainer}>
+          <Text style={styles.inputLabel}>Feedback</Text>
+          <TextInput
+            style={[styles.input, styles.noteInput, errors.note && styles.inputError]}
+            placeholder={
+              status === SUBMISSION_STATUSES.GRADED
+                ? 'The grade and any comments'
+                : 'Comments for the author'
+            }
+            placeholderTextColor="#9CA3AF"
+            value={note}
+            onChangeText={(value) => {
+              recordActivity();
+              setNote(value);
+              setErrors((current) => ({ ...current, note: undefined }));
+            }}
+            multiline
+            textAlignVertical="top"
+          />
+          {errors.note ? <Text style={styles.errorText}>{errors.note}</Text> : null}
+        </View>
+
+        {/* Save Button */}
+        <TouchableOpacity
+          style={[styles.button, saving && styles.buttonDisabled]}
+          onPress={handleSave}
+          disabled={saving}
+        >
+          <LinearGradient
+            colors={['#6C63FF', '#4A47A3']}
+            start={{ x: 0, y: 0 }}
+            end={{ x: 1, y: 0 }}
+            style={styles.buttonGradient}
+          >
+            <Text style={styles.buttonText}>{saving ? 'Saving...' : 'Save Review'}</Text>
+          </LinearGradient>
+        </TouchableOpacity>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F4F6FA',
+  },
+  scrollContent: {
+    padding: 20,
+    paddingTop: 60,
+    paddingBottom: 40,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#1F1F1F',
+  },
+  cancelText: {
+    color: '#6C63FF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginTop: 6,
+    marginBottom: 20,
+  },
+  summaryCard: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 20,
+    padding: 18,
+    marginBottom: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.08,
+    shadowRadius: 12,
+    elevation: 3,
+  },
+  summaryBadge: {
+    alignSelf: 'flex-start',
+    marginBottom: 10,
+  },
+  summaryTitle: {
+    fontSize: 17,
+    fontWeight: '700',
+    color: '#1F1F1F',
+    textTransform: 'capitalize',
+  },
+  summaryMeta: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginTop: 4,
+  },
+  inputContainer: {
+    marginBottom: 18,
+  },
+  inputLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1F1F1F',
+    marginBottom: 10,
+    marginLeft: 5,
+  },
+  input: {
+    borderWidth: 1.5,
+    borderColor: '#E5E7EB',
+    borderRadius: 16,
+    padding: 16,
+    fontSize: 16,
+    color: '#1F1F1F',
+    backgroundColor: '#FFFFFF',
+  },
+  noteInput: {
+    minHeight: 120,
+  },
+  inputError: {
+    borderColor: '#EF4444',
+  },
+  errorText: {
+    color: '#EF4444',
+    fontSize: 12,
+    marginTop: 6,
+    marginLeft: 5,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 20,
+    borderWidth: 1.5,
+    borderColor: '#E5E7EB',
+    backgroundColor: '#FFFFFF',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#6B7280',
+    fontWeight: '500',
+  },
+  chipTextSelected: {
+    color: '#FFFFFF',
+  },
+  button: {
+    borderRadius: 16,
+    overflow: 'hidden',
+    marginTop: 8,
+    shadowColor: '#6C63FF',
+    shadowOffset: { width: 0, height: 8 },
+    shadowOpacity: 0.3,
+    shadowRadius: 12,
+    elevation: 6,
+  },
+  buttonDisabled: {
+    opacity: 0.7,
+  },
+  buttonGradient: {
+    padding: 18,
+    alignItems: 'center',
+  },
+  buttonText: {
+    color: '#FFFFFF',
+    fontSize: 18,
+    fontWeight: 'bold',
+    letterSpacing: 1,
+  },
+});
+
+export default GradeSubmissionScreen;
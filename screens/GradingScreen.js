@@ -0,0 +1,369 @@
+/**
+ * GradingScreen.js
+ * Queue of submissions waiting for review, for instructors and admins
+ * Submissions are fetched a page at a time and only the ones the user can
+ * move on are shown; opening one shows it on DetailScreen, where it is reviewed
+ */
+
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  TouchableOpacity,
+  StyleSheet,
+  ActivityIndicator,
+  RefreshControl,
+} from 'react-native';
+import { useApp } from '../context/AppContext';
+import { fetchPosts } from '../utils/api';
+import { isCancelled } from '../utils/http';
+import { canReviewSubmission } from '../utils/permissions';
+import { formatRelativeTime } from '../utils/format';
+import StatusBadge from '../components/StatusBadge';
+import CachedDataBanner from '../components/CachedDataBanner';
+
+const GradingScreen = ({ navigation, route }) => {
+  const { user } = useApp();
+
+  // State for every submission fetched so far
+  const [posts, setPosts] = useState([]);
+
+  // State for the last page fetched and whether there are more
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(true);
+
+  // State for when the first page was cached, if it may be out of date
+  const [cachedAt, setCachedAt] = useState(null);
+
+  // State for loading
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  // State for refreshing
+  const [refreshing, setRefreshing] = useState(false);
+
+  // State for error
+  const [error, setError] = useState(null);
+
+  // Guards against fetching the same page twice while scrolling
+  const loadingMoreRef = useRef(false);
+
+  // Cancels requests still in flight when the screen unmounts
+  const abortControllerRef = useRef(null);
+
+  // Load the first page on mount
+  useEffect(() => {
+    abortControllerRef.current = new AbortController();
+    loadPosts();
+    return () => abortControllerRef.current.abort();
+  }, []);
+
+  // A submission reviewed on GradeSubmissionScreen, passed back as a param
+  const updatedPost = route?.params?.updatedPost;
+
+  // Show the review's result in place; submissions with nothing left to do drop out
+  useEffect(() => {
+    if (updatedPost) {
+      setPosts((current) =>
+        current.map((post) => (post.id === updatedPost.id ? { ...post, ...updatedPost } : post))
+      );
+    }
+  }, [updatedPost]);
+
+  /**
+   * Load the first page of submissions
+   * @param {boolean} forceRefresh - Skip the cache unless the request fails
+   */
+  const loadPosts = async (forceRefresh = false) => {
+    try {
+      setError(null);
+      const result = await fetchPosts({
+        page: 1,
+        forceRefresh,
+        signal: abortControllerRef.current.signal,
+      });
+      if (isCancelled(result)) {
+        return;
+      }
+      if (result.success) {
+        setPosts(result.data);
+        setPage(1);
+        setHasMore(result.hasMore);
+        setCachedAt(result.cachedAt);
+      } else {
+        setError(result.error || 'Failed to load submissions');
+      }
+    } catch (err) {
+      setError('An unexpected error occurred');
+      console.error('Error loading submissions:', err);
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  };
+
+  /**
+   * Load the next page of submissions when the list is scrolled to the end
+   */
+  const loadMorePosts = async () => {
+    if (loadingMoreRef.current || !hasMore || loading || refreshing) {
+      return;
+    }
+
+    try {
+      loadingMoreRef.current = true;
+      setLoadingMore(true);
+      const result = await fetchPosts({
+        page: page + 1,
+        signal: abortControllerRef.current.signal,
+      });
+      if (isCancelled(result)) {
+        return;
+      }
+      if (result.success) {
+        setPosts((current) => {
+          const ids = new Set(current.map((post) => post.id));
+          return [...current, ...result.data.filter((post) => !ids.has(post.id))];
+        });
+        setPage(result.page);
+        setHasMore(result.hasMore);
+      }
+    } catch (err) {
+      console.error('Error loading more submissions:', err);
+    } finally {
+      loadingMoreRef.current = false;
+      setLoadingMore(false);
+    }
+  };
+
+  /**
+   * Handle pull to refresh
+   */
+  const onRefresh = useCallback(() => {
+    setRefreshing(true);
+    loadPosts(true);
+  }, []);
+
+  /**
+   * Open a submission on DetailScreen, above Home so that Back returns there
+   * @param {Object} post - Submission pressed
+   */
+  const handlePostPress = (post) => {
+    navigation.navigate('Home', { screen: 'Detail', params: { post }, initial: false });
+  };
+
+  const queue = posts.filter((post) => canReviewSubmission(user, post));
+
+  /**
+   * Render list header
+   */
+  const renderHeader = () => (
+    <View style={styles.headerContainer}>
+      <Text style={styles.headerTitle}>Grading</Text>
+      <Text style={styles.headerSubtitle}>
+        {queue.length} {queue.length === 1 ? 'submission' : 'submissions'} waiting for you
+        {hasMore ? ' so far' : ''}
+      </Text>
+      <CachedDataBanner cachedAt={cachedAt} style={styles.cachedBanner} />
+    </View>
+  );
+
+  /**
+   * Render individual submission
+   */
+  const renderItem = ({ item }) => (
+    <TouchableOpacity
+      style={styles.postItem}
+      onPress={() => handlePostPress(item)}
+      activeOpacity={0.85}
+    >
+      <View style={styles.itemHeader}>
+        <StatusBadge post={item} />
+        {item.late ? (
+          <View style={styles.lateBadge}>
+            <Text style={styles.lateText}>Late</Text>
+          </View>
+        ) : null}
+      </View>
+      <Text style={styles.postTitle} numberOfLines={2}>
+        {item.title}
+      </Text>
+      <Text style={styles.postMeta}>
+        {[
+          item.authorName || `User ${item.userId}`,
+          item.assignmentTitle || item.course,
+          formatRelativeTime(item.createdAt),
+        ]
+          .filter(Boolean)
+          .join(' · ')}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  /**
+   * Render the list's loading, error or empty state
+   */
+  const renderEmpty = () => {
+    if (loading) {
+      return (
+        <View style={styles.emptyContainer}>
+          <ActivityIndicator size="large" color="#6C63FF" />
+        </View>
+      );
+    }
+
+    return (
+      <View style={styles.emptyContainer}>
+        {error ? (
+          <>
+            <Text style={styles.errorText}>{error}</Text>
+            <TouchableOpacity style={styles.retryButton} onPress={() => loadPosts(true)}>
+              <Text style={styles.retryText}>Retry</Text>
+            </TouchableOpacity>
+          </>
+        ) : (
+          <>
+            <Text style={styles.emptyTitle}>All Caught Up</Text>
+            <Text style={styles.emptyText}>No submissions are waiting for review</Text>
+          </>
+        )}
+      </View>
+    );
+  };
+
+  /**
+   * Render the spinner shown while the next page loads
+   */
+  const renderFooter = () =>
+    loadingMore ? <ActivityIndicator style={styles.footerSpinner} color="#6C63FF" /> : null;
+
+  return (
+    <View style={styles.container}>
+      <FlatList
+        data={queue}
+        renderItem={renderItem}
+        keyExtractor={(item) => item.id.toString()}
+        ListHeaderComponent={renderHeader}
+        ListEmptyComponent={renderEmpty}
+        ListFooterComponent={renderFooter}
+        onEndReached={loadMorePosts}
+        onEndReachedThreshold={0.5}
+        contentContainerStyle={styles.listContent}
+        refreshControl={
+          <RefreshControl
+            refreshing={refreshing}
+            onRefresh={onRefresh}
+            colors={['#6C63FF']}
+            tintColor="#6C63FF"
+          />
+        }
+        showsVerticalScrollIndicator={false}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F4F6FA',
+  },
+  listContent: {
+    paddingBottom: 30,
+  },
+  headerContainer: {
+    padding: 20,
+    paddingTop: 10,
+  },
+  headerTitle: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#1F1F1F',
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginTop: 6,
+  },
+  cachedBanner: {
+    marginTop: 12,
+  },
+  postItem: {
+    backgroundColor: '#FFFFFF',
+    marginHorizontal: 16,
+    marginBottom: 14,
+    borderRadius: 20,
+    padding: 18,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.08,
+    shadowRadius: 12,
+    elevation: 3,
+  },
+  itemHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  lateBadge: {
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+    borderRadius: 20,
+    backgroundColor: '#EF444420',
+    marginLeft: 8,
+  },
+  lateText: {
+    fontSize: 12,
+    fontWeight: '700',
+    color: '#EF4444',
+  },
+  postTitle: {
+    fontSize: 17,
+    fontWeight: '700',
+    color: '#1F1F1F',
+    textTransform: 'capitalize',
+  },
+  postMeta: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginTop: 6,
+  },
+  footerSpinner: {
+    marginVertical: 20,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#1F1F1F',
+    marginBottom: 8,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#6B7280',
+    textAlign: 'center',
+  },
+  errorText: {
+    fontSize: 16,
+    color: '#EF4444',
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  retryButton: {
+    backgroundColor: '#6C63FF',
+    paddingHorizontal: 24,
+    paddingVertical: 12,
+    borderRadius: 20,
+  },
+  retryText: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+});
+
+export default GradingScreen;
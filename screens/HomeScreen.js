@@ -5,7 +5,7 @@
  * Enhanced with premium aesthetic UI
  */
 
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import {
   View,
   Text,
@@ -17,12 +17,17 @@ import {
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { useApp } from '../context/AppContext';
-import { fetchPosts } from '../utils/api';
+import { fetchPosts, fetchUserDirectory } from '../utils/api';
+import { getInitials } from '../utils/format';
+import { isCancelled, HTTP_ERROR_TYPES } from '../utils/http';
+import { hasPermission, PERMISSIONS } from '../utils/permissions';
+import CachedDataBanner from '../components/CachedDataBanner';
+import StatusBadge from '../components/StatusBadge';
 
 // Premium color palette
 const cardColors = ['#6C63FF', '#FF6584', '#4A47A3', '#00C9A7', '#FF8C42', '#845EC2'];
 
-const HomeScreen = ({ navigation }) => {
+const HomeScreen = ({ navigation, route }) => {
   // State for posts data
   const [posts, setPosts] = useState([]);
   
@@ -35,26 +40,121 @@ const HomeScreen = ({ navigation }) => {
   // State for error
   const [error, setError] = useState(null);
 
+  // State for the error's type, to tell connection problems from server errors
+  const [errorType, setErrorType] = useState(null);
+
+  // State for pagination
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+
+  // State for loading the next page
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [loadMoreError, setLoadMoreError] = useState(null);
+
+  // Guards against onEndReached firing again while a page is loading
+  const loadingMoreRef = useRef(false);
+
+  // State for pages shown from cache, mapping page number to when it was cached
+  const [cachedPages, setCachedPages] = useState({});
+
+  // State for post authors, keyed by user ID
+  const [authors, setAuthors] = useState({});
+
+  // Cancels requests still in flight when the screen unmounts
+  const abortControllerRef = useRef(null);
+
   // Get app context for dark mode
-  const { darkMode } = useApp();
+  const { darkMode, user } = useApp();
 
   // Load posts on mount
   useEffect(() => {
+    abortControllerRef.current = new AbortController();
     loadPosts();
+    loadAuthors();
+    return () => abortControllerRef.current.abort();
   }, []);
 
+  // Submissions created, edited or withdrawn on other screens, passed back as params
+  const { newPost, updatedPost, withdrawnPostId } = route?.params || {};
+
+  // Show a submission the server has just accepted at the top of the list
+  useEffect(() => {
+    if (newPost) {
+      setPosts((current) => [newPost, ...current.filter((post) => post.id !== newPost.id)]);
+    }
+  }, [newPost]);
+
+  // Show an edited submission's new values in place
+  useEffect(() => {
+    if (updatedPost) {
+      setPosts((current) =>
+        current.map((post) => (post.id === updatedPost.id ? { ...post, ...updatedPost } : post))
+      );
+    }
+  }, [updatedPost]);
+
+  // Drop a withdrawn submission from the list
+  useEffect(() => {
+    if (withdrawnPostId) {
+      setPosts((current) => current.filter((post) => post.id !== withdrawnPostId));
+    }
+  }, [withdrawnPostId]);
+
   /**
-   * Load posts from API
+   * Record whether a page is being shown from cache
+   * @param {number} pageNumber - Page number
+   * @param {number|null} cachedAt - When the page was cached, or null if it is fresh
    */
-  const loadPosts = async () => {
+  const markPageCached = (pageNumber, cachedAt) => {
+    setCachedPages((current) => {
+      const { [pageNumber]: previous, ...rest } = current;
+      return cachedAt ? { ...rest, [pageNumber]: cachedAt } : rest;
+    });
+  };
+
+  /**
+   * Apply a page that was revalidated in the background
+   * Posts already shown are updated in place; new posts go at the top for the
+   * first page and at the bottom otherwise
+   * @param {Object} result - Fresh page result from fetchPosts
+   */
+  const handlePageUpdate = (result) => {
+    setPosts((current) => {
+      const fresh = new Map(result.data.map((post) => [post.id, post]));
+      const updated = current.map((post) => fresh.get(post.id) || post);
+      const shown = new Set(current.map((post) => post.id));
+      const added = result.data.filter((post) => !shown.has(post.id));
+      return result.page === 1 ? [...added, ...updated] : [...updated, ...added];
+    });
+    markPageCached(result.page, null);
+  };
+
+  /**
+   * Load the first page of posts from API
+   * @param {boolean} forceRefresh - Skip the cache unless the request fails
+   */
+  const loadPosts = async (forceRefresh = false) => {
     try {
       setError(null);
-      const result = await fetchPosts();
+      setLoadMoreError(null);
+      const result = await fetchPosts({
+        page: 1,
+        forceRefresh,
+        onUpdate: handlePageUpdate,
+        signal: abortControllerRef.current.signal,
+      });
       
+      if (isCancelled(result)) {
+        return;
+      }
       if (result.success) {
-        setPosts(result.data.slice(0, 20));
+        setPosts(result.data);
+        setPage(1);
+        setHasMore(result.hasMore);
+        setCachedPages(result.cachedAt ? { 1: result.cachedAt } : {});
       } else {
         setError(result.error || 'Failed to load posts');
+        setErrorType(result.errorType);
       }
     } catch (err) {
       setError('An unexpected error occurred');
@@ -65,12 +165,67 @@ const HomeScreen = ({ navigation }) => {
     }
   };
 
+  /**
+   * Load the next page of posts when the list is scrolled to the end
+   */
+  const loadMorePosts = async () => {
+    if (loadingMoreRef.current || !hasMore || loading || refreshing) {
+      return;
+    }
+
+    try {
+      loadingMoreRef.current = true;
+      setLoadingMore(true);
+      setLoadMoreError(null);
+      const result = await fetchPosts({
+        page: page + 1,
+        onUpdate: handlePageUpdate,
+        signal: abortControllerRef.current.signal,
+      });
+
+      if (isCancelled(result)) {
+        return;
+      }
+      if (result.success) {
+        // Skip posts already shown, in case the list shifted between pages
+        setPosts((current) => {
+          const ids = new Set(current.map((post) => post.id));
+          return [...current, ...result.data.filter((post) => !ids.has(post.id))];
+        });
+        setPage(result.page);
+        setHasMore(result.hasMore);
+        markPageCached(result.page, result.cachedAt);
+      } else {
+        setLoadMoreError(result.error || 'Failed to load more posts');
+      }
+    } catch (err) {
+      setLoadMoreError('An unexpected error occurred');
+      console.error('Error loading more posts:', err);
+    } finally {
+      loadingMoreRef.current = false;
+      setLoadingMore(false);
+    }
+  };
+
+  /**
+   * Load author names for the post cards
+   * Cards fall back to the user ID if this fails
+   * @param {boolean} forceRefresh - Skip the cache unless the request fails
+   */
+  const loadAuthors = async (forceRefresh = false) => {
+    const result = await fetchUserDirectory({ forceRefresh });
+    if (result.success) {
+      setAuthors(result.data);
+    }
+  };
+
   /**
    * Handle pull to refresh
    */
   const onRefresh = useCallback(() => {
     setRefreshing(true);
-    loadPosts();
+    loadPosts(true);
+    loadAuthors(true);
   }, []);
 
   /**
@@ -80,6 +235,13 @@ const HomeScreen = ({ navigation }) => {
     navigation.navigate('Detail', { post });
   };
 
+  /**
+   * Navigate to the author's profile
+   */
+  const handleAuthorPress = (userId) => {
+    navigation.navigate('Author', { userId });
+  };
+
   /**
    * Get card color based on index
    */
@@ -92,6 +254,9 @@ const HomeScreen = ({ navigation }) => {
    */
   const renderItem = ({ item, index }) => {
     const cardColor = getCardColor(index);
+    // Posts submitted from the app carry the auth backend's user ID, which is not a directory user
+    const hasProfile = Boolean(item.userId) && !item.authorEmail;
+    const authorName = (hasProfile && authors[item.userId]?.name) || item.authorName || `User ${item.userId}`;
     
     return (
       <TouchableOpacity
@@ -106,6 +271,7 @@ const HomeScreen = ({ navigation }) => {
           style={styles.cardGradient}
         >
           <View style={styles.cardHeader}>
+            <StatusBadge post={item} onColor />
             <View style={styles.idBadge}>
               <Text style={styles.idBadgeText}>#{item.id}</Text>
             </View>
@@ -124,15 +290,30 @@ const HomeScreen = ({ navigation }) => {
             <Text style={styles.readMore}>
               Read more
             </Text>
-            <View style={styles.userBadge}>
-              <Text style={styles.userBadgeText}>User {item.userId}</Text>
-            </View>
+            <TouchableOpacity
+              style={styles.userBadge}
+              onPress={() => handleAuthorPress(item.userId)}
+              // Posts submitted from the app have no author profile to open
+              disabled={!hasProfile}
+              activeOpacity={0.7}
+            >
+              <View style={styles.userInitials}>
+                <Text style={[styles.userInitialsText, { color: cardColor }]}>
+                  {getInitials(authorName)}
+                </Text>
+              </View>
+              <Text style={styles.userBadgeText} numberOfLines={1}>{authorName}</Text>
+            </TouchableOpacity>
           </View>
         </LinearGradient>
       </TouchableOpacity>
     );
   };
 
+  // Oldest cache time among the pages shown, or null if all are fresh
+  const cacheTimes = Object.values(cachedPages);
+  const cachedAt = cacheTimes.length > 0 ? Math.min(...cacheTimes) : null;
+
   /**
    * Render list header
    */
@@ -151,6 +332,23 @@ const HomeScreen = ({ navigation }) => {
           <Text style={styles.searchIcon}>Search</Text>
         </TouchableOpacity>
       </View>
+
+      {hasPermission(user, PERMISSIONS.SUBMIT_WORK) ? (
+        <TouchableOpacity
+          style={styles.newSubmissionButton}
+          onPress={() => navigation.navigate('NewSubmission')}
+          activeOpacity={0.85}
+        >
+          <LinearGradient
+            colors={['#6C63FF', '#4A47A3']}
+            start={{ x: 0, y: 0 }}
+            end={{ x: 1, y: 0 }}
+            style={styles.newSubmissionGradient}
+          >
+            <Text style={styles.newSubmissionText}>+ New Submission</Text>
+          </LinearGradient>
+        </TouchableOpacity>
+      ) : null}
       
       <View style={styles.statsContainer}>
         <View style={styles.statItem}>
@@ -166,9 +364,15 @@ const HomeScreen = ({ navigation }) => {
           <Text style={styles.statLabel}>Reads</Text>
         </View>
       </View>
+
+      <CachedDataBanner cachedAt={cachedAt} style={styles.cachedBanner} />
     </View>
   );
 
+  // Connection problems are shown differently from errors the server reported
+  const isConnectionError =
+    errorType === HTTP_ERROR_TYPES.NETWORK || errorType === HTTP_ERROR_TYPES.TIMEOUT;
+
   /**
    * Render empty list
    */
@@ -176,9 +380,9 @@ const HomeScreen = ({ navigation }) => {
     <View style={styles.emptyContainer}>
       {error ? (
         <>
-          <Text style={styles.errorIcon}>!</Text>
+          <Text style={styles.errorIcon}>{isConnectionError ? 'Offline' : '!'}</Text>
           <Text style={styles.errorText}>{error}</Text>
-          <TouchableOpacity style={styles.retryButton} onPress={loadPosts}>
+          <TouchableOpacity style={styles.retryButton} onPress={() => loadPosts(true)}>
             <Text style={styles.retryText}>Retry</Text>
           </TouchableOpacity>
         </>
@@ -196,6 +400,33 @@ const HomeScreen = ({ navigation }) => {
     </View>
   );
 
+  /**
+   * Render list footer with the next page's loading or error state
+   */
+  const renderFooter = () => {
+    if (loadingMore) {
+      return (
+        <View style={styles.footerContainer}>
+          <ActivityIndicator size="small" color="#6C63FF" />
+          <Text style={styles.footerText}>Loading more posts...</Text>
+        </View>
+      );
+    }
+
+    if (loadMoreError) {
+      return (
+        <View style={styles.footerContainer}>
+          <Text style={styles.footerErrorText}>{loadMoreError}</Text>
+          <TouchableOpacity style={styles.retryButton} onPress={loadMorePosts}>
+            <Text style={styles.retryText}>Retry</Text>
+          </TouchableOpacity>
+        </View>
+      );
+    }
+
+    return null;
+  };
+
   const backgroundColor = '#F4F6FA';
 
   if (loading) {
@@ -217,6 +448,9 @@ const HomeScreen = ({ navigation }) => {
         keyExtractor={(item) => item.id.toString()}
         ListHeaderComponent={renderHeader}
         ListEmptyComponent={renderEmpty}
+        ListFooterComponent={renderFooter}
+        onEndReached={loadMoreError ? undefined : loadMorePosts}
+        onEndReachedThreshold={0.5}
         contentContainerStyle={styles.listContent}
         refreshControl={
           <RefreshControl
@@ -283,6 +517,20 @@ const styles = StyleSheet.create({
     fontSize: 13,
     fontWeight: '600',
   },
+  newSubmissionButton: {
+    borderRadius: 16,
+    overflow: 'hidden',
+    marginBottom: 20,
+  },
+  newSubmissionGradient: {
+    paddingVertical: 14,
+    alignItems: 'center',
+  },
+  newSubmissionText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
   statsContainer: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -310,6 +558,9 @@ const styles = StyleSheet.create({
     color: '#6B7280',
     marginTop: 4,
   },
+  cachedBanner: {
+    marginTop: 16,
+  },
   postItem: {
     marginBottom: 18,
     borderRadius: 20,
@@ -327,7 +578,8 @@ const styles = StyleSheet.create({
   },
   cardHeader: {
     flexDirection: 'row',
-    justifyContent: 'flex-end',
+    justifyContent: 'space-between',
+    alignItems: 'center',
   },
   idBadge: {
     backgroundColor: 'rgba(255, 255, 255, 0.25)',
@@ -368,6 +620,8 @@ const styles = StyleSheet.create({
     color: '#FFFFFF',
   },
   userBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
     backgroundColor: 'rgba(255, 255, 255, 0.25)',
     paddingHorizontal: 10,
     paddingVertical: 4,
@@ -377,6 +631,20 @@ const styles = StyleSheet.create({
     color: '#FFFFFF',
     fontSize: 11,
     fontWeight: '500',
+    maxWidth: 140,
+  },
+  userInitials: {
+    width: 20,
+    height: 20,
+    borderRadius: 10,
+    backgroundColor: '#FFFFFF',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 6,
+  },
+  userInitialsText: {
+    fontSize: 9,
+    fontWeight: '700',
   },
   emptyContainer: {
     flex: 1,
@@ -425,6 +693,21 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: '600',
   },
+  footerContainer: {
+    alignItems: 'center',
+    paddingVertical: 20,
+  },
+  footerText: {
+    marginTop: 8,
+    fontSize: 13,
+    color: '#6B7280',
+  },
+  footerErrorText: {
+    fontSize: 14,
+    color: '#EF4444',
+    textAlign: 'center',
+    marginBottom: 12,
+  },
 });
 
 export default HomeScreen;
@@ -0,0 +1,193 @@
+/**
+ * LockScreen.js
+ * Full-screen app lock shown over the navigator while the PIN is required
+ * Too many wrong PINs log the user out
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { useApp } from '../context/AppContext';
+import { APP_LOCK_POLICY } from '../utils/storage';
+
+const LockScreen = () => {
+  const [pin, setPin] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const { user, unlockApp, clearUserData } = useApp();
+
+  /**
+   * Handle unlock button press
+   */
+  const handleUnlock = async () => {
+    setError('');
+    if (pin.length < APP_LOCK_POLICY.pinMinLength) {
+      setError('Please enter your PIN');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const result = await unlockApp(pin);
+      if (!result.success) {
+        setPin('');
+        setError(
+          result.attemptsLeft
+            ? `${result.error}. ${result.attemptsLeft} attempts left before logout.`
+            : result.error || 'Incorrect PIN'
+        );
+      }
+    } catch (err) {
+      setError('An unexpected error occurred');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <LinearGradient
+        colors={['#6C63FF', '#4A47A3']}
+        style={styles.gradient}
+      >
+        <KeyboardAvoidingView
+          behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+          style={styles.keyboardView}
+        >
+          <View style={styles.logoCircle}>
+            <Text style={styles.logoText}>A</Text>
+          </View>
+          <Text style={styles.title}>App Locked</Text>
+          <Text style={styles.subtitle}>
+            Enter your PIN to continue{user?.username ? `, ${user.username}` : ''}
+          </Text>
+
+          <TextInput
+            style={styles.pinInput}
+            value={pin}
+            onChangeText={(text) => setPin(text.replace(/[^0-9]/g, ''))}
+            keyboardType="number-pad"
+            secureTextEntry
+            maxLength={APP_LOCK_POLICY.pinMaxLength}
+            autoFocus
+            onSubmitEditing={handleUnlock}
+          />
+
+          {error ? <Text style={styles.errorText}>{error}</Text> : null}
+
+          <TouchableOpacity
+            style={[styles.button, loading && styles.buttonDisabled]}
+            onPress={handleUnlock}
+            disabled={loading}
+            activeOpacity={0.8}
+          >
+            <Text style={styles.buttonText}>{loading ? 'Checking...' : 'Unlock'}</Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity onPress={clearUserData}>
+            <Text style={styles.link}>Log out instead</Text>
+          </TouchableOpacity>
+        </KeyboardAvoidingView>
+      </LinearGradient>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    ...StyleSheet.absoluteFillObject,
+    zIndex: 1000,
+    elevation: 1000,
+  },
+  gradient: {
+    flex: 1,
+  },
+  keyboardView: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  logoCircle: {
+    width: 100,
+    height: 100,
+    borderRadius: 50,
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: 20,
+    borderWidth: 3,
+    borderColor: 'rgba(255, 255, 255, 0.4)',
+  },
+  logoText: {
+    fontSize: 48,
+    fontWeight: 'bold',
+    color: '#FFFFFF',
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#FFFFFF',
+    letterSpacing: 1,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: 'rgba(255, 255, 255, 0.8)',
+    marginTop: 8,
+    marginBottom: 30,
+  },
+  pinInput: {
+    width: 200,
+    borderRadius: 16,
+    padding: 16,
+    fontSize: 28,
+    letterSpacing: 12,
+    textAlign: 'center',
+    color: '#1F1F1F',
+    backgroundColor: '#FFFFFF',
+  },
+  errorText: {
+    color: '#FFFFFF',
+    backgroundColor: 'rgba(239, 68, 68, 0.8)',
+    borderRadius: 12,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    fontSize: 14,
+    marginTop: 16,
+    textAlign: 'center',
+  },
+  button: {
+    width: 200,
+    backgroundColor: '#FFFFFF',
+    borderRadius: 16,
+    padding: 16,
+    alignItems: 'center',
+    marginTop: 24,
+    marginBottom: 20,
+  },
+  buttonDisabled: {
+    opacity: 0.7,
+  },
+  buttonText: {
+    color: '#6C63FF',
+    fontSize: 18,
+    fontWeight: 'bold',
+    letterSpacing: 1,
+  },
+  link: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: 'bold',
+    textDecorationLine: 'underline',
+  },
+});
+
+export default LockScreen;
@@ -3,7 +3,7 @@
  * Screen for user authentication with premium aesthetic UI
  */
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   View,
   Text,
@@ -17,15 +17,50 @@ import {
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { useApp } from '../context/AppContext';
-import { validateUser } from '../utils/storage';
+import { getAuthProvider } from '../utils/auth';
+
+/**
+ * Format a duration as m:ss for the lockout countdown
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration
+ */
+const formatCountdown = (ms) => {
+  const totalSeconds = Math.ceil(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+};
 
 const LoginScreen = ({ navigation }) => {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  // Time (ms since epoch) when the next attempt is allowed after repeated failures
+  const [retryAt, setRetryAt] = useState(null);
+  const [remaining, setRemaining] = useState(0);
   const { setUserData } = useApp();
 
+  // Count down until login attempts are allowed again
+  useEffect(() => {
+    if (!retryAt) {
+      return undefined;
+    }
+    const tick = () => {
+      const left = retryAt - Date.now();
+      if (left <= 0) {
+        setRetryAt(null);
+        setRemaining(0);
+        setError('');
+      } else {
+        setRemaining(left);
+      }
+    };
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [retryAt]);
+
   const handleLogin = async () => {
     setError('');
     if (!email.trim() || !password) {
@@ -35,7 +70,8 @@ const LoginScreen = ({ navigation }) => {
 
     setLoading(true);
     try {
-      const result = await validateUser(email.trim().toLowerCase(), password);
+      const result = await getAuthProvider().login(email.trim().toLowerCase(), password);
+      setRetryAt(result.retryAt || null);
       if (result.success) {
         setUserData(result.user);
         navigation.reset({
@@ -80,6 +116,11 @@ const LoginScreen = ({ navigation }) => {
               {error ? (
                 <View style={styles.errorContainer}>
                   <Text style={styles.errorText}>{error}</Text>
+                  {retryAt ? (
+                    <Text style={styles.countdownText}>
+                      Try again in {formatCountdown(remaining)}
+                    </Text>
+                  ) : null}
                 </View>
               ) : null}
 
@@ -110,10 +151,20 @@ const LoginScreen = ({ navigation }) => {
                 />
               </View>
 
+              {/* Only providers that keep the password on the device can reset it here */}
+              {getAuthProvider().resetPassword ? (
+                <TouchableOpacity
+                  style={styles.forgotContainer}
+                  onPress={() => navigation.navigate('ResetPassword', { email: email.trim() })}
+                >
+                  <Text style={styles.link}>Forgot password?</Text>
+                </TouchableOpacity>
+              ) : null}
+
               <TouchableOpacity 
-                style={[styles.button, loading && styles.buttonDisabled]} 
+                style={[styles.button, (loading || retryAt) && styles.buttonDisabled]} 
                 onPress={handleLogin}
-                disabled={loading}
+                disabled={loading || Boolean(retryAt)}
               >
                 <LinearGradient
                   colors={['#6C63FF', '#4A47A3']}
@@ -223,6 +274,13 @@ const styles = StyleSheet.create({
     fontSize: 14,
     textAlign: 'center',
   },
+  countdownText: {
+    color: '#EF4444',
+    fontSize: 16,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginTop: 6,
+  },
   inputContainer: {
     marginBottom: 18,
   },
@@ -242,6 +300,11 @@ const styles = StyleSheet.create({
     color: '#1F1F1F',
     backgroundColor: '#F9FAFB',
   },
+  forgotContainer: {
+    alignSelf: 'flex-end',
+    marginTop: -6,
+    marginRight: 5,
+  },
   button: {
     borderRadius: 16,
     overflow: 'hidden',
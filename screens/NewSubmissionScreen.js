@@ -0,0 +1,456 @@
+/**
+ * NewSubmissionScreen.js
+ * Form for creating a new academic submission
+ * Reached from the Home header and the drawer; the new post is shown at the
+ * top of Home once the server has accepted it
+ * Work in progress is autosaved as a draft while the user types, and whenever
+ * they leave the screen or the app; opening a draft from the Drafts screen
+ * restores its fields and cursor
+ * Opened from the Assignments screen, the submission is made for that
+ * assignment and is flagged late if it is sent after the deadline
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  KeyboardAvoidingView,
+  Platform,
+  Alert,
+  AppState,
+} from 'react-native';
+import { useApp } from '../context/AppContext';
+import { createPost, fetchAssignmentById } from '../utils/api';
+import { getDraft, saveDraft, deleteDraft } from '../utils/storage';
+import {
+  EMPTY_SUBMISSION,
+  DRAFT_AUTOSAVE_DELAY_MS,
+  createDraftId,
+  isEmptySubmission,
+  normalizeSubmission,
+  validateSubmission,
+} from '../utils/submission';
+import { isPastDue, describeDueDate, describeLatePolicy } from '../utils/assignments';
+import { formatRelativeTime } from '../utils/format';
+import SubmissionForm from '../components/SubmissionForm';
+
+const NewSubmissionScreen = ({ navigation, route }) => {
+  const { user } = useApp();
+
+  // Draft to open, passed by the Drafts screen
+  const requestedDraftId = route?.params?.draftId;
+
+  // Assignment to submit against, passed by the Assignments screen
+  const requestedAssignment = route?.params?.assignment;
+
+  // State for form fields
+  const [fields, setFields] = useState(EMPTY_SUBMISSION);
+
+  // State for field errors
+  const [errors, setErrors] = useState({});
+
+  // State for submitting
+  const [submitting, setSubmitting] = useState(false);
+
+  // State for the focused field and its cursor range, saved with the draft
+  const [selection, setSelection] = useState(null);
+
+  // State for the cursor to put back when a draft is opened
+  const [restoreSelection, setRestoreSelection] = useState(null);
+
+  // State for when the draft was last saved, or whether saving failed
+  const [savedAt, setSavedAt] = useState(null);
+  const [saveFailed, setSaveFailed] = useState(false);
+
+  // Changes the form is remounted for, so that a restored field can take focus
+  const [formKey, setFormKey] = useState(0);
+
+  // Draft being edited, and whether it has changes not yet saved
+  // Kept in refs so that saves triggered by blur and AppState see the latest values
+  const draftIdRef = useRef(null);
+  const dirtyRef = useRef(false);
+  const latestRef = useRef({ fields, selection });
+  latestRef.current = { fields, selection };
+
+  // Open the draft passed in, if it is not already open
+  useEffect(() => {
+    if (requestedDraftId && requestedDraftId !== draftIdRef.current) {
+      openDraft(requestedDraftId);
+    }
+  }, [requestedDraftId]);
+
+  // Start a submission for the assignment passed in, unless the form is already for it
+  useEffect(() => {
+    if (requestedAssignment && requestedAssignment.id !== latestRef.current.fields.assignment?.id) {
+      startForAssignment(requestedAssignment);
+    }
+  }, [requestedAssignment]);
+
+  // Save the draft once typing pauses
+  useEffect(() => {
+    if (!dirtyRef.current) {
+      return undefined;
+    }
+    const timer = setTimeout(flushDraft, DRAFT_AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [fields, selection]);
+
+  // Save at once when the user leaves the screen or the app, so nothing is lost
+  useEffect(() => {
+    const unsubscribe = navigation.addListener('blur', flushDraft);
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state !== 'active') {
+        flushDraft();
+      }
+    });
+    return () => {
+      unsubscribe();
+      subscription.remove();
+    };
+  }, [navigation]);
+
+  /**
+   * Load a saved draft into the form
+   * @param {string} draftId - Draft ID
+   */
+  const openDraft = async (draftId) => {
+    await flushDraft();
+    const draft = await getDraft(draftId);
+    if (!draft) {
+      Alert.alert('Draft Not Found', 'This draft may have been submitted or deleted.');
+      return;
+    }
+    draftIdRef.current = draft.id;
+    dirtyRef.current = false;
+    setFields({ ...EMPTY_SUBMISSION, ...draft.fields });
+    setSelection(draft.selection || null);
+    setRestoreSelection(draft.selection || null);
+    setErrors({});
+    setSavedAt(draft.updatedAt);
+    setSaveFailed(false);
+    setFormKey((key) => key + 1);
+    if (draft.fields.assignment) {
+      refreshAssignment(draft.fields.assignment.id);
+    }
+  };
+
+  /**
+   * Replace the draft's copy of its assignment with the current one, so that a
+   * changed due date or late policy is shown and checked
+   * @param {number} assignmentId - Assignment ID
+   */
+  const refreshAssignment = async (assignmentId) => {
+    const result = await fetchAssignmentById(assignmentId, { forceRefresh: true });
+    if (result.success) {
+      setFields((current) =>
+        current.assignment?.id === assignmentId ? { ...current, assignment: result.data } : current
+      );
+    }
+  };
+
+  /**
+   * Start a new submission for an assignment, keeping the current work as a draft
+   * @param {Object} assignment - Assignment to submit against
+   */
+  const startForAssignment = async (assignment) => {
+    await flushDraft();
+    draftIdRef.current = null;
+    dirtyRef.current = true;
+    setFields({ ...EMPTY_SUBMISSION, course: assignment.course, assignment });
+    setSelection(null);
+    setRestoreSelection(null);
+    setErrors({});
+    setSavedAt(null);
+    setSaveFailed(false);
+    setFormKey((key) => key + 1);
+  };
+
+  /**
+   * Save unsaved changes to the draft, creating it on the first change
+   * A blank form is not saved until something is entered
+   */
+  const flushDraft = async () => {
+    if (!dirtyRef.current) {
+      return;
+    }
+    const { fields: currentFields, selection: currentSelection } = latestRef.current;
+    if (!draftIdRef.current && isEmptySubmission(currentFields)) {
+      dirtyRef.current = false;
+      return;
+    }
+
+    dirtyRef.current = false;
+    draftIdRef.current = draftIdRef.current || createDraftId();
+    const result = await saveDraft({
+      id: draftIdRef.current,
+      fields: currentFields,
+      selection: currentSelection,
+    });
+    if (result.success) {
+      setSavedAt(result.draft.updatedAt);
+      setSaveFailed(false);
+    } else {
+      // Try again on the next change
+      dirtyRef.current = true;
+      setSaveFailed(true);
+    }
+  };
+
+  /**
+   * Clear the form and forget the draft it was editing
+   */
+  const resetForm = () => {
+    draftIdRef.current = null;
+    dirtyRef.current = false;
+    setFields(EMPTY_SUBMISSION);
+    setSelection(null);
+    setRestoreSelection(null);
+    setErrors({});
+    setSavedAt(null);
+    setSaveFailed(false);
+    navigation.setParams({ draftId: undefined, assignment: undefined });
+  };
+
+  /**
+   * Update one field, clearing its error
+   * @param {string} name - Field name
+   * @param {*} value - New value, or a function from the current value to the new one
+   */
+  const setField = (name, value) => {
+    dirtyRef.current = true;
+    setRestoreSelection(null);
+    setFields((current) => ({
+      ...current,
+      [name]: typeof value === 'function' ? value(current[name]) : value,
+    }));
+    setErrors((current) => ({ ...current, [name]: undefined }));
+  };
+
+  /**
+   * Remember where the cursor is, to restore it with the draft
+   * @param {string} name - Field name
+   * @param {Object} range - Object with start and end
+   */
+  const handleSelectionChange = (name, range) => {
+    // The restored cursor is only applied once; after that the field is left alone
+    if (
+      restoreSelection &&
+      restoreSelection.field === name &&
+      restoreSelection.start === range.start &&
+      restoreSelection.end === range.end
+    ) {
+      setRestoreSelection(null);
+    }
+    dirtyRef.current = true;
+    setSelection({ field: name, start: range.start, end: range.end });
+  };
+
+  /**
+   * Validate and send the submission
+   */
+  const handleSubmit = async () => {
+    const newErrors = validateSubmission(fields);
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) {
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const result = await createPost(normalizeSubmission(fields), user);
+      if (result.success) {
+        if (draftIdRef.current) {
+          await deleteDraft(draftIdRef.current);
+        }
+        resetForm();
+        navigation.navigate('Home', { screen: 'HomeMain', params: { newPost: result.data } });
+      } else {
+        Alert.alert('Error', result.error || 'Failed to submit');
+      }
+    } catch (err) {
+      Alert.alert('Error', 'An unexpected error occurred');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  /**
+   * Delete the draft and clear the form, after confirming
+   */
+  const handleDiscard = () => {
+    Alert.alert('Discard Draft', 'Are you sure you want to discard this draft?', [
+      { text: 'Keep Editing', style: 'cancel' },
+      {
+        text: 'Discard',
+        style: 'destructive',
+        onPress: async () => {
+          if (draftIdRef.current) {
+            await deleteDraft(draftIdRef.current);
+          }
+          resetForm();
+        },
+      },
+    ]);
+  };
+
+  /**
+   * Describe the draft's save state
+   * @returns {string|null} Status text, or null before anything is saved
+   */
+  const getDraftStatus = () => {
+    if (saveFailed) {
+      return 'Draft could not be saved';
+    }
+    if (savedAt) {
+      return `Draft saved ${formatRelativeTime(savedAt)}`;
+    }
+    return null;
+  };
+
+  const draftStatus = getDraftStatus();
+  const canDiscard = Boolean(savedAt) || !isEmptySubmission(fields);
+  const { assignment } = fields;
+
+  return (
+    <KeyboardAvoidingView
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      style={styles.container}
+    >
+      <ScrollView contentContainerStyle={styles.scrollContent} keyboardShouldPersistTaps="handled">
+        <View style={styles.headerRow}>
+          <Text style={styles.title}>New Submission</Text>
+          {canDiscard ? (
+            <TouchableOpacity onPress={handleDiscard} activeOpacity={0.7}>
+              <Text style={styles.discardText}>Discard</Text>
+            </TouchableOpacity>
+          ) : null}
+        </View>
+        <Text style={styles.subtitle}>Share your work with your class</Text>
+        {draftStatus ? (
+          <Text style={[styles.draftStatus, saveFailed && styles.draftStatusError]}>
+            {draftStatus}
+          </Text>
+        ) : null}
+
+        {assignment ? (
+          <View style={styles.assignmentCard}>
+            <View style={styles.assignmentHeader}>
+              <Text style={styles.assignmentLabel}>Submitting for</Text>
+              <TouchableOpacity onPress={() => setField('assignment', null)} activeOpacity={0.7}>
+                <Text style={styles.assignmentRemove}>Remove</Text>
+              </TouchableOpacity>
+            </View>
+            <Text style={styles.assignmentTitle}>{assignment.title}</Text>
+            <Text style={styles.assignmentMeta}>
+              {describeDueDate(assignment)} · {describeLatePolicy(assignment)}
+            </Text>
+            {errors.assignment ? (
+              <Text style={styles.assignmentWarning}>{errors.assignment}</Text>
+            ) : isPastDue(assignment) ? (
+              <Text style={styles.assignmentWarning}>
+                The deadline has passed, so this submission will be marked late
+              </Text>
+            ) : null}
+          </View>
+        ) : null}
+
+        <SubmissionForm
+          key={formKey}
+          fields={fields}
+          errors={errors}
+          onChangeField={setField}
+          onSubmit={handleSubmit}
+          submitting={submitting}
+          restoreSelection={restoreSelection}
+          onSelectionChange={handleSelectionChange}
+        />
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F4F6FA',
+  },
+  scrollContent: {
+    padding: 20,
+    paddingBottom: 40,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#1F1F1F',
+  },
+  discardText: {
+    color: '#EF4444',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginTop: 6,
+    marginBottom: 20,
+  },
+  draftStatus: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: -12,
+    marginBottom: 12,
+  },
+  draftStatusError: {
+    color: '#EF4444',
+  },
+  assignmentCard: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 16,
+    borderLeftWidth: 4,
+    borderLeftColor: '#6C63FF',
+    padding: 14,
+    marginBottom: 16,
+  },
+  assignmentHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  assignmentLabel: {
+    fontSize: 12,
+    color: '#6B7280',
+    fontWeight: '600',
+    textTransform: 'uppercase',
+  },
+  assignmentRemove: {
+    color: '#EF4444',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  assignmentTitle: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#1F1F1F',
+    marginTop: 6,
+  },
+  assignmentMeta: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginTop: 4,
+  },
+  assignmentWarning: {
+    fontSize: 13,
+    color: '#EF4444',
+    marginTop: 8,
+  },
+});
+
+export default NewSubmissionScreen;
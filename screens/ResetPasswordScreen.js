@@ -0,0 +1,356 @@
+/**
+ * ResetPasswordScreen.js
+ * Screen for resetting a forgotten password with a recovery code
+ * Where there is no secure store the reset deletes the user's favorites and
+ * drafts, so the user is asked to confirm first
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  KeyboardAvoidingView,
+  Platform,
+  ScrollView,
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { getAuthProvider } from '../utils/auth';
+import { resetKeepsUserData } from '../utils/storage';
+import { getPasswordError } from '../utils/password';
+
+const ResetPasswordScreen = ({ route, navigation }) => {
+  // State for form fields
+  const [email, setEmail] = useState(route.params?.email || '');
+  const [recoveryCode, setRecoveryCode] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+
+  // State for loading
+  const [loading, setLoading] = useState(false);
+
+  // State for error messages
+  const [error, setError] = useState('');
+  const [errors, setErrors] = useState({
+    email: '',
+    recoveryCode: '',
+    newPassword: '',
+    confirmPassword: '',
+  });
+
+  /**
+   * Validate form input
+   * @returns {boolean} True if valid, false otherwise
+   */
+  const validateForm = () => {
+    const newErrors = {
+      email: email.trim() ? '' : 'Email is required',
+      recoveryCode: recoveryCode.trim() ? '' : 'Recovery code is required',
+      newPassword: getPasswordError(newPassword),
+      confirmPassword: newPassword === confirmPassword ? '' : 'Passwords do not match',
+    };
+
+    setErrors(newErrors);
+    return !Object.values(newErrors).some(Boolean);
+  };
+
+  /**
+   * Handle reset button press
+   */
+  const handleReset = async () => {
+    setError('');
+    if (!validateForm()) {
+      return;
+    }
+
+    if (!getAuthProvider().resetPassword) {
+      setError('Passwords for this server cannot be reset in the app');
+      return;
+    }
+
+    if (await resetKeepsUserData()) {
+      resetPassword();
+      return;
+    }
+
+    Alert.alert(
+      'Saved Data Will Be Deleted',
+      'Your favorites and drafts on this device are encrypted with your old password, ' +
+        'so resetting it deletes them. Reset anyway?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Reset', style: 'destructive', onPress: resetPassword },
+      ]
+    );
+  };
+
+  /**
+   * Reset the password with the recovery code entered
+   */
+  const resetPassword = async () => {
+    setLoading(true);
+    try {
+      const result = await getAuthProvider().resetPassword(email, recoveryCode, newPassword);
+      if (result.success) {
+        Alert.alert(
+          'Password Reset',
+          `Your password has been changed. You have ${result.remainingCodes} recovery codes left.`,
+          [{ text: 'Login', onPress: () => navigation.navigate('Login') }]
+        );
+      } else {
+        setError(result.error || 'Failed to reset password');
+      }
+    } catch (err) {
+      setError('An unexpected error occurred');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <LinearGradient
+        colors={['#6C63FF', '#4A47A3']}
+        style={styles.gradient}
+      >
+        <KeyboardAvoidingView
+          behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+          style={styles.keyboardView}
+        >
+          <ScrollView contentContainerStyle={styles.scrollContent}>
+            {/* Form Card */}
+            <View style={styles.formCard}>
+              <Text style={styles.formTitle}>Reset Password</Text>
+              <Text style={styles.formSubtitle}>Use one of your recovery codes</Text>
+
+              {error ? (
+                <View style={styles.errorContainer}>
+                  <Text style={styles.errorBannerText}>{error}</Text>
+                </View>
+              ) : null}
+
+              {/* Email Input */}
+              <View style={styles.inputContainer}>
+                <Text style={styles.inputLabel}>Email</Text>
+                <TextInput
+                  style={[styles.input, errors.email && styles.inputError]}
+                  placeholder="Enter your email"
+                  placeholderTextColor="#9CA3AF"
+                  value={email}
+                  onChangeText={setEmail}
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                  keyboardType="email-address"
+                />
+                {errors.email ? (
+                  <Text style={styles.errorText}>{errors.email}</Text>
+                ) : null}
+              </View>
+
+              {/* Recovery Code Input */}
+              <View style={styles.inputContainer}>
+                <Text style={styles.inputLabel}>Recovery Code</Text>
+                <TextInput
+                  style={[styles.input, errors.recoveryCode && styles.inputError]}
+                  placeholder="XXXX-XXXX"
+                  placeholderTextColor="#9CA3AF"
+                  value={recoveryCode}
+                  onChangeText={setRecoveryCode}
+                  autoCapitalize="characters"
+                  autoCorrect={false}
+                />
+                {errors.recoveryCode ? (
+                  <Text style={styles.errorText}>{errors.recoveryCode}</Text>
+                ) : null}
+              </View>
+
+              {/* New Password Input */}
+              <View style={styles.inputContainer}>
+                <Text style={styles.inputLabel}>New Password</Text>
+                <TextInput
+                  style={[styles.input, errors.newPassword && styles.inputError]}
+                  placeholder="Enter a new password"
+                  placeholderTextColor="#9CA3AF"
+                  value={newPassword}
+                  onChangeText={setNewPassword}
+                  secureTextEntry
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                />
+                {errors.newPassword ? (
+                  <Text style={styles.errorText}>{errors.newPassword}</Text>
+                ) : null}
+              </View>
+
+              {/* Confirm Password Input */}
+              <View style={styles.inputContainer}>
+                <Text style={styles.inputLabel}>Confirm Password</Text>
+                <TextInput
+                  style={[styles.input, errors.confirmPassword && styles.inputError]}
+                  placeholder="Enter the new password again"
+                  placeholderTextColor="#9CA3AF"
+                  value={confirmPassword}
+                  onChangeText={setConfirmPassword}
+                  secureTextEntry
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                />
+                {errors.confirmPassword ? (
+                  <Text style={styles.errorText}>{errors.confirmPassword}</Text>
+                ) : null}
+              </View>
+
+              {/* Reset Button */}
+              <TouchableOpacity
+                style={[styles.button, loading && styles.buttonDisabled]}
+                onPress={handleReset}
+                disabled={loading}
+              >
+                <LinearGradient
+                  colors={['#6C63FF', '#4A47A3']}
+                  start={{ x: 0, y: 0 }}
+                  end={{ x: 1, y: 0 }}
+                  style={styles.buttonGradient}
+                >
+                  <Text style={styles.buttonText}>
+                    {loading ? 'Resetting...' : 'Reset Password'}
+                  </Text>
+                </LinearGradient>
+              </TouchableOpacity>
+
+              {/* Login Link */}
+              <View style={styles.linkContainer}>
+                <Text style={styles.linkText}>Remembered it? </Text>
+                <TouchableOpacity onPress={() => navigation.navigate('Login')}>
+                  <Text style={styles.link}>Login</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          </ScrollView>
+        </KeyboardAvoidingView>
+      </LinearGradient>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  gradient: {
+    flex: 1,
+  },
+  keyboardView: {
+    flex: 1,
+  },
+  scrollContent: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    padding: 20,
+  },
+  formCard: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 24,
+    padding: 28,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 20 },
+    shadowOpacity: 0.15,
+    shadowRadius: 30,
+    elevation: 15,
+  },
+  formTitle: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#1F1F1F',
+    textAlign: 'center',
+  },
+  formSubtitle: {
+    fontSize: 14,
+    color: '#6B7280',
+    textAlign: 'center',
+    marginBottom: 25,
+  },
+  errorContainer: {
+    backgroundColor: '#FEE2E2',
+    borderWidth: 1,
+    borderColor: '#EF4444',
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 18,
+  },
+  errorBannerText: {
+    color: '#EF4444',
+    fontSize: 14,
+    textAlign: 'center',
+  },
+  inputContainer: {
+    marginBottom: 18,
+  },
+  inputLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1F1F1F',
+    marginBottom: 10,
+    marginLeft: 5,
+  },
+  input: {
+    borderWidth: 1.5,
+    borderColor: '#E5E7EB',
+    borderRadius: 16,
+    padding: 16,
+    fontSize: 16,
+    color: '#1F1F1F',
+    backgroundColor: '#F9FAFB',
+  },
+  inputError: {
+    borderColor: '#EF4444',
+  },
+  errorText: {
+    color: '#EF4444',
+    fontSize: 12,
+    marginTop: 6,
+    marginLeft: 5,
+  },
+  button: {
+    borderRadius: 16,
+    overflow: 'hidden',
+    marginTop: 15,
+    marginBottom: 22,
+    shadowColor: '#6C63FF',
+    shadowOffset: { width: 0, height: 8 },
+    shadowOpacity: 0.3,
+    shadowRadius: 12,
+    elevation: 6,
+  },
+  buttonDisabled: {
+    opacity: 0.7,
+  },
+  buttonGradient: {
+    padding: 18,
+    alignItems: 'center',
+  },
+  buttonText: {
+    color: '#FFFFFF',
+    fontSize: 18,
+    fontWeight: 'bold',
+    letterSpacing: 1,
+  },
+  linkContainer: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+  },
+  linkText: {
+    color: '#6B7280',
+    fontSize: 14,
+  },
+  link: {
+    color: '#6C63FF',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+});
+
+export default ResetPasswordScreen;
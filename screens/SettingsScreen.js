@@ -1,7 +1,8 @@
 /**
  * SettingsScreen.js
  * Screen for app settings
- * Includes dark mode toggle, notifications toggle, and test notification button
+ * Includes dark mode toggle, notifications toggle, test notification button,
+ * and account security (app lock, change password, recovery codes)
  * Enhanced with premium aesthetic UI
  */
 
@@ -14,10 +15,26 @@ import {
   Switch,
   Alert,
   ScrollView,
+  TextInput,
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import * as Notifications from 'expo-notifications';
 import { useApp } from '../context/AppContext';
+import { APP_LOCK_POLICY } from '../utils/storage';
+import { getAuthProvider } from '../utils/auth';
+import { getPasswordError } from '../utils/password';
+import { getEnvironmentNames } from '../utils/environment';
+
+// How long the app may stay in the background before the app lock applies
+const LOCK_TIMEOUT_OPTIONS = [
+  { label: 'Immediately', value: 0 },
+  { label: '1 min', value: 60 * 1000 },
+  { label: '5 min', value: 5 * 60 * 1000 },
+  { label: '15 min', value: 15 * 60 * 1000 },
+];
+
+// Taps on the version text that reveal the developer section
+const DEVELOPER_UNLOCK_TAPS = 7;
 
 // Configure notification behavior
 Notifications.setNotificationHandler({
@@ -36,11 +53,35 @@ const SettingsScreen = ({ navigation }) => {
     toggleDarkMode, 
     toggleNotifications,
     clearUserData,
+    appLockEnabled,
+    appLockTimeoutMs,
+    enableAppLock,
+    disableAppLock,
+    updateAppLockTimeout,
+    environment,
+    switchEnvironment,
   } = useApp();
 
   // State for notification permission
   const [notificationPermission, setNotificationPermission] = useState(null);
 
+  // State for the change password form
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [passwordErrors, setPasswordErrors] = useState({});
+  const [savingPassword, setSavingPassword] = useState(false);
+
+  // State for the app-lock PIN form
+  const [showPinForm, setShowPinForm] = useState(false);
+  const [pin, setPin] = useState('');
+  const [confirmPin, setConfirmPin] = useState('');
+  const [pinError, setPinError] = useState('');
+
+  // State for the hidden developer section
+  const [versionTaps, setVersionTaps] = useState(0);
+  const showDeveloperSection = versionTaps >= DEVELOPER_UNLOCK_TAPS;
+
   // Check notification permission on mount
   useEffect(() => {
     checkNotificationPermission();
@@ -98,6 +139,162 @@ const SettingsScreen = ({ navigation }) => {
     }
   };
 
+  /**
+   * Handle the app lock switch
+   */
+  const handleAppLockToggle = (value) => {
+    if (value) {
+      setShowPinForm(true);
+      return;
+    }
+
+    Alert.alert('Disable App Lock', 'The app will no longer ask for your PIN.', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Disable',
+        style: 'destructive',
+        onPress: async () => {
+          await disableAppLock();
+          setShowPinForm(false);
+        },
+      },
+    ]);
+  };
+
+  /**
+   * Validate and save the app-lock PIN
+   */
+  const handleSavePin = async () => {
+    const digitsOnly = /^[0-9]+$/.test(pin);
+    if (
+      !digitsOnly ||
+      pin.length < APP_LOCK_POLICY.pinMinLength ||
+      pin.length > APP_LOCK_POLICY.pinMaxLength
+    ) {
+      setPinError(
+        `PIN must be ${APP_LOCK_POLICY.pinMinLength}-${APP_LOCK_POLICY.pinMaxLength} digits`
+      );
+      return;
+    }
+    if (pin !== confirmPin) {
+      setPinError('PINs do not match');
+      return;
+    }
+
+    const result = await enableAppLock(pin);
+    if (result.success) {
+      setPin('');
+      setConfirmPin('');
+      setPinError('');
+      setShowPinForm(false);
+      Alert.alert('App Lock', 'Your PIN has been saved.');
+    } else {
+      setPinError(result.error || 'Failed to save PIN');
+    }
+  };
+
+  /**
+   * Validate and submit the change password form
+   */
+  const handleChangePassword = async () => {
+    const errors = {
+      currentPassword: currentPassword ? '' : 'Current password is required',
+      newPassword: getPasswordError(newPassword),
+      confirmPassword: newPassword === confirmPassword ? '' : 'Passwords do not match',
+    };
+    setPasswordErrors(errors);
+    if (Object.values(errors).some(Boolean)) {
+      return;
+    }
+
+    setSavingPassword(true);
+    try {
+      const result = await getAuthProvider().changePassword(currentPassword, newPassword);
+      if (result.success) {
+        setCurrentPassword('');
+        setNewPassword('');
+        setConfirmPassword('');
+        Alert.alert('Success', 'Your password has been changed.');
+      } else if (result.field) {
+        setPasswordErrors({ [result.field]: result.error });
+      } else {
+        Alert.alert('Error', result.error || 'Failed to change password');
+      }
+    } finally {
+      setSavingPassword(false);
+    }
+  };
+
+  /**
+   * Replace the recovery codes after checking the current password
+   */
+  const handleRegenerateCodes = async () => {
+    if (!currentPassword) {
+      setPasswordErrors({ currentPassword: 'Enter your current password to generate new codes' });
+      return;
+    }
+
+    setSavingPassword(true);
+    try {
+      const result = await getAuthProvider().regenerateRecoveryCodes(currentPassword);
+      if (result.success) {
+        setCurrentPassword('');
+        setPasswordErrors({});
+        Alert.alert(
+          'New Recovery Codes',
+          'Your old codes no longer work. Save these somewhere safe:\n\n' +
+            result.recoveryCodes.join('\n')
+        );
+      } else if (result.field) {
+        setPasswordErrors({ [result.field]: result.error });
+      } else {
+        Alert.alert('Error', result.error || 'Failed to generate recovery codes');
+      }
+    } finally {
+      setSavingPassword(false);
+    }
+  };
+
+  /**
+   * Count taps on the version text, revealing the developer section after enough
+   */
+  const handleVersionPress = () => {
+    const taps = versionTaps + 1;
+    setVersionTaps(taps);
+    if (taps === DEVELOPER_UNLOCK_TAPS) {
+      Alert.alert('Developer Options', 'Developer options are now shown above.');
+    }
+  };
+
+  /**
+   * Confirm and switch the backend environment
+   * Switching logs the user out, since their session belongs to the old backend
+   * @param {string} name - Environment name
+   */
+  const handleEnvironmentChange = (name) => {
+    if (name === environment.name) {
+      return;
+    }
+
+    Alert.alert(
+      'Switch Environment',
+      `Switch to ${name}? You will be logged out and cached data will be cleared.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Switch',
+          style: 'destructive',
+          onPress: async () => {
+            const result = await switchEnvironment(name);
+            if (!result.success) {
+              Alert.alert('Error', result.error || 'Failed to switch environment');
+            }
+          },
+        },
+      ]
+    );
+  };
+
   /**
    * Handle logout
    */
@@ -128,6 +325,9 @@ const SettingsScreen = ({ navigation }) => {
   const textSecondary = '#6B7280';
   const primaryColor = '#6C63FF';
 
+  // Password features are only shown where the provider keeps the password
+  const authProvider = getAuthProvider();
+
   return (
     <ScrollView style={[styles.container, { backgroundColor }]}>
       <View style={styles.content}>
@@ -227,6 +427,192 @@ const SettingsScreen = ({ navigation }) => {
           </View>
         </View>
 
+        {/* App Lock Section */}
+        <View style={styles.section}>
+          <Text style={[styles.sectionTitle, { color: textColor }]}>
+            App Lock
+          </Text>
+
+          <View style={[styles.settingCard, { backgroundColor: cardBackground }]}>
+            <View style={styles.settingItem}>
+              <View style={styles.settingInfo}>
+                <View style={[styles.iconContainer, { backgroundColor: '#845EC220' }]}>
+                  <Text style={[styles.iconText, { color: '#845EC2' }]}>PIN</Text>
+                </View>
+                <View style={styles.settingText}>
+                  <Text style={[styles.settingLabel, { color: textColor }]}>Require PIN</Text>
+                  <Text style={[styles.settingDescription, { color: textSecondary }]}>
+                    Lock the app on launch and after time in the background
+                  </Text>
+                </View>
+              </View>
+              <Switch
+                value={appLockEnabled || showPinForm}
+                onValueChange={handleAppLockToggle}
+                trackColor={{ false: '#E5E7EB', true: primaryColor + '80' }}
+                thumbColor={appLockEnabled ? primaryColor : '#F9FAFB'}
+              />
+            </View>
+
+            {showPinForm ? (
+              <View style={styles.formCard}>
+                <TextInput
+                  style={[styles.input, pinError && styles.inputError]}
+                  placeholder="New PIN"
+                  placeholderTextColor="#9CA3AF"
+                  value={pin}
+                  onChangeText={setPin}
+                  keyboardType="number-pad"
+                  secureTextEntry
+                  maxLength={APP_LOCK_POLICY.pinMaxLength}
+                />
+                <TextInput
+                  style={[styles.input, pinError && styles.inputError]}
+                  placeholder="Confirm PIN"
+                  placeholderTextColor="#9CA3AF"
+                  value={confirmPin}
+                  onChangeText={setConfirmPin}
+                  keyboardType="number-pad"
+                  secureTextEntry
+                  maxLength={APP_LOCK_POLICY.pinMaxLength}
+                />
+                {pinError ? <Text style={styles.errorText}>{pinError}</Text> : null}
+
+                <TouchableOpacity
+                  style={styles.primaryButton}
+                  onPress={handleSavePin}
+                  activeOpacity={0.8}
+                >
+                  <Text style={styles.primaryButtonText}>Save PIN</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.secondaryButton}
+                  onPress={() => {
+                    setShowPinForm(false);
+                    setPinError('');
+                  }}
+                  activeOpacity={0.7}
+                >
+                  <Text style={styles.secondaryButtonText}>Cancel</Text>
+                </TouchableOpacity>
+              </View>
+            ) : null}
+
+            {appLockEnabled && !showPinForm ? (
+              <>
+                <View style={styles.divider} />
+                <View style={styles.formCard}>
+                  <Text style={[styles.settingLabel, { color: textColor }]}>Lock after</Text>
+                  <View style={styles.optionRow}>
+                    {LOCK_TIMEOUT_OPTIONS.map((option) => {
+                      const selected = option.value === appLockTimeoutMs;
+                      return (
+                        <TouchableOpacity
+                          key={option.value}
+                          style={[styles.optionChip, selected && styles.optionChipSelected]}
+                          onPress={() => updateAppLockTimeout(option.value)}
+                          activeOpacity={0.7}
+                        >
+                          <Text
+                            style={[
+                              styles.optionChipText,
+                              selected && styles.optionChipTextSelected,
+                            ]}
+                          >
+                            {option.label}
+                          </Text>
+                        </TouchableOpacity>
+                      );
+                    })}
+                  </View>
+                  <TouchableOpacity
+                    style={styles.secondaryButton}
+                    onPress={() => setShowPinForm(true)}
+                    activeOpacity={0.7}
+                  >
+                    <Text style={styles.secondaryButtonText}>Change PIN</Text>
+                  </TouchableOpacity>
+                </View>
+              </>
+            ) : null}
+          </View>
+        </View>
+
+        {/* Change Password Section */}
+        {authProvider.changePassword ? (
+          <View style={styles.section}>
+            <Text style={[styles.sectionTitle, { color: textColor }]}>
+              Change Password
+            </Text>
+
+            <View style={[styles.settingCard, styles.formCard, { backgroundColor: cardBackground }]}>
+              <TextInput
+                style={[styles.input, passwordErrors.currentPassword && styles.inputError]}
+                placeholder="Current password"
+                placeholderTextColor="#9CA3AF"
+                value={currentPassword}
+                onChangeText={setCurrentPassword}
+                secureTextEntry
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+              {passwordErrors.currentPassword ? (
+                <Text style={styles.errorText}>{passwordErrors.currentPassword}</Text>
+              ) : null}
+
+              <TextInput
+                style={[styles.input, passwordErrors.newPassword && styles.inputError]}
+                placeholder="New password"
+                placeholderTextColor="#9CA3AF"
+                value={newPassword}
+                onChangeText={setNewPassword}
+                secureTextEntry
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+              {passwordErrors.newPassword ? (
+                <Text style={styles.errorText}>{passwordErrors.newPassword}</Text>
+              ) : null}
+
+              <TextInput
+                style={[styles.input, passwordErrors.confirmPassword && styles.inputError]}
+                placeholder="Confirm new password"
+                placeholderTextColor="#9CA3AF"
+                value={confirmPassword}
+                onChangeText={setConfirmPassword}
+                secureTextEntry
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+              {passwordErrors.confirmPassword ? (
+                <Text style={styles.errorText}>{passwordErrors.confirmPassword}</Text>
+              ) : null}
+
+              <TouchableOpacity
+                style={[styles.primaryButton, savingPassword && styles.buttonDisabled]}
+                onPress={handleChangePassword}
+                disabled={savingPassword}
+                activeOpacity={0.8}
+              >
+                <Text style={styles.primaryButtonText}>
+                  {savingPassword ? 'Saving...' : 'Update Password'}
+                </Text>
+              </TouchableOpacity>
+
+              {authProvider.regenerateRecoveryCodes ? (
+                <TouchableOpacity
+                  style={styles.secondaryButton}
+                  onPress={handleRegenerateCodes}
+                  disabled={savingPassword}
+                  activeOpacity={0.7}
+                >
+                  <Text style={styles.secondaryButtonText}>Generate New Recovery Codes</Text>
+                </TouchableOpacity>
+              ) : null}
+            </View>
+          </View>
+        ) : null}
+
         {/* Account Section */}
         <View style={styles.section}>
           <Text style={[styles.sectionTitle, { color: textColor }]}>
@@ -249,12 +635,52 @@ const SettingsScreen = ({ navigation }) => {
           </TouchableOpacity>
         </View>
 
+        {/* Developer Section */}
+        {showDeveloperSection ? (
+          <View style={styles.section}>
+            <Text style={[styles.sectionTitle, { color: textColor }]}>
+              Developer
+            </Text>
+
+            <View style={[styles.settingCard, { backgroundColor: cardBackground }]}>
+              <View style={styles.formCard}>
+                <Text style={[styles.settingLabel, { color: textColor }]}>Backend Environment</Text>
+                <Text style={[styles.settingDescription, { color: textSecondary }]}>
+                  {environment.apiBaseUrl}
+                </Text>
+                <View style={styles.optionRow}>
+                  {getEnvironmentNames().map((name) => {
+                    const selected = name === environment.name;
+                    return (
+                      <TouchableOpacity
+                        key={name}
+                        style={[styles.optionChip, selected && styles.optionChipSelected]}
+                        onPress={() => handleEnvironmentChange(name)}
+                        activeOpacity={0.7}
+                      >
+                        <Text
+                          style={[
+                            styles.optionChipText,
+                            selected && styles.optionChipTextSelected,
+                          ]}
+                        >
+                          {name}
+                        </Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+              </View>
+            </View>
+          </View>
+        ) : null}
+
         {/* App Info */}
-        <View style={styles.appInfo}>
+        <TouchableOpacity style={styles.appInfo} onPress={handleVersionPress} activeOpacity={1}>
           <Text style={[styles.appVersion, { color: textSecondary }]}>
             Academic Submission App v1.0.0
           </Text>
-        </View>
+        </TouchableOpacity>
       </View>
     </ScrollView>
   );
@@ -345,6 +771,78 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: '500',
   },
+  formCard: {
+    padding: 16,
+  },
+  input: {
+    borderWidth: 1.5,
+    borderColor: '#E5E7EB',
+    borderRadius: 12,
+    padding: 14,
+    fontSize: 15,
+    color: '#1F1F1F',
+    backgroundColor: '#F9FAFB',
+    marginBottom: 10,
+  },
+  inputError: {
+    borderColor: '#EF4444',
+  },
+  errorText: {
+    color: '#EF4444',
+    fontSize: 12,
+    marginTop: -4,
+    marginBottom: 10,
+    marginLeft: 4,
+  },
+  primaryButton: {
+    backgroundColor: '#6C63FF',
+    borderRadius: 12,
+    padding: 14,
+    alignItems: 'center',
+    marginTop: 6,
+  },
+  primaryButtonText: {
+    color: '#FFFFFF',
+    fontSize: 15,
+    fontWeight: '700',
+  },
+  secondaryButton: {
+    padding: 12,
+    alignItems: 'center',
+    marginTop: 6,
+  },
+  secondaryButtonText: {
+    color: '#6C63FF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  buttonDisabled: {
+    opacity: 0.7,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 10,
+  },
+  optionChip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+    backgroundColor: '#F3F4F6',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  optionChipSelected: {
+    backgroundColor: '#6C63FF',
+  },
+  optionChipText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#6B7280',
+  },
+  optionChipTextSelected: {
+    color: '#FFFFFF',
+  },
   logoutButton: {
     borderRadius: 16,
     overflow: 'hidden',
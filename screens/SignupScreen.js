@@ -1,6 +1,7 @@
 /**
  * SignupScreen.js
  * Screen for user registration with premium aesthetic UI
+ * New users are students until an admin gives them another role
  */
 
 import React, { useState } from 'react';
@@ -17,7 +18,8 @@ import {
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { useApp } from '../context/AppContext';
-import { saveUserData } from '../utils/storage';
+import { getAuthProvider } from '../utils/auth';
+import { getPasswordError } from '../utils/password';
 
 const SignupScreen = ({ navigation }) => {
   // State for form fields
@@ -42,7 +44,7 @@ const SignupScreen = ({ navigation }) => {
    * Validate form input
    * @returns {boolean} True if valid, false otherwise
    */
-  const validateForm = () => {
+  const validateForm = async () => {
     let isValid = true;
     const newErrors = {
       username: '',
@@ -63,14 +65,14 @@ const SignupScreen = ({ navigation }) => {
     } else if (!/\S+@\S+\.\S+/.test(email)) {
       newErrors.email = 'Please enter a valid email';
       isValid = false;
+    } else if (!(await getAuthProvider().isEmailAvailable(email))) {
+      newErrors.email = 'An account with this email already exists';
+      isValid = false;
     }
 
     // Validate password
-    if (!password) {
-      newErrors.password = 'Password is required';
-      isValid = false;
-    } else if (password.length < 6) {
-      newErrors.password = 'Password must be at least 6 characters';
+    newErrors.password = getPasswordError(password);
+    if (newErrors.password) {
       isValid = false;
     }
 
@@ -82,13 +84,13 @@ const SignupScreen = ({ navigation }) => {
    * Handle signup button press
    */
   const handleSignup = async () => {
-    // Validate form
-    if (!validateForm()) {
-      return;
-    }
-
     setLoading(true);
     try {
+      // Validate form
+      if (!(await validateForm())) {
+        return;
+      }
+
       // Create user data object
       const userData = {
         username: username.trim(),
@@ -96,18 +98,28 @@ const SignupScreen = ({ navigation }) => {
         password: password,
       };
 
-      // Save user data to AsyncStorage
-      const result = await saveUserData(userData);
+      // Register with the auth provider (local accounts store the password hashed)
+      const result = await getAuthProvider().signup(userData);
 
       if (result.success) {
         // Set user in app context
-        setUserData(userData);
-        
+        setUserData(result.user);
+
+        // Recovery codes only exist for accounts stored on the device
+        if (!result.recoveryCodes) {
+          Alert.alert('Success', 'Account created successfully!', [{ text: 'OK' }]);
+          return;
+        }
+
         Alert.alert(
-          'Success',
-          'Account created successfully!',
-          [{ text: 'OK' }]
+          'Account Created',
+          'Save these recovery codes somewhere safe. Each one can be used once to ' +
+            'reset your password from the login screen, and they will not be shown again.\n\n' +
+            result.recoveryCodes.join('\n'),
+          [{ text: 'I have saved them' }]
         );
+      } else if (result.field) {
+        setErrors((prev) => ({ ...prev, [result.field]: result.error }));
       } else {
         Alert.alert('Error', 'Failed to create account. Please try again.');
       }
@@ -0,0 +1,333 @@
+/**
+ * UsersScreen.js
+ * User management for admins
+ * Lists the accounts registered on this device with their roles; admins can
+ * change another account's role or remove it, but not their own
+ * Every account starts as a student, so this is where instructors are made
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  TouchableOpacity,
+  StyleSheet,
+  RefreshControl,
+  Alert,
+} from 'react-native';
+import { useApp } from '../context/AppContext';
+import { getAccounts, setAccountRole, removeAccount } from '../utils/storage';
+import { ROLES, ROLE_LABELS, getRole, canManageAccount } from '../utils/permissions';
+import { getInitials } from '../utils/format';
+
+// Color for each role's badge
+const ROLE_COLORS = {
+  [ROLES.STUDENT]: '#6C63FF',
+  [ROLES.INSTRUCTOR]: '#00C9A7',
+  [ROLES.ADMIN]: '#FF8C42',
+};
+
+const UsersScreen = ({ navigation }) => {
+  const { user } = useApp();
+
+  // State for accounts
+  const [accounts, setAccounts] = useState([]);
+
+  // State for loading
+  const [loading, setLoading] = useState(true);
+
+  // State for refreshing
+  const [refreshing, setRefreshing] = useState(false);
+
+  // Reload accounts whenever the screen is shown, since signups happen elsewhere
+  useEffect(() => {
+    const unsubscribe = navigation.addListener('focus', () => {
+      loadAccounts();
+    });
+    return unsubscribe;
+  }, [navigation]);
+
+  /**
+   * Load accounts from storage, in name order
+   */
+  const loadAccounts = async () => {
+    try {
+      const data = await getAccounts();
+      setAccounts(data.sort((a, b) => (a.username || '').localeCompare(b.username || '')));
+    } catch (error) {
+      console.error('Error loading accounts:', error);
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  };
+
+  /**
+   * Handle pull to refresh
+   */
+  const onRefresh = useCallback(() => {
+    setRefreshing(true);
+    loadAccounts();
+  }, []);
+
+  /**
+   * Ask which role to give an account, then change it
+   * @param {Object} account - Account to change
+   */
+  const handleChangeRole = (account) => {
+    if (!canManageAccount(user, account)) {
+      return;
+    }
+    const current = getRole(account);
+    Alert.alert('Change Role', `Choose a new role for ${account.username || account.email}`, [
+      ...Object.values(ROLES)
+        .filter((role) => role !== current)
+        .map((role) => ({
+          text: ROLE_LABELS[role],
+          onPress: async () => {
+            const result = await setAccountRole(account.email, role);
+            if (!result.success) {
+              Alert.alert('Error', result.error || 'Failed to change role');
+            }
+            loadAccounts();
+          },
+        })),
+      { text: 'Cancel', style: 'cancel' },
+    ]);
+  };
+
+  /**
+   * Remove an account and its data from this device, after confirming
+   * @param {Object} account - Account to remove
+   */
+  const handleRemove = (account) => {
+    if (!canManageAccount(user, account)) {
+      return;
+    }
+    Alert.alert(
+      'Remove Account',
+      `Remove ${account.email} and its favorites, drafts and settings from this device?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            const result = await removeAccount(account.email);
+            if (!result.success) {
+              Alert.alert('Error', result.error || 'Failed to remove account');
+            }
+            loadAccounts();
+          },
+        },
+      ]
+    );
+  };
+
+  /**
+   * Render list header
+   */
+  const renderHeader = () => (
+    <View style={styles.headerContainer}>
+      <Text style={styles.headerTitle}>Users</Text>
+      <Text style={styles.headerSubtitle}>
+        {accounts.length} {accounts.length === 1 ? 'account' : 'accounts'} on this device
+      </Text>
+    </View>
+  );
+
+  /**
+   * Render individual account
+   */
+  const renderItem = ({ item }) => {
+    const role = getRole(item);
+    const color = ROLE_COLORS[role];
+    const manageable = canManageAccount(user, item);
+
+    return (
+      <View style={styles.accountItem}>
+        <View style={styles.accountRow}>
+          <View style={[styles.avatar, { backgroundColor: color }]}>
+            <Text style={styles.avatarText}>{getInitials(item.username || item.email)}</Text>
+          </View>
+          <View style={styles.accountInfo}>
+            <Text style={styles.accountName}>
+              {item.username || item.email}
+              {manageable ? '' : ' (you)'}
+            </Text>
+            <Text style={styles.accountEmail}>{item.email}</Text>
+          </View>
+          <View style={[styles.roleBadge, { backgroundColor: color + '20' }]}>
+            <Text style={[styles.roleText, { color }]}>{ROLE_LABELS[role]}</Text>
+          </View>
+        </View>
+
+        {manageable ? (
+          <View style={styles.accountActions}>
+            <TouchableOpacity
+              style={styles.removeButton}
+              onPress={() => handleRemove(item)}
+              activeOpacity={0.7}
+            >
+              <Text style={styles.removeButtonText}>Remove</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.roleButton}
+              onPress={() => handleChangeRole(item)}
+              activeOpacity={0.7}
+            >
+              <Text style={styles.roleButtonText}>Change Role</Text>
+            </TouchableOpacity>
+          </View>
+        ) : null}
+      </View>
+    );
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <Text style={styles.loadingText}>Loading users...</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <FlatList
+        data={accounts}
+        renderItem={renderItem}
+        keyExtractor={(item) => item.email}
+        ListHeaderComponent={renderHeader}
+        contentContainerStyle={styles.listContent}
+        refreshControl={
+          <RefreshControl
+            refreshing={refreshing}
+            onRefresh={onRefresh}
+            colors={['#6C63FF']}
+            tintColor="#6C63FF"
+          />
+        }
+        showsVerticalScrollIndicator={false}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F4F6FA',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#F4F6FA',
+  },
+  loadingText: {
+    fontSize: 16,
+    color: '#6B7280',
+  },
+  listContent: {
+    paddingBottom: 30,
+  },
+  headerContainer: {
+    padding: 20,
+    paddingTop: 10,
+  },
+  headerTitle: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#1F1F1F',
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginTop: 6,
+  },
+  accountItem: {
+    backgroundColor: '#FFFFFF',
+    marginHorizontal: 16,
+    marginBottom: 14,
+    borderRadius: 20,
+    padding: 18,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.08,
+    shadowRadius: 12,
+    elevation: 3,
+  },
+  accountRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  avatar: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  avatarText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  accountInfo: {
+    flex: 1,
+    marginRight: 12,
+  },
+  accountName: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#1F1F1F',
+  },
+  accountEmail: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  roleBadge: {
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+    borderRadius: 20,
+  },
+  roleText: {
+    fontSize: 12,
+    fontWeight: '700',
+  },
+  accountActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 14,
+  },
+  removeButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 20,
+    borderWidth: 1.5,
+    borderColor: '#EF4444',
+    marginRight: 10,
+  },
+  removeButtonText: {
+    color: '#EF4444',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  roleButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 20,
+    backgroundColor: '#6C63FF',
+  },
+  roleButtonText: {
+    color: '#FFFFFF',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+});
+
+export default UsersScreen;
@@ -0,0 +1,174 @@
+/**
+ * mockAuthServer.js
+ * Local mock of the REST authentication backend used by the REST auth provider
+ * Keeps accounts and tokens in memory; everything is lost on restart
+ *
+ * Usage: npm run mock:auth
+ * Then set `extra.auth.provider` to "rest" in app.json. On a device, point the
+ * environment's `authBaseUrl` at this machine's LAN address instead of localhost.
+ *
+ * Environment variables:
+ *   PORT                  Port to listen on (default 4000)
+ *   ACCESS_TOKEN_TTL_MS   Access token lifetime (default 60000, short so refresh is exercised)
+ *   ADMIN_EMAILS          Comma-separated emails that are made admins when they sign up
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT) || 4000;
+const ACCESS_TOKEN_TTL_MS = Number(process.env.ACCESS_TOKEN_TTL_MS) || 60 * 1000;
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map((email) => email.trim().toLowerCase())
+  .filter(Boolean);
+
+// Accounts keyed by email, and tokens mapped to the email they belong to
+const users = new Map();
+const accessTokens = new Map();
+const refreshTokens = new Map();
+
+/**
+ * Hash a password with a random salt
+ */
+const hashPassword = (password, salt = crypto.randomBytes(16).toString('hex')) => {
+  const hash = crypto.scryptSync(password, salt, 32).toString('hex');
+  return { salt, hash };
+};
+
+/**
+ * Issue a fresh access and refresh token pair for an email
+ */
+const issueTokens = (email) => {
+  const accessToken = crypto.randomBytes(24).toString('hex');
+  const refreshToken = crypto.randomBytes(32).toString('hex');
+  accessTokens.set(accessToken, { email, expiresAt: Date.now() + ACCESS_TOKEN_TTL_MS });
+  refreshTokens.set(refreshToken, email);
+  return { accessToken, refreshToken };
+};
+
+/**
+ * Strip credential fields from an account
+ */
+const toPublicUser = ({ passwordHash, ...user }) => user;
+
+/**
+ * Read and parse a JSON request body
+ */
+const readBody = (req) =>
+  new Promise((resolve) => {
+    let data = '';
+    req.on('data', (chunk) => {
+      data += chunk;
+    });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        resolve({});
+      }
+    });
+  });
+
+/**
+ * Send a JSON response
+ */
+const send = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Find the account for the request's bearer token
+ */
+const authenticate = (req) => {
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+  const token = match && accessTokens.get(match[1]);
+  if (!token || token.expiresAt <= Date.now()) {
+    return null;
+  }
+  return users.get(token.email) || null;
+};
+
+const routes = {
+  'POST /auth/signup': async (req, res) => {
+    const { username, email, password } = await readBody(req);
+    const key = (email || '').trim().toLowerCase();
+    if (!username || !key || !password) {
+      return send(res, 400, { error: 'Username, email and password are required' });
+    }
+    if (users.has(key)) {
+      return send(res, 409, { field: 'email', error: 'An account with this email already exists' });
+    }
+
+    const user = {
+      id: users.size + 1,
+      username,
+      email: key,
+      // Any role sent by the client is ignored; only ADMIN_EMAILS start above student
+      role: ADMIN_EMAILS.includes(key) ? 'admin' : 'student',
+      createdAt: new Date().toISOString(),
+      passwordHash: hashPassword(password),
+    };
+    users.set(key, user);
+    return send(res, 201, { user: toPublicUser(user), ...issueTokens(key) });
+  },
+
+  'POST /auth/login': async (req, res) => {
+    const { email, password } = await readBody(req);
+    const user = users.get((email || '').trim().toLowerCase());
+    const matches =
+      user &&
+      crypto.timingSafeEqual(
+        Buffer.from(hashPassword(password || '', user.passwordHash.salt).hash, 'hex'),
+        Buffer.from(user.passwordHash.hash, 'hex')
+      );
+    if (!matches) {
+      return send(res, 401, { error: 'Invalid email or password' });
+    }
+    return send(res, 200, { user: toPublicUser(user), ...issueTokens(user.email) });
+  },
+
+  'POST /auth/refresh': async (req, res) => {
+    const { refreshToken } = await readBody(req);
+    const email = refreshTokens.get(refreshToken);
+    if (!email) {
+      return send(res, 401, { error: 'Invalid refresh token' });
+    }
+    // Refresh tokens are single use
+    refreshTokens.delete(refreshToken);
+    return send(res, 200, issueTokens(email));
+  },
+
+  'POST /auth/logout': async (req, res) => {
+    const { refreshToken } = await readBody(req);
+    refreshTokens.delete(refreshToken);
+    return send(res, 200, { success: true });
+  },
+
+  'GET /auth/me': async (req, res) => {
+    const user = authenticate(req);
+    if (!user) {
+      return send(res, 401, { error: 'Unauthorized' });
+    }
+    return send(res, 200, { user: toPublicUser(user) });
+  },
+};
+
+const server = http.createServer(async (req, res) => {
+  const route = routes[`${req.method} ${req.url.split('?')[0]}`];
+  console.log(`${req.method} ${req.url}`);
+  if (!route) {
+    return send(res, 404, { error: 'Not found' });
+  }
+  try {
+    await route(req, res);
+  } catch (error) {
+    console.error(error);
+    send(res, 500, { error: 'Internal server error' });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock auth server listening on http://localhost:${PORT}`);
+});
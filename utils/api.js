@@ -1,10 +1,72 @@
 /**
  * API Utility Module
  * Handles all API calls to external services
- * Uses sample data for posts with proper English content
+ * Posts are fetched a page at a time; the bundled sample posts are used instead
+ * only when app.json `extra.api.useSamplePosts` is true
+ * GET responses are cached in storage and served stale-while-revalidate, so
+ * screens still have data offline; old entries are pruned (see CACHE_LIMITS)
+ * The backend is the active environment's (see environment.js)
+ * Requests go through http.js; failures come back as typed results and every
+ * function accepts an AbortSignal so screens can cancel on unmount
  */
 
-const BASE_URL = 'https://jsonplaceholder.typicode.com';
+import Constants from 'expo-constants';
+import { backend } from './storageBackend';
+import { request, upload, toErrorResult, isCancelled, HTTP_ERROR_TYPES } from './http';
+import { getEnvironment } from './environment';
+import { getAuthProvider } from './auth';
+import { SUBMISSION_STATUSES, transitionSubmission } from './submissionStatus';
+import {
+  LATE_POLICIES,
+  normalizeAssignment,
+  acceptsSubmissions,
+  getAssignmentLink,
+} from './assignments';
+
+// Number of posts requested per page
+export const POSTS_PAGE_SIZE = 10;
+
+// Number of comments requested per page
+export const COMMENTS_PAGE_SIZE = 10;
+
+// Serve the bundled sample posts instead of calling the backend
+const USE_SAMPLE_POSTS = Constants.expoConfig?.extra?.api?.useSamplePosts === true;
+
+// Storage key prefix for cached responses, followed by the request path
+const CACHE_PREFIX = '@api_cache:';
+
+// How long a cached response is used without revalidating, per endpoint
+export const CACHE_TTLS = {
+  posts: 5 * 60 * 1000,
+  post: 30 * 60 * 1000,
+  comments: 5 * 60 * 1000,
+  users: 24 * 60 * 60 * 1000,
+  assignments: 15 * 60 * 1000,
+};
+
+// Limits on the response cache, so storage does not grow without bound
+// Entries older than maxAgeMs are dropped, then the oldest beyond maxEntries
+export const CACHE_LIMITS = {
+  maxAgeMs: 7 * 24 * 60 * 60 * 1000,
+  maxEntries: 200,
+};
+
+// Cached responses written between prunes
+const CACHE_PRUNE_INTERVAL = 25;
+
+// Cached responses written since the last prune
+let writesSincePrune = 0;
+
+// Favorites checked against the backend at once by findWithdrawnPosts
+const WITHDRAWAL_CHECK_CONCURRENCY = 4;
+
+// Statuses the backend answers for a deleted post
+// A 404 only counts for posts seen on the backend before, since a mock backend
+// (e.g. jsonplaceholder) never stores the posts created on it
+const WITHDRAWN_STATUSES = [404, 410];
+
+// Shared lookup of users by ID (see fetchUserDirectory); null until first requested
+let userDirectoryPromise = null;
 
 /**
  * Sample English posts for the app
@@ -133,71 +195,893 @@ const samplePosts = [
 ];
 
 /**
- * Fetch all posts from the API
- * @returns {Array} Array of post objects
+ * Sample assignments, served alongside the sample posts
+ * Due dates are relative to when the app starts, so each urgency is represented
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+const sampleAssignments = [
+  {
+    id: 1,
+    title: "Machine Learning Literature Review",
+    course: "CS 540",
+    instructions: "Review at least five recent papers on supervised learning and compare their evaluation methods. Submit a 2000-word essay with references.",
+    dueAt: new Date(Date.now() + 1 * DAY_MS).toISOString(),
+    latePolicy: LATE_POLICIES.PENALTY,
+    latePenaltyPercent: 10,
+  },
+  {
+    id: 2,
+    title: "Renewable Energy Lab Report",
+    course: "ENV 210",
+    instructions: "Write up the solar panel efficiency experiment: method, measurements, analysis and conclusions. Attach your data sheet.",
+    dueAt: new Date(Date.now() + 9 * DAY_MS).toISOString(),
+    latePolicy: LATE_POLICIES.ACCEPTED,
+  },
+  {
+    id: 3,
+    title: "Network Security Audit Project",
+    course: "CS 455",
+    instructions: "Audit a small network of your choice and present the vulnerabilities you found, with a remediation plan.",
+    dueAt: new Date(Date.now() - 2 * DAY_MS).toISOString(),
+    latePolicy: LATE_POLICIES.PENALTY,
+    latePenaltyPercent: 20,
+  },
+  {
+    id: 4,
+    title: "UX Research Presentation",
+    course: "DES 301",
+    instructions: "Present the findings of your user interviews in ten slides or fewer.",
+    dueAt: new Date(Date.now() - 5 * DAY_MS).toISOString(),
+    latePolicy: LATE_POLICIES.NOT_ACCEPTED,
+  },
+];
+
+/**
+ * Get one page of the bundled sample posts
+ * @param {number} page - Page number, starting at 1
+ * @param {number} limit - Posts per page
+ * @returns {Object} Result object in the same shape as fetchPosts
+ */
+const getSamplePostsPage = (page, limit) => {
+  const start = (page - 1) * limit;
+  return {
+    success: true,
+    data: samplePosts.slice(start, start + limit),
+    cachedAt: null,
+    page,
+    hasMore: start + limit < samplePosts.length,
+    total: samplePosts.length,
+  };
+};
+
+/**
+ * Read a cached response
+ * @param {string} path - Request path the response was cached under
+ * @returns {Object|null} Cache entry with data, etag, total and storedAt, or null
  */
-export const fetchPosts = async () => {
+const readCacheEntry = async (path) => {
   try {
-    // Return sample posts with proper English content
-    return { success: true, data: samplePosts };
+    const stored = await backend.getItem(`${CACHE_PREFIX}${path}`);
+    return stored ? JSON.parse(stored) : null;
   } catch (error) {
-    console.error('Error fetching posts:', error);
+    console.error('Error reading cached response:', error);
+    return null;
+  }
+};
+
+/**
+ * Write a response to the cache
+ * A failed write only costs the offline copy, so it is logged and ignored
+ * @param {string} path - Request path to cache the response under
+ * @param {Object} entry - Cache entry
+ */
+const writeCacheEntry = async (path, entry) => {
+  try {
+    await backend.setItem(`${CACHE_PREFIX}${path}`, JSON.stringify(entry));
+  } catch (error) {
+    console.error('Error caching response:', error);
+  }
+
+  writesSincePrune += 1;
+  if (writesSincePrune >= CACHE_PRUNE_INTERVAL) {
+    await pruneResponseCache();
+  }
+};
+
+/**
+ * Remove cached responses beyond CACHE_LIMITS
+ * Run at startup and every CACHE_PRUNE_INTERVAL writes
+ * @returns {Object} Result object with the number of entries removed
+ */
+export const pruneResponseCache = async () => {
+  writesSincePrune = 0;
+  try {
+    const keys = (await backend.getAllKeys()).filter((key) => key.startsWith(CACHE_PREFIX));
+    const entries = (await backend.multiGet(keys)).map(([key, stored]) => {
+      try {
+        return { key, storedAt: JSON.parse(stored)?.storedAt || 0 };
+      } catch (error) {
+        // An entry that cannot be parsed is never served, so it goes first
+        return { key, storedAt: 0 };
+      }
+    });
+
+    const oldestAllowed = Date.now() - CACHE_LIMITS.maxAgeMs;
+    const kept = entries
+      .filter((entry) => entry.storedAt >= oldestAllowed)
+      .sort((a, b) => b.storedAt - a.storedAt)
+      .slice(0, CACHE_LIMITS.maxEntries);
+    const keptKeys = new Set(kept.map((entry) => entry.key));
+    const removed = keys.filter((key) => !keptKeys.has(key));
+    if (removed.length > 0) {
+      await backend.multiRemove(removed);
+    }
+    return { success: true, removed: removed.length };
+  } catch (error) {
+    console.error('Error pruning response cache:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Remove every cached response
+ */
+export const clearResponseCache = async () => {
+  try {
+    userDirectoryPromise = null;
+    const keys = await backend.getAllKeys();
+    await backend.multiRemove(keys.filter((key) => key.startsWith(CACHE_PREFIX)));
+    return { success: true };
+  } catch (error) {
+    console.error('Error clearing response cache:', error);
     return { success: false, error: error.message };
   }
 };
 
+/**
+ * Remove the cached responses for some paths
+ * Called after a change on the backend makes them out of date
+ * Each path matches its own entry and those for its query strings (e.g. every
+ * page of `/posts`), but not longer paths such as `/posts/1/comments`
+ * @param {...string} paths - Request paths without query strings
+ */
+const invalidateCache = async (...paths) => {
+  try {
+    const keys = await backend.getAllKeys();
+    const matches = (key) =>
+      paths.some((path) => {
+        const cacheKey = `${CACHE_PREFIX}${path}`;
+        return key === cacheKey || key.startsWith(`${cacheKey}?`);
+      });
+    await backend.multiRemove(keys.filter(matches));
+  } catch (error) {
+    console.error('Error invalidating cached responses:', error);
+  }
+};
+
+/**
+ * Send a change to the backend as the signed-in user
+ * Changes are never served from or written to the cache
+ * @param {string} path - Request path, relative to the environment's apiBaseUrl
+ * @param {Object} options - Object with method, body and signal
+ * @returns {Object} Result object with the parsed response data, or a typed error
+ */
+const sendChange = (path, { method, body, signal }) =>
+  request(`${getEnvironment().apiBaseUrl}${path}`, {
+    method,
+    body,
+    signal,
+    fetchImpl: getAuthProvider().fetch,
+  });
+
+/**
+ * Request a path from the backend and cache the response
+ * Sends If-None-Match when the cached copy has an ETag; a 304 keeps the cached data
+ * @param {string} path - Request path, relative to the environment's apiBaseUrl
+ * @param {Object|null} cached - Current cache entry for the path
+ * @param {AbortSignal} signal - Optional cancellation signal
+ * @returns {Object} Result object with the up-to-date cache entry, or a typed error
+ */
+const fetchAndCache = async (path, cached, signal) => {
+  const headers = cached?.etag ? { 'If-None-Match': cached.etag } : {};
+  const result = await request(`${getEnvironment().apiBaseUrl}${path}`, {
+    headers,
+    signal,
+    fetchImpl: getAuthProvider().fetch,
+  });
+  if (!result.success) {
+    return result;
+  }
+
+  const entry =
+    result.status === 304 && cached
+      ? { ...cached, storedAt: Date.now() }
+      : {
+          data: result.data,
+          etag: result.headers.get('etag'),
+          total: Number(result.headers.get('x-total-count')) || null,
+          storedAt: Date.now(),
+        };
+  await writeCacheEntry(path, entry);
+  return { success: true, entry };
+};
+
+/**
+ * GET a path with stale-while-revalidate caching
+ * - A cached response younger than the TTL is returned without a request
+ * - An older one is returned at once and revalidated in the background;
+ *   onUpdate receives the new entry when that succeeds
+ * - With no cached response, or with forceRefresh, the request is made first
+ *   and the cached response is only used if it fails
+ * @param {string} path - Request path, relative to the environment's apiBaseUrl
+ * @param {Object} options - Object with ttl, forceRefresh, onUpdate and signal
+ * @returns {Object} Result object with the cache entry and whether it may be
+ * out of date, or a typed error if the request failed and nothing is cached
+ */
+const cachedGet = async (path, { ttl, forceRefresh = false, onUpdate, signal }) => {
+  const cached = await readCacheEntry(path);
+
+  if (cached && !forceRefresh) {
+    if (Date.now() - cached.storedAt < ttl) {
+      return { success: true, entry: cached, stale: false };
+    }
+    fetchAndCache(path, cached, signal).then((result) => {
+      if (result.success) {
+        onUpdate?.(result.entry);
+      } else if (!isCancelled(result)) {
+        console.error('Error revalidating cached response:', result.error);
+      }
+    });
+    return { success: true, entry: cached, stale: true };
+  }
+
+  const result = await fetchAndCache(path, cached, signal);
+  if (result.success) {
+    return { success: true, entry: result.entry, stale: false };
+  }
+  if (cached && !isCancelled(result)) {
+    return { success: true, entry: cached, stale: true };
+  }
+  return result;
+};
+
+/**
+ * Build a result object from a cache entry
+ * `cachedAt` is set when the data may be out of date, so screens can say so
+ * @param {Object} entry - Cache entry
+ * @param {boolean} stale - Whether the entry may be out of date
+ * @returns {Object} Result object with success status, data and cachedAt
+ */
+const toCachedResult = (entry, stale) => ({
+  success: true,
+  data: entry.data,
+  cachedAt: stale ? entry.storedAt : null,
+});
+
+/**
+ * Build a result object for one page of a list from a cache entry
+ * The backend reports the total in a header; without it, a short page is the last one
+ * @param {Object} entry - Cache entry
+ * @param {boolean} stale - Whether the entry may be out of date
+ * @param {number} page - Page number, starting at 1
+ * @param {number} limit - Items per page
+ * @returns {Object} Result object with data, cachedAt, page, hasMore and total
+ * (null when the backend does not report it)
+ */
+const toPageResult = (entry, stale, page, limit) => ({
+  ...toCachedResult(entry, stale),
+  page,
+  hasMore: entry.total ? page * limit < entry.total : entry.data.length === limit,
+  total: entry.total,
+});
+
+/**
+ * Log a failed API result, except for requests the screen cancelled
+ * @param {string} message - Log message
+ * @param {Object} result - Failed result object
+ * @returns {Object} The same result object
+ */
+const reportFailure = (message, result) => {
+  if (!isCancelled(result)) {
+    console.error(message, result.error);
+  }
+  return result;
+};
+
+/**
+ * Fetch one page of posts from the API
+ * @param {Object} options - Object with page (starting at 1), limit, and the
+ * request options forceRefresh, onUpdate (called with a fresh result after
+ * stale data was returned) and signal
+ * @returns {Object} Result object with the page's posts, the page number,
+ * whether more pages are available, and cachedAt for stale data
+ */
+export const fetchPosts = async ({
+  page = 1,
+  limit = POSTS_PAGE_SIZE,
+  forceRefresh,
+  onUpdate,
+  signal,
+} = {}) => {
+  try {
+    if (USE_SAMPLE_POSTS) {
+      return getSamplePostsPage(page, limit);
+    }
+
+    const result = await cachedGet(`/posts?_page=${page}&_limit=${limit}`, {
+      ttl: CACHE_TTLS.posts,
+      forceRefresh,
+      signal,
+      onUpdate: (fresh) => onUpdate?.(toPageResult(fresh, false, page, limit)),
+    });
+    if (!result.success) {
+      return reportFailure('Error fetching posts:', result);
+    }
+    return toPageResult(result.entry, result.stale, page, limit);
+  } catch (error) {
+    console.error('Error fetching posts:', error);
+    return toErrorResult(error);
+  }
+};
+
+/**
+ * Fetch the current version of an assignment and the backend's clock, for
+ * judging whether work is late
+ * The copy a submission or draft carries may be out of date (e.g. the due date
+ * was extended), and the device clock may be wrong, so both are asked for
+ * fresh. Where the backend cannot be reached, the copy and the device clock are used
+ * @param {Object} assignment - Copy of the assignment (needs id)
+ * @returns {Object} Object with assignment and now (milliseconds since the epoch)
+ */
+const fetchCurrentAssignment = async (assignment) => {
+  if (USE_SAMPLE_POSTS) {
+    const sample = sampleAssignments.find((item) => item.id === Number(assignment.id));
+    return { assignment: sample ? normalizeAssignment(sample) : assignment, now: Date.now() };
+  }
+
+  const result = await request(`${getEnvironment().apiBaseUrl}/assignments/${assignment.id}`, {
+    fetchImpl: getAuthProvider().fetch,
+  });
+  if (!result.success) {
+    return { assignment, now: Date.now() };
+  }
+  const serverTime = Date.parse(result.headers?.get('date'));
+  return {
+    assignment: result.data ? normalizeAssignment(result.data) : assignment,
+    now: Number.isFinite(serverTime) ? serverTime : Date.now(),
+  };
+};
+
+/**
+ * Create a new submission
+ * A submission made for an assignment is linked to it, and flagged late if it
+ * is sent after the deadline; one the assignment no longer accepts is refused.
+ * Both are judged against the assignment as it is now, by the backend's clock
+ * @param {Object} submission - Object with title, body, course, category,
+ * attachments and optionally assignment
+ * @param {Object} author - Logged-in user (username and email)
+ * @returns {Object} Result object with the post as the backend stored it
+ */
+export const createPost = async ({ assignment: snapshot, ...submission }, author) => {
+  try {
+    const { assignment, now: submittedAt } = snapshot
+      ? await fetchCurrentAssignment(snapshot)
+      : { assignment: null, now: Date.now() };
+    if (assignment && !acceptsSubmissions(assignment, submittedAt)) {
+      return { success: false, error: 'This assignment no longer accepts submissions' };
+    }
+    const { changes } = transitionSubmission(
+      { status: SUBMISSION_STATUSES.DRAFT },
+      SUBMISSION_STATUSES.SUBMITTED,
+      { by: author.username }
+    );
+    const result = await sendChange('/posts', {
+      method: 'POST',
+      body: {
+        ...submission,
+        ...(assignment ? getAssignmentLink(assignment, submittedAt) : {}),
+        ...changes,
+        userId: author.id,
+        authorName: author.username,
+        authorEmail: author.email,
+        createdAt: new Date(submittedAt).toISOString(),
+      },
+    });
+    if (!result.success) {
+      return reportFailure('Error creating post:', result);
+    }
+    await invalidateCache('/posts');
+    return { success: true, data: result.data };
+  } catch (error) {
+    console.error('Error creating post:', error);
+    return toErrorResult(error);
+  }
+};
+
+/**
+ * Change a submission's fields
+ * To resubmit a returned submission, include the status changes from
+ * transitionSubmission in `submission`
+ * Lateness is judged again only on resubmission, which hands the work in anew;
+ * plain edits keep the original submittedAt and late penalty
+ * @param {Object} post - Submission being edited (needs id)
+ * @param {Object} submission - Object with title, body, course, category and attachments
+ * @returns {Object} Result object with the updated post
+ */
+export const updatePost = async (post, submission) => {
+  try {
+    const resubmitting = submission.status === SUBMISSION_STATUSES.SUBMITTED;
+    const { assignment, now: updatedAt } = resubmitting && post.assignmentId
+      ? await fetchCurrentAssignment({
+          id: post.assignmentId,
+          title: post.assignmentTitle,
+          dueAt: post.dueAt,
+        })
+      : { assignment: null, now: Date.now() };
+    const changes = {
+      ...submission,
+      ...(assignment ? getAssignmentLink(assignment, updatedAt) : {}),
+      updatedAt: new Date(updatedAt).toISOString(),
+    };
+    const result = await sendChange(`/posts/${post.id}`, { method: 'PATCH', body: changes });
+    if (!result.success) {
+      return reportFailure('Error updating post:', result);
+    }
+    await invalidateCache('/posts', `/posts/${post.id}`);
+    return { success: true, data: { ...post, ...changes, ...result.data } };
+  } catch (error) {
+    console.error('Error updating post:', error);
+    return toErrorResult(error);
+  }
+};
+
+/**
+ * Move a submission to a new status
+ * The transition is checked against the lifecycle in submissionStatus.js
+ * before anything is sent
+ * @param {Object} post - Submission to change (needs id, status and statusHistory)
+ * @param {string} status - New status, one of SUBMISSION_STATUSES
+ * @param {Object} details - Object with by (who made the change) and note
+ * @returns {Object} Result object with the updated post
+ */
+export const updatePostStatus = async (post, status, details) => {
+  const transition = transitionSubmission(post, status, details);
+  if (!transition.success) {
+    return transition;
+  }
+
+  try {
+    const result = await sendChange(`/posts/${post.id}`, {
+      method: 'PATCH',
+      body: { ...transition.changes, updatedAt: new Date().toISOString() },
+    });
+    if (!result.success) {
+      return reportFailure('Error updating post status:', result);
+    }
+    await invalidateCache('/posts', `/posts/${post.id}`);
+    return { success: true, data: { ...post, ...transition.changes, ...result.data } };
+  } catch (error) {
+    console.error('Error updating post status:', error);
+    return toErrorResult(error);
+  }
+};
+
+/**
+ * Withdraw a submission, deleting it and its comments from the backend
+ * @param {Object} post - Submission to withdraw (needs id)
+ * @returns {Object} Result object with success status
+ */
+export const deletePost = async (post) => {
+  try {
+    const result = await sendChange(`/posts/${post.id}`, { method: 'DELETE' });
+    if (!result.success) {
+      return reportFailure('Error deleting post:', result);
+    }
+    await invalidateCache('/posts', `/posts/${post.id}`, `/posts/${post.id}/comments`);
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting post:', error);
+    return toErrorResult(error);
+  }
+};
+
+/**
+ * Find which of a set of posts have been withdrawn
+ * Bypasses the response cache so that a withdrawal is seen at once. Posts are
+ * checked WITHDRAWAL_CHECK_CONCURRENCY at a time, without retries. A 410 means
+ * withdrawn; a 404 only for posts with `seenOnServer` set, since the backend
+ * may never have stored the others. Posts that could not be checked are
+ * assumed to still exist
+ * @param {Array} posts - Posts to check (need id, and seenOnServer if known)
+ * @param {Object} options - Object with signal
+ * @returns {Object} Result object with the IDs of the withdrawn posts, and in
+ * `found` the IDs of the posts the backend returned
+ */
+export const findWithdrawnPosts = async (posts, { signal } = {}) => {
+  if (USE_SAMPLE_POSTS) {
+    return { success: true, data: [], found: [] };
+  }
+
+  const queue = [...posts];
+  const withdrawn = [];
+  const found = [];
+  let cancelled = null;
+
+  const checkNext = async () => {
+    while (queue.length > 0 && !cancelled) {
+      const post = queue.shift();
+      const result = await request(`${getEnvironment().apiBaseUrl}/posts/${post.id}`, {
+        signal,
+        retries: 0,
+        fetchImpl: getAuthProvider().fetch,
+      });
+      if (isCancelled(result)) {
+        cancelled = result;
+      } else if (result.success) {
+        found.push(post.id);
+      } else if (
+        result.errorType === HTTP_ERROR_TYPES.HTTP &&
+        WITHDRAWN_STATUSES.includes(result.status) &&
+        (result.status !== 404 || post.seenOnServer)
+      ) {
+        withdrawn.push(post.id);
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: WITHDRAWAL_CHECK_CONCURRENCY }, checkNext));
+  return cancelled || { success: true, data: withdrawn, found };
+};
+
+/**
+ * Upload a file to attach to a submission
+ * The backend stores it on its own; the returned attachment is then sent with
+ * the submission when it is created or updated
+ * @param {Object} file - Object with uri, name, size and mimeType
+ * @param {Object} options - Object with onProgress (called with the fraction
+ * sent, from 0 to 1) and signal, to cancel the upload
+ * @returns {Object} Result object with the attachment's id, url, name, size and mimeType
+ */
+export const uploadAttachment = async (file, { onProgress, signal } = {}) => {
+  try {
+    const result = await upload(`${getEnvironment().apiBaseUrl}/attachments`, {
+      file,
+      headers: await getAuthProvider().authHeaders(),
+      onProgress,
+      signal,
+    });
+    if (!result.success) {
+      return reportFailure('Error uploading attachment:', result);
+    }
+    return {
+      success: true,
+      data: { name: file.name, size: file.size, mimeType: file.mimeType, ...result.data },
+    };
+  } catch (error) {
+    console.error('Error uploading attachment:', error);
+    return toErrorResult(error);
+  }
+};
+
 /**
  * Fetch a single post by ID
  * @param {number} id - Post ID
- * @returns {Object} Post object
+ * @param {Object} options - Request options forceRefresh, onUpdate and signal
+ * @returns {Object} Result object with the post and cachedAt for stale data
  */
-export const fetchPostById = async (id) => {
+export const fetchPostById = async (id, { forceRefresh, onUpdate, signal } = {}) => {
   try {
-    const response = await fetch(`${BASE_URL}/posts/${id}`);
-    if (!response.ok) {
-      throw new Error('Failed to fetch post');
+    if (USE_SAMPLE_POSTS) {
+      const post = samplePosts.find((sample) => sample.id === Number(id));
+      if (!post) {
+        return { success: false, error: 'Post not found', errorType: HTTP_ERROR_TYPES.HTTP, status: 404 };
+      }
+      return { success: true, data: post, cachedAt: null };
+    }
+
+    const result = await cachedGet(`/posts/${id}`, {
+      ttl: CACHE_TTLS.post,
+      forceRefresh,
+      signal,
+      onUpdate: (fresh) => onUpdate?.(toCachedResult(fresh, false)),
+    });
+    if (!result.success) {
+      return reportFailure('Error fetching post:', result);
     }
-    const data = await response.json();
-    return { success: true, data };
+    return toCachedResult(result.entry, result.stale);
   } catch (error) {
     console.error('Error fetching post:', error);
-    return { success: false, error: error.message };
+    return toErrorResult(error);
   }
 };
 
 /**
- * Fetch comments for a specific post
+ * Fetch one page of comments for a specific post
  * @param {number} postId - Post ID
- * @returns {Array} Array of comment objects
+ * @param {Object} options - Object with page (starting at 1), limit, and the
+ * request options forceRefresh, onUpdate and signal
+ * @returns {Object} Result object with the page's comments, the page number,
+ * whether more pages are available, the total count, and cachedAt for stale data
  */
-export const fetchComments = async (postId) => {
+export const fetchComments = async (
+  postId,
+  { page = 1, limit = COMMENTS_PAGE_SIZE, forceRefresh, onUpdate, signal } = {}
+) => {
   try {
-    const response = await fetch(`${BASE_URL}/posts/${postId}/comments`);
-    if (!response.ok) {
-      throw new Error('Failed to fetch comments');
+    const result = await cachedGet(`/posts/${postId}/comments?_page=${page}&_limit=${limit}`, {
+      ttl: CACHE_TTLS.comments,
+      forceRefresh,
+      signal,
+      onUpdate: (fresh) => onUpdate?.(toPageResult(fresh, false, page, limit)),
+    });
+    if (!result.success) {
+      return reportFailure('Error fetching comments:', result);
     }
-    const data = await response.json();
-    return { success: true, data };
+    return toPageResult(result.entry, result.stale, page, limit);
   } catch (error) {
     console.error('Error fetching comments:', error);
-    return { success: false, error: error.message };
+    return toErrorResult(error);
+  }
+};
+
+/**
+ * Post a new comment on a post
+ * @param {number} postId - Post ID
+ * @param {Object} comment - Object with body, and the author's name and email
+ * @returns {Object} Result object with the comment as the backend stored it
+ */
+export const createComment = async (postId, comment) => {
+  try {
+    const result = await sendChange(`/posts/${postId}/comments`, {
+      method: 'POST',
+      body: { ...comment, postId, createdAt: new Date().toISOString() },
+    });
+    if (!result.success) {
+      return reportFailure('Error creating comment:', result);
+    }
+    await invalidateCache(`/posts/${postId}/comments`);
+    return { success: true, data: result.data };
+  } catch (error) {
+    console.error('Error creating comment:', error);
+    return toErrorResult(error);
+  }
+};
+
+/**
+ * Change the text of a comment
+ * @param {Object} comment - Comment being edited (needs id and postId)
+ * @param {string} body - New comment text
+ * @returns {Object} Result object with the updated comment
+ */
+export const updateComment = async (comment, body) => {
+  try {
+    const result = await sendChange(`/comments/${comment.id}`, {
+      method: 'PATCH',
+      body: { body, updatedAt: new Date().toISOString() },
+    });
+    if (!result.success) {
+      return reportFailure('Error updating comment:', result);
+    }
+    await invalidateCache(`/posts/${comment.postId}/comments`);
+    return { success: true, data: { ...comment, ...result.data } };
+  } catch (error) {
+    console.error('Error updating comment:', error);
+    return toErrorResult(error);
+  }
+};
+
+/**
+ * Delete a comment
+ * @param {Object} comment - Comment to delete (needs id and postId)
+ * @returns {Object} Result object with success status
+ */
+export const deleteComment = async (comment) => {
+  try {
+    const result = await sendChange(`/comments/${comment.id}`, { method: 'DELETE' });
+    if (!result.success) {
+      return reportFailure('Error deleting comment:', result);
+    }
+    await invalidateCache(`/posts/${comment.postId}/comments`);
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting comment:', error);
+    return toErrorResult(error);
   }
 };
 
 /**
  * Fetch users from the API
- * @returns {Array} Array of user objects
+ * @param {Object} options - Request options forceRefresh, onUpdate and signal
+ * @returns {Object} Result object with the users and cachedAt for stale data
  */
-export const fetchUsers = async () => {
+export const fetchUsers = async ({ forceRefresh, onUpdate, signal } = {}) => {
   try {
-    const response = await fetch(`${BASE_URL}/users`);
-    if (!response.ok) {
-      throw new Error('Failed to fetch users');
+    const result = await cachedGet('/users', {
+      ttl: CACHE_TTLS.users,
+      forceRefresh,
+      signal,
+      onUpdate: (fresh) => onUpdate?.(toCachedResult(fresh, false)),
+    });
+    if (!result.success) {
+      return reportFailure('Error fetching users:', result);
     }
-    const data = await response.json();
-    return { success: true, data };
+    return toCachedResult(result.entry, result.stale);
   } catch (error) {
     console.error('Error fetching users:', error);
-    return { success: false, error: error.message };
+    return toErrorResult(error);
+  }
+};
+
+/**
+ * Look up every user by ID
+ * The user list is fetched once through the response cache and shared, so a
+ * screen full of cards resolves its authors with a single request
+ * @param {Object} options - Object with forceRefresh
+ * @returns {Object} Result object with users keyed by ID
+ */
+export const fetchUserDirectory = ({ forceRefresh = false } = {}) => {
+  if (!userDirectoryPromise || forceRefresh) {
+    userDirectoryPromise = fetchUsers({ forceRefresh }).then((result) => {
+      if (!result.success) {
+        // Let the next caller try again
+        userDirectoryPromise = null;
+        return result;
+      }
+      const users = Object.fromEntries(result.data.map((user) => [user.id, user]));
+      return { ...result, data: users };
+    });
+  }
+  return userDirectoryPromise;
+};
+
+/**
+ * Look up a single user by ID
+ * @param {number} userId - User ID
+ * @returns {Object} Result object with the user
+ */
+export const fetchUserById = async (userId) => {
+  const result = await fetchUserDirectory();
+  if (!result.success) {
+    return result;
+  }
+  const user = result.data[userId];
+  if (!user) {
+    return { success: false, error: 'Author not found', errorType: HTTP_ERROR_TYPES.HTTP, status: 404 };
+  }
+  return { success: true, data: user, cachedAt: result.cachedAt };
+};
+
+/**
+ * Fetch every post by one author
+ * @param {number} userId - Author's user ID
+ * @param {Object} options - Request options forceRefresh, onUpdate and signal
+ * @returns {Object} Result object with the posts and cachedAt for stale data
+ */
+export const fetchPostsByUser = async (userId, { forceRefresh, onUpdate, signal } = {}) => {
+  try {
+    if (USE_SAMPLE_POSTS) {
+      const posts = samplePosts.filter((post) => post.userId === Number(userId));
+      return { success: true, data: posts, cachedAt: null };
+    }
+
+    const result = await cachedGet(`/posts?userId=${userId}`, {
+      ttl: CACHE_TTLS.posts,
+      forceRefresh,
+      signal,
+      onUpdate: (fresh) => onUpdate?.(toCachedResult(fresh, false)),
+    });
+    if (!result.success) {
+      return reportFailure('Error fetching author posts:', result);
+    }
+    return toCachedResult(result.entry, result.stale);
+  } catch (error) {
+    console.error('Error fetching author posts:', error);
+    return toErrorResult(error);
+  }
+};
+
+/**
+ * Fetch the assignments open to the logged-in user
+ * @param {Object} options - Request options forceRefresh, onUpdate and signal
+ * @returns {Object} Result object with the assignments and cachedAt for stale data
+ */
+export const fetchAssignments = async ({ forceRefresh, onUpdate, signal } = {}) => {
+  const toAssignmentsResult = (entry, stale) => {
+    const result = toCachedResult(entry, stale);
+    return { ...result, data: result.data.map(normalizeAssignment) };
+  };
+
+  try {
+    if (USE_SAMPLE_POSTS) {
+      return { success: true, data: sampleAssignments.map(normalizeAssignment), cachedAt: null };
+    }
+
+    const result = await cachedGet('/assignments', {
+      ttl: CACHE_TTLS.assignments,
+      forceRefresh,
+      signal,
+      onUpdate: (fresh) => onUpdate?.(toAssignmentsResult(fresh, false)),
+    });
+    if (!result.success) {
+      return reportFailure('Error fetching assignments:', result);
+    }
+    return toAssignmentsResult(result.entry, result.stale);
+  } catch (error) {
+    console.error('Error fetching assignments:', error);
+    return toErrorResult(error);
+  }
+};
+
+/**
+ * Fetch a single assignment by ID
+ * @param {number} id - Assignment ID
+ * @param {Object} options - Request options forceRefresh and signal
+ * @returns {Object} Result object with the assignment and cachedAt for stale data
+ */
+export const fetchAssignmentById = async (id, { forceRefresh, signal } = {}) => {
+  try {
+    if (USE_SAMPLE_POSTS) {
+      const assignment = sampleAssignments.find((sample) => sample.id === Number(id));
+      if (!assignment) {
+        return { success: false, error: 'Assignment not found', errorType: HTTP_ERROR_TYPES.HTTP, status: 404 };
+      }
+      return { success: true, data: normalizeAssignment(assignment), cachedAt: null };
+    }
+
+    const result = await cachedGet(`/assignments/${id}`, {
+      ttl: CACHE_TTLS.assignments,
+      forceRefresh,
+      signal,
+    });
+    if (!result.success) {
+      return reportFailure('Error fetching assignment:', result);
+    }
+    const cachedResult = toCachedResult(result.entry, result.stale);
+    return { ...cachedResult, data: normalizeAssignment(cachedResult.data) };
+  } catch (error) {
+    console.error('Error fetching assignment:', error);
+    return toErrorResult(error);
+  }
+};
+
+/**
+ * Set a new assignment
+ * @param {Object} assignment - Object from toAssignment in assignments.js
+ * @returns {Object} Result object with the assignment as the backend stored it
+ */
+export const createAssignment = async (assignment) => {
+  try {
+    const result = await sendChange('/assignments', {
+      method: 'POST',
+      body: { ...assignment, createdAt: new Date().toISOString() },
+    });
+    if (!result.success) {
+      return reportFailure('Error creating assignment:', result);
+    }
+    await invalidateCache('/assignments');
+    return { success: true, data: normalizeAssignment({ ...assignment, ...result.data }) };
+  } catch (error) {
+    console.error('Error creating assignment:', error);
+    return toErrorResult(error);
+  }
+};
+
+/**
+ * Delete an assignment
+ * Submissions already made for it keep their link to it
+ * @param {Object} assignment - Assignment to delete (needs id)
+ * @returns {Object} Result object with success status
+ */
+export const deleteAssignment = async (assignment) => {
+  try {
+    const result = await sendChange(`/assignments/${assignment.id}`, { method: 'DELETE' });
+    if (!result.success) {
+      return reportFailure('Error deleting assignment:', result);
+    }
+    await invalidateCache('/assignments', `/assignments/${assignment.id}`);
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting assignment:', error);
+    return toErrorResult(error);
   }
 };
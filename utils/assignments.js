@@ -0,0 +1,274 @@
+/**
+ * Assignment Utility Module
+ * The assignment model, urgency ordering and late-submission rules
+ *
+ * An assignment has a title, course, instructions, a due date (dueAt, ISO
+ * time) and a late policy saying whether work handed in after the deadline is
+ * accepted, and at what penalty. Submissions made against an assignment carry
+ * a snapshot of it for display; lateness is judged against the current
+ * assignment each time the work is handed in (see api.js).
+ */
+
+import { formatDuration } from './format';
+
+// What happens to work handed in after the deadline
+export const LATE_POLICIES = {
+  ACCEPTED: 'accepted',
+  PENALTY: 'penalty',
+  NOT_ACCEPTED: 'not_accepted',
+};
+
+// How soon a deadline must be to count as due soon, in milliseconds
+export const DUE_SOON_MS = 48 * 60 * 60 * 1000;
+
+// Urgency of an assignment, most urgent first
+export const ASSIGNMENT_URGENCY = {
+  OVERDUE: 'overdue',
+  DUE_SOON: 'due_soon',
+  UPCOMING: 'upcoming',
+  CLOSED: 'closed',
+};
+
+// Label and color for each urgency
+export const URGENCY_DISPLAY = {
+  [ASSIGNMENT_URGENCY.OVERDUE]: { label: 'Overdue', color: '#EF4444' },
+  [ASSIGNMENT_URGENCY.DUE_SOON]: { label: 'Due Soon', color: '#FF8C42' },
+  [ASSIGNMENT_URGENCY.UPCOMING]: { label: 'Upcoming', color: '#6C63FF' },
+  [ASSIGNMENT_URGENCY.CLOSED]: { label: 'Closed', color: '#6B7280' },
+};
+
+const URGENCY_ORDER = [
+  ASSIGNMENT_URGENCY.OVERDUE,
+  ASSIGNMENT_URGENCY.DUE_SOON,
+  ASSIGNMENT_URGENCY.UPCOMING,
+  ASSIGNMENT_URGENCY.CLOSED,
+];
+
+// Fields of an empty assignment form; the due date is typed as "YYYY-MM-DD HH:MM"
+export const EMPTY_ASSIGNMENT = {
+  title: '',
+  course: '',
+  instructions: '',
+  dueDate: '',
+  latePolicy: LATE_POLICIES.ACCEPTED,
+  latePenaltyPercent: '',
+};
+
+// Label for each late policy, for choosing one
+export const LATE_POLICY_LABELS = {
+  [LATE_POLICIES.ACCEPTED]: 'Accepted',
+  [LATE_POLICIES.PENALTY]: 'Penalty',
+  [LATE_POLICIES.NOT_ACCEPTED]: 'Not Accepted',
+};
+
+/**
+ * Convert an assignment from the backend into the app's model
+ * @param {Object} raw - Assignment as the backend sent it
+ * @returns {Object} Assignment with id, title, course, instructions, dueAt,
+ * latePolicy and latePenaltyPercent
+ */
+export const normalizeAssignment = (raw) => ({
+  id: raw.id,
+  title: raw.title || 'Untitled assignment',
+  course: raw.course || '',
+  instructions: raw.instructions || '',
+  dueAt: raw.dueAt || raw.dueDate || null,
+  latePolicy: Object.values(LATE_POLICIES).includes(raw.latePolicy)
+    ? raw.latePolicy
+    : LATE_POLICIES.ACCEPTED,
+  latePenaltyPercent: raw.latePenaltyPercent || 0,
+});
+
+/**
+ * Check whether a time is after an assignment's deadline
+ * Assignments without a due date are never late
+ * @param {Object} assignment - Assignment
+ * @param {number} time - Time in milliseconds since the epoch; defaults to now
+ * @returns {boolean} True if the time is past the deadline
+ */
+export const isPastDue = (assignment, time = Date.now()) =>
+  Boolean(assignment.dueAt) && time > new Date(assignment.dueAt).getTime();
+
+/**
+ * Check whether an assignment still accepts submissions
+ * @param {Object} assignment - Assignment
+ * @param {number} time - Time in milliseconds since the epoch; defaults to now
+ * @returns {boolean} False once the deadline has passed if late work is not accepted
+ */
+export const acceptsSubmissions = (assignment, time = Date.now()) =>
+  !isPastDue(assignment, time) || assignment.latePolicy !== LATE_POLICIES.NOT_ACCEPTED;
+
+/**
+ * Work out how urgent an assignment is
+ * @param {Object} assignment - Assignment
+ * @param {number} now - Current time in milliseconds since the epoch
+ * @returns {string} One of ASSIGNMENT_URGENCY
+ */
+export const getAssignmentUrgency = (assignment, now = Date.now()) => {
+  if (!acceptsSubmissions(assignment, now)) {
+    return ASSIGNMENT_URGENCY.CLOSED;
+  }
+  if (isPastDue(assignment, now)) {
+    return ASSIGNMENT_URGENCY.OVERDUE;
+  }
+  if (assignment.dueAt && new Date(assignment.dueAt).getTime() - now <= DUE_SOON_MS) {
+    return ASSIGNMENT_URGENCY.DUE_SOON;
+  }
+  return ASSIGNMENT_URGENCY.UPCOMING;
+};
+
+/**
+ * Sort assignments by urgency: overdue work that is still accepted, then
+ * the nearest deadlines, then closed assignments; earliest due first within each
+ * @param {Array} assignments - Assignments
+ * @param {number} now - Current time in milliseconds since the epoch
+ * @returns {Array} A sorted copy
+ */
+export const sortByUrgency = (assignments, now = Date.now()) => {
+  const dueTime = (assignment) =>
+    assignment.dueAt ? new Date(assignment.dueAt).getTime() : Number.MAX_SAFE_INTEGER;
+  return [...assignments].sort(
+    (a, b) =>
+      URGENCY_ORDER.indexOf(getAssignmentUrgency(a, now)) -
+        URGENCY_ORDER.indexOf(getAssignmentUrgency(b, now)) || dueTime(a) - dueTime(b)
+  );
+};
+
+/**
+ * Describe an assignment's deadline relative to now, e.g. "Due in 3 days"
+ * @param {Object} assignment - Assignment
+ * @param {number} now - Current time in milliseconds since the epoch
+ * @returns {string} Human-readable deadline
+ */
+export const describeDueDate = (assignment, now = Date.now()) => {
+  if (!assignment.dueAt) {
+    return 'No due date';
+  }
+  const remaining = new Date(assignment.dueAt).getTime() - now;
+  return remaining >= 0
+    ? `Due in ${formatDuration(remaining)}`
+    : `Overdue by ${formatDuration(remaining)}`;
+};
+
+/**
+ * Describe an assignment's late policy
+ * @param {Object} assignment - Assignment
+ * @returns {string} Human-readable policy
+ */
+export const describeLatePolicy = (assignment) => {
+  if (assignment.latePolicy === LATE_POLICIES.NOT_ACCEPTED) {
+    return 'Late work not accepted';
+  }
+  if (assignment.latePolicy === LATE_POLICIES.PENALTY) {
+    return `Late work loses ${assignment.latePenaltyPercent}%`;
+  }
+  return 'Late work accepted';
+};
+
+/**
+ * Get the fields linking a submission to its assignment, flagging it late if
+ * it is sent after the deadline
+ * @param {Object} assignment - Assignment the submission is for
+ * @param {number} submittedAt - Time of submission in milliseconds since the epoch
+ * @returns {Object} Object with assignmentId, assignmentTitle, dueAt, submittedAt,
+ * late and latePenaltyPercent
+ */
+export const getAssignmentLink = (assignment, submittedAt = Date.now()) => {
+  const late = isPastDue(assignment, submittedAt);
+  return {
+    assignmentId: assignment.id,
+    assignmentTitle: assignment.title,
+    dueAt: assignment.dueAt,
+    submittedAt: new Date(submittedAt).toISOString(),
+    late,
+    latePenaltyPercent:
+      late && assignment.latePolicy === LATE_POLICIES.PENALTY ? assignment.latePenaltyPercent : 0,
+  };
+};
+
+/**
+ * Describe how late a submission was, e.g. "Submitted 2 h after the deadline · 10% penalty"
+ * @param {Object} post - Post made for an assignment (needs dueAt, and submittedAt or createdAt)
+ * @returns {string|null} Human-readable lateness, or null if the submission was on time
+ */
+export const describeLateSubmission = (post) => {
+  if (!post.late) {
+    return null;
+  }
+  // Posts from before submittedAt was recorded were only ever submitted once
+  const submittedAt = post.submittedAt || post.createdAt;
+  const overdue =
+    post.dueAt && submittedAt
+      ? `Submitted ${formatDuration(new Date(submittedAt) - new Date(post.dueAt))} after the deadline`
+      : 'Submitted after the deadline';
+  return post.latePenaltyPercent ? `${overdue} · ${post.latePenaltyPercent}% penalty` : overdue;
+};
+
+/**
+ * Parse a due date typed as "YYYY-MM-DD HH:MM", in local time
+ * @param {string} text - Due date as typed
+ * @returns {Date|null} The date, or null if it is not a valid date and time
+ */
+export const parseDueDate = (text) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2})$/.exec(text.trim());
+  if (!match) {
+    return null;
+  }
+  const [year, month, day, hours, minutes] = match.slice(1).map(Number);
+  const date = new Date(year, month - 1, day, hours, minutes);
+  // Reject dates that rolled over, such as February 30th
+  return date.getMonth() === month - 1 && date.getDate() === day && hours < 24 && minutes < 60
+    ? date
+    : null;
+};
+
+/**
+ * Validate an assignment form
+ * @param {Object} fields - Object with title, course, instructions, dueDate,
+ * latePolicy and latePenaltyPercent
+ * @returns {Object} Error messages keyed by field; empty if the assignment is valid
+ */
+export const validateAssignment = (fields) => {
+  const errors = {};
+
+  if (!fields.title.trim()) {
+    errors.title = 'Title is required';
+  }
+  if (!fields.course.trim()) {
+    errors.course = 'Course is required';
+  }
+
+  const dueDate = parseDueDate(fields.dueDate);
+  if (!fields.dueDate.trim()) {
+    errors.dueDate = 'Due date is required';
+  } else if (!dueDate) {
+    errors.dueDate = 'Enter the due date as YYYY-MM-DD HH:MM';
+  } else if (dueDate.getTime() <= Date.now()) {
+    errors.dueDate = 'Due date must be in the future';
+  }
+
+  if (fields.latePolicy === LATE_POLICIES.PENALTY) {
+    const penalty = Number(fields.latePenaltyPercent);
+    if (!Number.isInteger(penalty) || penalty < 1 || penalty > 100) {
+      errors.latePenaltyPercent = 'Enter a penalty from 1 to 100';
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Convert a valid assignment form into the assignment to send to the backend
+ * @param {Object} fields - Object with title, course, instructions, dueDate,
+ * latePolicy and latePenaltyPercent
+ * @returns {Object} Assignment without an ID
+ */
+export const toAssignment = (fields) => ({
+  title: fields.title.trim(),
+  course: fields.course.trim(),
+  instructions: fields.instructions.trim(),
+  dueAt: parseDueDate(fields.dueDate).toISOString(),
+  latePolicy: fields.latePolicy,
+  latePenaltyPercent:
+    fields.latePolicy === LATE_POLICIES.PENALTY ? Number(fields.latePenaltyPercent) : 0,
+});
@@ -0,0 +1,81 @@
+/**
+ * Attachment Utility Module
+ * File types and size limits for submission attachments
+ * Shared by the form that picks attachments and the screens that show them
+ */
+
+// Accepted file types, keyed by MIME type, with a label and known extensions
+export const ATTACHMENT_TYPES = {
+  'application/pdf': { label: 'PDF', extensions: ['pdf'] },
+  'application/msword': { label: 'Word', extensions: ['doc'] },
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': {
+    label: 'Word',
+    extensions: ['docx'],
+  },
+  'application/vnd.ms-powerpoint': { label: 'PowerPoint', extensions: ['ppt'] },
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': {
+    label: 'PowerPoint',
+    extensions: ['pptx'],
+  },
+  'text/plain': { label: 'Text', extensions: ['txt'] },
+  'image/jpeg': { label: 'JPEG image', extensions: ['jpg', 'jpeg'] },
+  'image/png': { label: 'PNG image', extensions: ['png'] },
+};
+
+// Limits on a submission's attachments
+export const ATTACHMENT_LIMITS = {
+  maxFiles: 5,
+  maxFileSizeBytes: 10 * 1024 * 1024,
+};
+
+/**
+ * Work out a picked file's MIME type
+ * Some pickers report a generic or missing type, so the extension is used then
+ * @param {Object} file - Object with name and mimeType
+ * @returns {string|null} Accepted MIME type, or null if the type is not accepted
+ */
+export const resolveMimeType = ({ name = '', mimeType }) => {
+  if (ATTACHMENT_TYPES[mimeType]) {
+    return mimeType;
+  }
+  const extension = name.split('.').pop().toLowerCase();
+  const match = Object.entries(ATTACHMENT_TYPES).find(([, type]) =>
+    type.extensions.includes(extension)
+  );
+  return match ? match[0] : null;
+};
+
+/**
+ * Check a picked file against the type and size limits
+ * Files whose size the picker did not report are refused, since the limit
+ * could not be checked
+ * @param {Object} file - Object with name, size and mimeType
+ * @returns {string|null} Error message, or null if the file is accepted
+ */
+export const validateAttachment = (file) => {
+  if (!resolveMimeType(file)) {
+    return `${file.name} is not a supported file type`;
+  }
+  if (!Number.isFinite(file.size)) {
+    return `The size of ${file.name} could not be read; try choosing it again`;
+  }
+  if (file.size > ATTACHMENT_LIMITS.maxFileSizeBytes) {
+    const maxMb = ATTACHMENT_LIMITS.maxFileSizeBytes / (1024 * 1024);
+    return `${file.name} is larger than ${maxMb} MB`;
+  }
+  return null;
+};
+
+/**
+ * Get a short, readable name for an attachment's type
+ * @param {string} mimeType - MIME type
+ * @returns {string} Type label, e.g. "PDF"
+ */
+export const getAttachmentTypeLabel = (mimeType) => ATTACHMENT_TYPES[mimeType]?.label || 'File';
+
+/**
+ * Check whether an attachment can be shown as an image
+ * @param {string} mimeType - MIME type
+ * @returns {boolean} True for image types
+ */
+export const isImageAttachment = (mimeType) => Boolean(mimeType?.startsWith('image/'));
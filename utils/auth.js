@@ -0,0 +1,317 @@
+/**
+ * Auth Provider Module
+ * Defines the authentication interface used by the screens and AppContext
+ * Includes a local provider (accounts stored on the device) and a REST
+ * provider (accounts on a backend, with access and refresh tokens)
+ *
+ * Every provider implements:
+ *   signup(userData)        -> { success, user, recoveryCodes?, field?, error? }
+ *   login(email, password)  -> { success, user, retryAt?, locked?, error? }
+ *   logout()                -> { success, error? }
+ *   restore()               -> user object for a session that is still valid, or null
+ *   isEmailAvailable(email) -> true if signup may use this email
+ *   fetch(url, options)     -> fetch Response, authorized for the signed-in user
+ *   authHeaders()           -> headers authorizing a request made without fetch (e.g. an upload)
+ *   onSignedOut(listener)   -> unsubscribe function; listener runs when the backend ends the session
+ *
+ * Providers that keep passwords on the device also implement:
+ *   changePassword(currentPassword, newPassword) -> { success, field?, error? }
+ *   regenerateRecoveryCodes(currentPassword)     -> { success, recoveryCodes?, field?, error? }
+ *   resetPassword(email, code, newPassword)      -> { success, remainingCodes?, error? }
+ * The REST provider leaves these out, since the backend owns the password;
+ * screens hide the features the active provider does not implement
+ */
+
+import Constants from 'expo-constants';
+import { getEnvironment } from './environment';
+import { getSignupRole } from './permissions';
+import {
+  saveUserData,
+  validateUser,
+  accountExists,
+  logoutUser,
+  changePassword,
+  regenerateRecoveryCodes,
+  resetPasswordWithRecoveryCode,
+  touchSession,
+  getUserData,
+  signInRemoteUser,
+  saveAuthTokens,
+  getAuthTokens,
+  clearAuthTokens,
+  canAccessUserData,
+} from './storage';
+
+// Default REST endpoint paths, relative to the provider's baseUrl
+const DEFAULT_ENDPOINTS = {
+  signup: '/auth/signup',
+  login: '/auth/login',
+  refresh: '/auth/refresh',
+  logout: '/auth/logout',
+};
+
+/**
+ * Restore the user for the stored session, extending it as activity
+ * Where the user's data key was derived from their password, it is gone after
+ * a restart, so they must log in again
+ * @returns {Object|null} User data object or null if the session has expired
+ */
+const restoreLocalSession = async () => {
+  const session = await touchSession();
+  if (!session) {
+    return null;
+  }
+  if (!(await canAccessUserData())) {
+    await logoutUser();
+    return null;
+  }
+  return getUserData();
+};
+
+/**
+ * Create the local provider, which keeps accounts in device storage
+ * New accounts are students, except emails in adminEmails, which become admins
+ * @param {Object} config - Object with optional adminEmails
+ * @returns {Object} Auth provider
+ */
+export const createLocalAuthProvider = ({ adminEmails = [] } = {}) => ({
+  name: 'local',
+  signup: (userData) =>
+    saveUserData({ ...userData, role: getSignupRole(userData.email, adminEmails) }),
+  login: (email, password) => validateUser(email, password),
+  logout: () => logoutUser(),
+  restore: restoreLocalSession,
+  isEmailAvailable: async (email) => !(await accountExists(email)),
+  fetch: (url, options) => fetch(url, options),
+  authHeaders: async () => ({}),
+  onSignedOut: () => () => {},
+  changePassword: (currentPassword, newPassword) => changePassword(currentPassword, newPassword),
+  regenerateRecoveryCodes: (currentPassword) => regenerateRecoveryCodes(currentPassword),
+  resetPassword: (email, code, newPassword) =>
+    resetPasswordWithRecoveryCode(email, code, newPassword),
+});
+
+/**
+ * Create the REST provider, which authenticates against a backend
+ * Access tokens are refreshed automatically when a request gets a 401
+ * @param {Object} config - Object with baseUrl and optional endpoints and fetchImpl
+ * @returns {Object} Auth provider
+ */
+export const createRestAuthProvider = ({ baseUrl, endpoints = {}, fetchImpl = fetch }) => {
+  const paths = { ...DEFAULT_ENDPOINTS, ...endpoints };
+  const listeners = new Set();
+
+  // Refresh in progress, shared so concurrent 401s trigger a single refresh
+  let refreshPromise = null;
+
+  /**
+   * POST a JSON body to an auth endpoint
+   * @returns {Object} Object with ok, status and the parsed response body
+   */
+  const post = async (path, body) => {
+    const response = await fetchImpl(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    const data = await response.json().catch(() => ({}));
+    return { ok: response.ok, status: response.status, data };
+  };
+
+  /**
+   * Store the user and tokens from a signup or login response
+   * The session starts first so the tokens can be sealed with the user's key
+   */
+  const completeSignIn = async ({ ok, data }, password) => {
+    if (!ok) {
+      return {
+        success: false,
+        field: data.field,
+        error: data.error || 'Authentication failed',
+      };
+    }
+
+    const result = await signInRemoteUser(data.user, password);
+    if (result.success) {
+      await saveAuthTokens({ accessToken: data.accessToken, refreshToken: data.refreshToken });
+    }
+    return result;
+  };
+
+  /**
+   * End the local session and tell listeners the backend signed the user out
+   */
+  const endSession = async () => {
+    await clearAuthTokens();
+    await logoutUser();
+    listeners.forEach((listener) => listener());
+  };
+
+  /**
+   * Exchange the refresh token for a new token pair
+   * @returns {Object|null} New tokens, or null if the refresh token was rejected
+   */
+  const refreshTokens = () => {
+    if (!refreshPromise) {
+      refreshPromise = (async () => {
+        const tokens = await getAuthTokens();
+        if (!tokens?.refreshToken) {
+          return null;
+        }
+        const { ok, data } = await post(paths.refresh, { refreshToken: tokens.refreshToken });
+        if (!ok) {
+          return null;
+        }
+        const refreshed = {
+          accessToken: data.accessToken,
+          refreshToken: data.refreshToken || tokens.refreshToken,
+        };
+        await saveAuthTokens(refreshed);
+        return refreshed;
+      })().finally(() => {
+        refreshPromise = null;
+      });
+    }
+    return refreshPromise;
+  };
+
+  /**
+   * Make a request with the access token, refreshing it once on a 401
+   */
+  const authorizedFetch = async (url, options = {}) => {
+    const send = (accessToken) =>
+      fetchImpl(url, {
+        ...options,
+        headers: {
+          ...options.headers,
+          ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
+        },
+      });
+
+    const tokens = await getAuthTokens();
+    const response = await send(tokens?.accessToken);
+    if (response.status !== 401 || !tokens) {
+      return response;
+    }
+
+    const refreshed = await refreshTokens().catch(() => null);
+    if (!refreshed) {
+      await endSession();
+      return response;
+    }
+    return send(refreshed.accessToken);
+  };
+
+  return {
+    name: 'rest',
+
+    signup: async (userData) => {
+      try {
+        return await completeSignIn(await post(paths.signup, userData), userData.password);
+      } catch (error) {
+        console.error('Error signing up:', error);
+        return { success: false, error: error.message };
+      }
+    },
+
+    login: async (email, password) => {
+      try {
+        return await completeSignIn(await post(paths.login, { email, password }), password);
+      } catch (error) {
+        console.error('Error logging in:', error);
+        return { success: false, error: error.message };
+      }
+    },
+
+    logout: async () => {
+      try {
+        const tokens = await getAuthTokens();
+        if (tokens?.refreshToken) {
+          // Best effort: the local session ends even if the backend is unreachable
+          await post(paths.logout, { refreshToken: tokens.refreshToken }).catch(() => null);
+        }
+        await clearAuthTokens();
+        return await logoutUser();
+      } catch (error) {
+        console.error('Error logging out:', error);
+        return { success: false, error: error.message };
+      }
+    },
+
+    restore: async () => {
+      const tokens = await getAuthTokens();
+      if (!tokens) {
+        await logoutUser();
+        return null;
+      }
+      return restoreLocalSession();
+    },
+
+    // The backend reports duplicate emails as a field error on signup
+    isEmailAvailable: async () => true,
+
+    fetch: authorizedFetch,
+
+    // Uploads cannot retry after a refresh, so they send the current token as is
+    authHeaders: async () => {
+      const tokens = await getAuthTokens();
+      return tokens?.accessToken ? { Authorization: `Bearer ${tokens.accessToken}` } : {};
+    },
+
+    onSignedOut: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
+
+/**
+ * Create the provider named in app.json `extra.auth`
+ * The REST provider talks to the active environment's authBaseUrl. There is no
+ * fallback, so a build cannot quietly send credentials to a development server
+ * @returns {Object} Auth provider
+ * @throws {Error} If the REST provider is configured and the environment has no authBaseUrl
+ */
+const createConfiguredProvider = () => {
+  const config = Constants.expoConfig?.extra?.auth || {};
+  if (config.provider === 'rest') {
+    const environment = getEnvironment();
+    if (!environment.authBaseUrl) {
+      throw new Error(
+        `The "${environment.name}" environment has no authBaseUrl; set ` +
+          `extra.environments.${environment.name}.authBaseUrl in app.json`
+      );
+    }
+    return createRestAuthProvider({ ...config, baseUrl: environment.authBaseUrl });
+  }
+  return createLocalAuthProvider(config);
+};
+
+let authProvider = null;
+
+// Environment the active provider was created for
+let authProviderEnvironment = null;
+
+/**
+ * Get the active auth provider
+ * A new one is created after the environment changes
+ * @returns {Object} Auth provider
+ */
+export const getAuthProvider = () => {
+  const environment = getEnvironment().name;
+  if (!authProvider || authProviderEnvironment !== environment) {
+    authProvider = createConfiguredProvider();
+    authProviderEnvironment = environment;
+  }
+  return authProvider;
+};
+
+/**
+ * Replace the active auth provider (e.g. to point at a mock server)
+ * It stays active until the environment changes
+ * @param {Object} provider - Auth provider
+ */
+export const setAuthProvider = (provider) => {
+  authProvider = provider;
+  authProviderEnvironment = getEnvironment().name;
+};
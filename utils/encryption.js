@@ -0,0 +1,131 @@
+/**
+ * Encryption Utility Module
+ * Seals sensitive storage values with XChaCha20-Poly1305 (authenticated encryption)
+ *
+ * Keys come from one of two places:
+ * - Where the platform has a secure store (iOS Keychain, Android Keystore), a
+ *   random device key is generated once and kept there
+ * - Otherwise, each user's key is derived from their password at login and
+ *   held in memory only until logout
+ */
+
+import * as Crypto from 'expo-crypto';
+import * as SecureStore from 'expo-secure-store';
+import { xchacha20poly1305 } from '@noble/ciphers/chacha';
+import { bytesToHex, hexToBytes, utf8ToBytes, bytesToUtf8 } from '@noble/ciphers/utils';
+import { pbkdf2Async } from '@noble/hashes/pbkdf2';
+import { sha256 } from '@noble/hashes/sha256';
+import { PASSWORD_HASH_CONFIG } from './password';
+
+// Prefix marking a sealed value, versioned so the format can change later
+const SEALED_PREFIX = 'enc:v1:';
+
+const DEVICE_KEY_NAME = 'academic_data_key';
+const KEY_LENGTH = 32;
+const NONCE_LENGTH = 24;
+
+// Undefined until the secure store has been checked, then the key or null
+let deviceKey;
+
+// Credential-derived keys for users logged in on this run, keyed by email
+const userKeys = new Map();
+
+/**
+ * Get the device key from the platform secure store, creating it on first use
+ * @returns {Uint8Array|null} Device key, or null if there is no secure store
+ */
+export const getDeviceKey = async () => {
+  if (deviceKey !== undefined) {
+    return deviceKey;
+  }
+
+  try {
+    if (!(await SecureStore.isAvailableAsync())) {
+      deviceKey = null;
+      return deviceKey;
+    }
+
+    const stored = await SecureStore.getItemAsync(DEVICE_KEY_NAME);
+    if (stored) {
+      deviceKey = hexToBytes(stored);
+    } else {
+      deviceKey = Crypto.getRandomBytes(KEY_LENGTH);
+      await SecureStore.setItemAsync(DEVICE_KEY_NAME, bytesToHex(deviceKey));
+    }
+  } catch (error) {
+    console.error('Error loading device key:', error);
+    deviceKey = null;
+  }
+  return deviceKey;
+};
+
+/**
+ * Create a random salt for deriving a user's key
+ * @returns {string} Hex-encoded salt
+ */
+export const createKeySalt = () => bytesToHex(Crypto.getRandomBytes(16));
+
+/**
+ * Derive a user's key from their password and keep it for this run
+ * @param {string} email - Normalized account email
+ * @param {string} password - Plaintext password
+ * @param {string} salt - Hex-encoded salt stored with the account
+ * @returns {Uint8Array} Derived key
+ */
+export const unlockUserKey = async (email, password, salt) => {
+  const key = await pbkdf2Async(sha256, utf8ToBytes(password), hexToBytes(salt), {
+    c: PASSWORD_HASH_CONFIG.iterations,
+    dkLen: KEY_LENGTH,
+  });
+  userKeys.set(email, key);
+  return key;
+};
+
+/**
+ * Forget every credential-derived key (on logout)
+ */
+export const lockUserKeys = () => {
+  userKeys.clear();
+};
+
+/**
+ * Get the key that protects a user's data
+ * @param {string} email - Normalized account email
+ * @returns {Uint8Array|null} Device key, the user's derived key, or null if locked
+ */
+export const getUserKey = async (email) => {
+  return (await getDeviceKey()) || userKeys.get(email) || null;
+};
+
+/**
+ * Check whether a stored value is sealed
+ * @param {string} value - Stored value
+ * @returns {boolean} True if the value was written by seal
+ */
+export const isSealed = (value) => typeof value === 'string' && value.startsWith(SEALED_PREFIX);
+
+/**
+ * Encrypt and authenticate a string
+ * @param {string} plaintext - Value to protect
+ * @param {Uint8Array} key - 32-byte key
+ * @returns {string} Sealed value safe to store as a string
+ */
+export const seal = (plaintext, key) => {
+  const nonce = Crypto.getRandomBytes(NONCE_LENGTH);
+  const ciphertext = xchacha20poly1305(key, nonce).encrypt(utf8ToBytes(plaintext));
+  return `${SEALED_PREFIX}${bytesToHex(nonce)}${bytesToHex(ciphertext)}`;
+};
+
+/**
+ * Decrypt a sealed string
+ * @param {string} sealed - Value created by seal
+ * @param {Uint8Array} key - 32-byte key it was sealed with
+ * @returns {string} Original plaintext
+ * @throws {Error} If the key is wrong or the value was tampered with
+ */
+export const unseal = (sealed, key) => {
+  const hex = sealed.slice(SEALED_PREFIX.length);
+  const nonce = hexToBytes(hex.slice(0, NONCE_LENGTH * 2));
+  const ciphertext = hexToBytes(hex.slice(NONCE_LENGTH * 2));
+  return bytesToUtf8(xchacha20poly1305(key, nonce).decrypt(ciphertext));
+};
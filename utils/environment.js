@@ -0,0 +1,104 @@
+/**
+ * Environment Module
+ * Chooses which backend (development, staging, production) the app talks to
+ *
+ * Environments are defined in app.json `extra.environments`, each with an
+ * apiBaseUrl and an optional authBaseUrl, and `extra.environment` names the
+ * one a build uses. The developer section of Settings can override it at
+ * runtime; the override is stored and applied on the next launch as well.
+ */
+
+import Constants from 'expo-constants';
+import { backend } from './storageBackend';
+
+const ENVIRONMENT_KEY = '@environment';
+
+// Used when app.json defines no environments at all
+const FALLBACK_ENVIRONMENT = {
+  name: 'production',
+  apiBaseUrl: 'https://jsonplaceholder.typicode.com',
+};
+
+// Name of the runtime override, or null to use the build's environment
+let overrideName = null;
+
+/**
+ * Get the environments defined in app.json
+ * @returns {Object} Environment configs keyed by name
+ */
+const getEnvironmentConfigs = () => Constants.expoConfig?.extra?.environments || {};
+
+/**
+ * Look up an environment by name
+ * @param {string} name - Environment name
+ * @returns {Object|null} Environment with name, apiBaseUrl and authBaseUrl, or null if unknown
+ */
+const findEnvironment = (name) => {
+  const config = getEnvironmentConfigs()[name];
+  return config ? { name, ...config } : null;
+};
+
+/**
+ * Get the names of every configured environment
+ * @returns {Array} Environment names, in the order app.json lists them
+ */
+export const getEnvironmentNames = () => Object.keys(getEnvironmentConfigs());
+
+/**
+ * Get the environment this build uses when nothing overrides it
+ * @returns {Object} Environment with name, apiBaseUrl and authBaseUrl
+ */
+export const getDefaultEnvironment = () => {
+  const name = Constants.expoConfig?.extra?.environment;
+  return findEnvironment(name) || findEnvironment(getEnvironmentNames()[0]) || FALLBACK_ENVIRONMENT;
+};
+
+/**
+ * Get the active environment
+ * @returns {Object} Environment with name, apiBaseUrl and authBaseUrl
+ */
+export const getEnvironment = () => findEnvironment(overrideName) || getDefaultEnvironment();
+
+/**
+ * Load the stored runtime override
+ * Call at startup, before anything makes a request
+ * @returns {Object} The active environment
+ */
+export const loadEnvironment = async () => {
+  try {
+    const stored = await backend.getItem(ENVIRONMENT_KEY);
+    // An override naming an environment this build no longer has is ignored
+    overrideName = findEnvironment(stored) ? stored : null;
+  } catch (error) {
+    console.error('Error loading environment:', error);
+    overrideName = null;
+  }
+  return getEnvironment();
+};
+
+/**
+ * Switch to another environment and remember the choice
+ * Choosing the build's own environment removes the override. Callers are
+ * responsible for ending the session and flushing caches for the old backend
+ * @param {string} name - Environment name
+ * @returns {Object} Result object with success status and the new environment
+ */
+export const setEnvironment = async (name) => {
+  if (!findEnvironment(name)) {
+    return { success: false, error: `Unknown environment: ${name}` };
+  }
+
+  try {
+    if (name === getDefaultEnvironment().name) {
+      await backend.removeItem(ENVIRONMENT_KEY);
+      overrideName = null;
+    } else {
+      await backend.setItem(ENVIRONMENT_KEY, name);
+      overrideName = name;
+    }
+    return { success: true, environment: getEnvironment() };
+  } catch (error) {
+    console.error('Error saving environment:', error);
+    return { success: false, error: error.message };
+  }
+};
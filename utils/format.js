@@ -0,0 +1,100 @@
+/**
+ * Format Utility Module
+ * Helpers for showing dates, times and sizes to the user
+ */
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Format a time relative to now, e.g. "just now", "5 min ago", "3 days ago"
+ * Times more than a week ago are shown as a date
+ * @param {number|string} timestamp - Time in milliseconds since the epoch, or an ISO string
+ * @returns {string} Human-readable relative time, or an empty string if missing
+ */
+export const formatRelativeTime = (timestamp) => {
+  if (!timestamp) {
+    return '';
+  }
+
+  const time = new Date(timestamp).getTime();
+  const elapsed = Date.now() - time;
+  if (elapsed < MINUTE_MS) {
+    return 'just now';
+  }
+  if (elapsed < HOUR_MS) {
+    return `${Math.floor(elapsed / MINUTE_MS)} min ago`;
+  }
+  if (elapsed < DAY_MS) {
+    return `${Math.floor(elapsed / HOUR_MS)} h ago`;
+  }
+  if (elapsed < 7 * DAY_MS) {
+    const days = Math.floor(elapsed / DAY_MS);
+    return days === 1 ? 'yesterday' : `${days} days ago`;
+  }
+  return new Date(time).toLocaleDateString();
+};
+
+/**
+ * Get up to two initials from a name, e.g. "Leanne Graham" -> "LG"
+ * @param {string} name - Person's name
+ * @returns {string} Uppercase initials, or "?" if there is no name
+ */
+export const getInitials = (name) => {
+  const words = (name || '').trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) {
+    return '?';
+  }
+  const first = words[0].charAt(0);
+  const last = words.length > 1 ? words[words.length - 1].charAt(0) : '';
+  return `${first}${last}`.toUpperCase();
+};
+
+/**
+ * Format a file size, e.g. 532 B, 14 KB, 2.4 MB
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Human-readable size, or an empty string if unknown
+ */
+export const formatFileSize = (bytes) => {
+  if (typeof bytes !== 'number') {
+    return '';
+  }
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${Math.round(bytes / 1024)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Format a date and time in the device's locale, without seconds
+ * @param {number|string} timestamp - Time in milliseconds since the epoch, or an ISO string
+ * @returns {string} Human-readable date and time, or an empty string if missing
+ */
+export const formatDateTime = (timestamp) => {
+  if (!timestamp) {
+    return '';
+  }
+  const date = new Date(timestamp);
+  return `${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+};
+
+/**
+ * Format a length of time with its largest unit, e.g. "3 days", "5 h", "12 min"
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Human-readable duration
+ */
+export const formatDuration = (ms) => {
+  const duration = Math.abs(ms);
+  if (duration >= DAY_MS) {
+    const days = Math.floor(duration / DAY_MS);
+    return days === 1 ? '1 day' : `${days} days`;
+  }
+  if (duration >= HOUR_MS) {
+    return `${Math.floor(duration / HOUR_MS)} h`;
+  }
+  return `${Math.max(1, Math.floor(duration / MINUTE_MS))} min`;
+};
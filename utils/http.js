@@ -0,0 +1,307 @@
+/**
+ * HTTP Client Module
+ * Shared request layer for api.js: timeouts, retries with exponential backoff
+ * and jitter for idempotent requests, and cancellation through AbortSignal.
+ * File uploads go through XMLHttpRequest instead of fetch, which cannot
+ * report upload progress
+ *
+ * Failures come back as typed values instead of thrown exceptions:
+ *   { success: false, error, errorType, status? }
+ * where errorType is one of HTTP_ERROR_TYPES, so screens can tell a dropped
+ * connection from a server error or a request they cancelled themselves.
+ */
+
+// Kinds of request failure
+export const HTTP_ERROR_TYPES = {
+  NETWORK: 'network',
+  TIMEOUT: 'timeout',
+  HTTP: 'http',
+  PARSE: 'parse',
+  CANCELLED: 'cancelled',
+};
+
+// Defaults for every request, overridable per call
+export const HTTP_DEFAULTS = {
+  timeoutMs: 15 * 1000,
+  retries: 2,
+  baseRetryDelayMs: 500,
+  maxRetryDelayMs: 8 * 1000,
+  uploadTimeoutMs: 5 * 60 * 1000,
+};
+
+// Methods that can be repeated without changing the result, and so retried
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// HTTP statuses worth retrying: rate limiting and server-side failures
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Create an error carrying its failure type
+ * @param {string} type - One of HTTP_ERROR_TYPES
+ * @param {string} message - Message suitable for showing to the user
+ * @param {number} status - HTTP status, for HTTP errors
+ * @returns {Error} Error with type and status properties
+ */
+const createRequestError = (type, message, status) => {
+  const error = new Error(message);
+  error.type = type;
+  error.status = status;
+  return error;
+};
+
+/**
+ * Describe an HTTP error status for the user
+ * @param {number} status - HTTP status
+ * @returns {string} Error message
+ */
+const describeStatus = (status) => {
+  if (status === 401 || status === 403) {
+    return 'You are not allowed to do that';
+  }
+  if (status === 404) {
+    return 'Not found';
+  }
+  if (status >= 500) {
+    return `The server had a problem (${status}). Please try again later.`;
+  }
+  return `Request failed with status ${status}`;
+};
+
+/**
+ * Convert a caught error into a failed result object
+ * Errors without a type (e.g. from code around the request) count as network errors
+ * @param {Error} error - Caught error
+ * @returns {Object} Result object with success false, error, errorType and status
+ */
+export const toErrorResult = (error) => ({
+  success: false,
+  error: error.message,
+  errorType: error.type || HTTP_ERROR_TYPES.NETWORK,
+  status: error.status,
+});
+
+/**
+ * Check whether a failed result came from a cancelled request
+ * Screens ignore these, since they cancel requests when they unmount
+ * @param {Object} result - Result object
+ * @returns {boolean} True if the request was cancelled
+ */
+export const isCancelled = (result) => result?.errorType === HTTP_ERROR_TYPES.CANCELLED;
+
+/**
+ * Wait before a retry, stopping early if the request is cancelled
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Optional cancellation signal
+ */
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createRequestError(HTTP_ERROR_TYPES.CANCELLED, 'Request was cancelled'));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort);
+  });
+
+/**
+ * Compute the delay before a retry: exponential backoff with full jitter
+ * @param {number} attempt - Number of attempts already made, starting at 1
+ * @param {Object} options - Object with baseRetryDelayMs and maxRetryDelayMs
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = (attempt, { baseRetryDelayMs, maxRetryDelayMs }) => {
+  const ceiling = Math.min(maxRetryDelayMs, baseRetryDelayMs * 2 ** (attempt - 1));
+  return Math.random() * ceiling;
+};
+
+/**
+ * Make a single attempt at a request
+ * @param {string} url - Absolute URL
+ * @param {Object} options - Request options (see request)
+ * @returns {Object} Object with status, headers and parsed data
+ * @throws {Error} Typed request error
+ */
+const attempt = async (url, { method, headers, body, timeoutMs, signal, fetchImpl = fetch }) => {
+  if (signal?.aborted) {
+    throw createRequestError(HTTP_ERROR_TYPES.CANCELLED, 'Request was cancelled');
+  }
+
+  // Each attempt gets its own controller, aborted by the timeout or the caller's signal
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort);
+
+  try {
+    let response;
+    try {
+      response = await fetchImpl(url, {
+        method,
+        headers: body !== undefined ? { 'Content-Type': 'application/json', ...headers } : headers,
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: controller.signal,
+      });
+    } catch (error) {
+      if (timedOut) {
+        throw createRequestError(HTTP_ERROR_TYPES.TIMEOUT, 'The server took too long to respond');
+      }
+      if (signal?.aborted) {
+        throw createRequestError(HTTP_ERROR_TYPES.CANCELLED, 'Request was cancelled');
+      }
+      throw createRequestError(
+        HTTP_ERROR_TYPES.NETWORK,
+        'Could not reach the server. Check your connection and try again.'
+      );
+    }
+
+    if (response.status === 304) {
+      return { status: response.status, headers: response.headers, data: null };
+    }
+    if (!response.ok) {
+      throw createRequestError(HTTP_ERROR_TYPES.HTTP, describeStatus(response.status), response.status);
+    }
+
+    const text = await response.text();
+    try {
+      return { status: response.status, headers: response.headers, data: text ? JSON.parse(text) : null };
+    } catch (error) {
+      throw createRequestError(
+        HTTP_ERROR_TYPES.PARSE,
+        'The server sent a response that could not be read',
+        response.status
+      );
+    }
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+};
+
+/**
+ * Check whether a failed attempt should be retried
+ * @param {Error} error - Typed request error
+ * @returns {boolean} True for network errors, timeouts and retryable statuses
+ */
+const isRetryable = (error) => {
+  if (error.type === HTTP_ERROR_TYPES.HTTP) {
+    return RETRYABLE_STATUSES.includes(error.status);
+  }
+  return error.type === HTTP_ERROR_TYPES.NETWORK || error.type === HTTP_ERROR_TYPES.TIMEOUT;
+};
+
+/**
+ * Make an HTTP request with a JSON response
+ * Idempotent requests are retried on network errors, timeouts and retryable
+ * statuses; other methods are tried once unless `retries` is given
+ * @param {string} url - Absolute URL
+ * @param {Object} options - Object with method, headers, body (sent as JSON),
+ * signal (AbortSignal), timeoutMs, retries, baseRetryDelayMs, maxRetryDelayMs
+ * and fetchImpl (e.g. an auth provider's fetch, to send credentials)
+ * @returns {Object} Result object with success status, status, headers and
+ * parsed data (null for a 304), or a typed error (see toErrorResult)
+ */
+export const request = async (url, options = {}) => {
+  const method = (options.method || 'GET').toUpperCase();
+  const settings = {
+    ...HTTP_DEFAULTS,
+    retries: IDEMPOTENT_METHODS.includes(method) ? HTTP_DEFAULTS.retries : 0,
+    ...options,
+    method,
+  };
+
+  for (let attemptNumber = 1; ; attemptNumber += 1) {
+    try {
+      const response = await attempt(url, settings);
+      return { success: true, ...response };
+    } catch (error) {
+      if (attemptNumber > settings.retries || !isRetryable(error)) {
+        return toErrorResult(error);
+      }
+      try {
+        await wait(getRetryDelay(attemptNumber, settings), settings.signal);
+      } catch (cancelled) {
+        return toErrorResult(cancelled);
+      }
+    }
+  }
+};
+
+/**
+ * Upload a file as multipart form data, reporting progress
+ * Uploads are never retried; the caller decides whether to try again
+ * @param {string} url - Absolute URL
+ * @param {Object} options - Object with file (uri, name and mimeType),
+ * fieldName, headers, signal (AbortSignal), timeoutMs and onProgress, which
+ * is called with the fraction sent so far, from 0 to 1
+ * @returns {Object} Result object with success status, status and parsed
+ * data, or a typed error (see toErrorResult)
+ */
+export const upload = (url, options) =>
+  new Promise((resolve) => {
+    const {
+      file,
+      fieldName = 'file',
+      headers = {},
+      signal,
+      timeoutMs = HTTP_DEFAULTS.uploadTimeoutMs,
+      onProgress,
+    } = options;
+
+    if (signal?.aborted) {
+      resolve(toErrorResult(createRequestError(HTTP_ERROR_TYPES.CANCELLED, 'Upload was cancelled')));
+      return;
+    }
+
+    const xhr = new XMLHttpRequest();
+    const onAbort = () => xhr.abort();
+
+    /**
+     * Settle the upload, detaching from the caller's signal
+     * @param {Object} result - Result object
+     */
+    const finish = (result) => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve(result);
+    };
+    const fail = (type, message, status) =>
+      finish(toErrorResult(createRequestError(type, message, status)));
+
+    xhr.upload.onprogress = (event) => {
+      if (event.lengthComputable && event.total > 0) {
+        onProgress?.(event.loaded / event.total);
+      }
+    };
+    xhr.onload = () => {
+      if (xhr.status < 200 || xhr.status >= 300) {
+        fail(HTTP_ERROR_TYPES.HTTP, describeStatus(xhr.status), xhr.status);
+        return;
+      }
+      try {
+        const data = xhr.responseText ? JSON.parse(xhr.responseText) : null;
+        finish({ success: true, status: xhr.status, data });
+      } catch (error) {
+        fail(HTTP_ERROR_TYPES.PARSE, 'The server sent a response that could not be read', xhr.status);
+      }
+    };
+    xhr.onerror = () =>
+      fail(HTTP_ERROR_TYPES.NETWORK, 'Could not reach the server. Check your connection and try again.');
+    xhr.ontimeout = () => fail(HTTP_ERROR_TYPES.TIMEOUT, 'The upload took too long');
+    xhr.onabort = () => fail(HTTP_ERROR_TYPES.CANCELLED, 'Upload was cancelled');
+
+    xhr.open('POST', url);
+    xhr.timeout = timeoutMs;
+    Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+    signal?.addEventListener('abort', onAbort);
+
+    const body = new FormData();
+    // React Native reads the file from its URI when the form is sent
+    body.append(fieldName, { uri: file.uri, name: file.name, type: file.mimeType });
+    xhr.send(body);
+  });
@@ -0,0 +1,148 @@
+/**
+ * Storage Migrations Module
+ * Versions the shape of the stored data and upgrades it at startup
+ * Runs before anything else reads storage, and restores the previous data if
+ * a migration fails
+ *
+ * Migrations use literal key names rather than the storage module's KEYS,
+ * because they describe the data as it was when each version shipped.
+ * To change a stored format, append a migration with the next version number.
+ */
+
+import { backend } from './storageBackend';
+
+const SCHEMA_VERSION_KEY = '@schema_version';
+
+/**
+ * Ordered list of migrations
+ * Each `up` receives the storage backend and must leave the data in the shape of its version
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Move the single user record into the account registry',
+    up: async (storage) => {
+      const legacy = await storage.getItem('@user_data');
+      if (!legacy) {
+        return;
+      }
+
+      const record = JSON.parse(legacy);
+      const email = (record.email || '').trim().toLowerCase();
+      const accounts = JSON.parse((await storage.getItem('@accounts')) || '{}');
+
+      // Favorites and settings were global back then and belong to this account
+      for (const key of ['@favorites', '@settings']) {
+        const value = await storage.getItem(key);
+        if (value !== null) {
+          await storage.setItem(`${key}:${email}`, value);
+        }
+      }
+
+      accounts[email] = { ...record, ...accounts[email], email };
+      await storage.setItem('@accounts', JSON.stringify(accounts));
+      await storage.multiRemove(['@user_data', '@favorites', '@settings']);
+    },
+  },
+  {
+    version: 2,
+    description: 'Replace the login flag with session records',
+    up: async (storage) => {
+      // Users logged in with the old flag sign in again to get a session
+      await storage.removeItem('@is_logged_in');
+    },
+  },
+];
+
+// Schema version this build of the app expects
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Read the stored schema version
+ * @returns {number} Stored version, or 0 for data written before versioning
+ */
+export const getSchemaVersion = async () => {
+  const version = await backend.getItem(SCHEMA_VERSION_KEY);
+  return version ? Number(version) : 0;
+};
+
+/**
+ * Copy every stored key and value
+ * @returns {Array} Array of [key, value] pairs
+ */
+const takeSnapshot = async () => {
+  const keys = await backend.getAllKeys();
+  return backend.multiGet(keys);
+};
+
+/**
+ * Put storage back exactly as it was in a snapshot
+ * @param {Array} snapshot - Array of [key, value] pairs from takeSnapshot
+ */
+const restoreSnapshot = async (snapshot) => {
+  const keys = await backend.getAllKeys();
+  const snapshotKeys = new Set(snapshot.map(([key]) => key));
+  await backend.multiRemove(keys.filter((key) => !snapshotKeys.has(key)));
+  await backend.multiSet(snapshot.filter(([, value]) => value !== null));
+};
+
+/**
+ * Run every migration newer than the stored schema version, in order
+ * If one fails, storage is restored to how it was before that run
+ * @returns {Object} Result object with success status, fromVersion, toVersion,
+ * the descriptions of the applied migrations, and on failure the failed version and error
+ */
+export const runMigrations = async () => {
+  let fromVersion = 0;
+  let snapshot = null;
+  let current = null;
+
+  try {
+    fromVersion = await getSchemaVersion();
+    if (fromVersion > CURRENT_SCHEMA_VERSION) {
+      return {
+        success: false,
+        fromVersion,
+        toVersion: fromVersion,
+        applied: [],
+        error: 'Stored data was written by a newer version of the app',
+      };
+    }
+
+    const pending = MIGRATIONS.filter((migration) => migration.version > fromVersion);
+    if (pending.length === 0) {
+      return { success: true, fromVersion, toVersion: fromVersion, applied: [] };
+    }
+
+    snapshot = await takeSnapshot();
+    for (const migration of pending) {
+      current = migration;
+      await migration.up(backend);
+    }
+    await backend.setItem(SCHEMA_VERSION_KEY, String(CURRENT_SCHEMA_VERSION));
+
+    return {
+      success: true,
+      fromVersion,
+      toVersion: CURRENT_SCHEMA_VERSION,
+      applied: pending.map((migration) => migration.description),
+    };
+  } catch (error) {
+    console.error(`Error running storage migration ${current?.version}:`, error);
+    if (snapshot) {
+      try {
+        await restoreSnapshot(snapshot);
+      } catch (restoreError) {
+        console.error('Error restoring storage after failed migration:', restoreError);
+      }
+    }
+    return {
+      success: false,
+      fromVersion,
+      toVersion: fromVersion,
+      applied: [],
+      failedVersion: current?.version,
+      error: error.message,
+    };
+  }
+};
@@ -0,0 +1,173 @@
+/**
+ * Password Utility Module
+ * Derives salted password hashes with PBKDF2 and verifies them
+ * Passwords are never stored in plaintext, only the derived key and its parameters
+ * Also generates the one-time recovery codes used to reset a forgotten password
+ */
+
+import * as Crypto from 'expo-crypto';
+import { pbkdf2Async } from '@noble/hashes/pbkdf2';
+import { sha256 } from '@noble/hashes/sha256';
+import { bytesToHex, hexToBytes, utf8ToBytes } from '@noble/hashes/utils';
+
+/**
+ * Key derivation settings
+ * Raise `iterations` as devices get faster; records hashed with fewer
+ * iterations are upgraded on the next successful login
+ */
+export const PASSWORD_HASH_CONFIG = {
+  algorithm: 'pbkdf2-sha256',
+  iterations: 100000,
+  keyLength: 32,
+  saltLength: 16,
+};
+
+/**
+ * Compare two byte arrays in constant time
+ * @param {Uint8Array} a - First byte array
+ * @param {Uint8Array} b - Second byte array
+ * @returns {boolean} True if both arrays hold the same bytes
+ */
+export const constantTimeEqual = (a, b) => {
+  let diff = a.length ^ b.length;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ (b[i % b.length] || 0);
+  }
+  return diff === 0;
+};
+
+/**
+ * Hash a password with a fresh random salt
+ * @param {string} password - Plaintext password
+ * @param {Object} options - Optional overrides for PASSWORD_HASH_CONFIG
+ * @returns {Object} Hash record with algorithm, iterations, salt and hash
+ */
+export const hashPassword = async (password, options = {}) => {
+  const config = { ...PASSWORD_HASH_CONFIG, ...options };
+  const salt = Crypto.getRandomBytes(config.saltLength);
+  const hash = await pbkdf2Async(sha256, utf8ToBytes(password), salt, {
+    c: config.iterations,
+    dkLen: config.keyLength,
+  });
+
+  return {
+    algorithm: config.algorithm,
+    iterations: config.iterations,
+    salt: bytesToHex(salt),
+    hash: bytesToHex(hash),
+  };
+};
+
+/**
+ * Verify a password against a stored hash record
+ * @param {string} password - Plaintext password to check
+ * @param {Object} record - Hash record created by hashPassword
+ * @returns {boolean} True if the password matches
+ */
+export const verifyPassword = async (password, record) => {
+  if (!record || record.algorithm !== PASSWORD_HASH_CONFIG.algorithm) {
+    return false;
+  }
+
+  const expected = hexToBytes(record.hash);
+  const actual = await pbkdf2Async(sha256, utf8ToBytes(password), hexToBytes(record.salt), {
+    c: record.iterations,
+    dkLen: expected.length,
+  });
+  return constantTimeEqual(actual, expected);
+};
+
+/**
+ * Check whether a hash record was created with outdated settings
+ * @param {Object} record - Hash record created by hashPassword
+ * @returns {boolean} True if the password should be hashed again
+ */
+export const needsRehash = (record) => {
+  return (
+    !record ||
+    record.algorithm !== PASSWORD_HASH_CONFIG.algorithm ||
+    record.iterations < PASSWORD_HASH_CONFIG.iterations
+  );
+};
+
+/**
+ * Compare a plaintext password with a legacy plaintext record in constant time
+ * @param {string} password - Password entered by the user
+ * @param {string} stored - Plaintext password from an old record
+ * @returns {boolean} True if they match
+ */
+export const verifyLegacyPassword = (password, stored) => {
+  if (typeof stored !== 'string') {
+    return false;
+  }
+  return constantTimeEqual(utf8ToBytes(password), utf8ToBytes(stored));
+};
+
+// Minimum password length, shared by signup, change password and recovery
+export const PASSWORD_MIN_LENGTH = 6;
+
+/**
+ * Check a new password against the password rules
+ * @param {string} password - Password to check
+ * @returns {string} Error message, or an empty string if the password is valid
+ */
+export const getPasswordError = (password) => {
+  if (!password) {
+    return 'Password is required';
+  }
+  if (password.length < PASSWORD_MIN_LENGTH) {
+    return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+  }
+  return '';
+};
+
+// Recovery codes are high-entropy, so they need far fewer iterations than passwords
+const RECOVERY_CODE_CONFIG = {
+  count: 8,
+  length: 8,
+  iterations: 1000,
+};
+
+// Crockford base32 alphabet (no I, L, O or U to avoid misreading)
+const RECOVERY_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+/**
+ * Normalize a recovery code as typed by the user
+ * @param {string} code - Recovery code, with or without dashes and spaces
+ * @returns {string} Upper-case code without separators
+ */
+export const normalizeRecoveryCode = (code) => {
+  return (code || '').replace(/[\s-]/g, '').toUpperCase();
+};
+
+/**
+ * Generate a fresh set of one-time recovery codes
+ * @returns {Object} Plaintext codes to show the user once, and their hash records to store
+ */
+export const generateRecoveryCodes = async () => {
+  const codes = [];
+  const hashes = [];
+  for (let i = 0; i < RECOVERY_CODE_CONFIG.count; i++) {
+    const bytes = Crypto.getRandomBytes(RECOVERY_CODE_CONFIG.length);
+    const raw = Array.from(bytes, (byte) => RECOVERY_ALPHABET[byte % 32]).join('');
+    codes.push(`${raw.slice(0, 4)}-${raw.slice(4)}`);
+    hashes.push(await hashPassword(raw, { iterations: RECOVERY_CODE_CONFIG.iterations }));
+  }
+  return { codes, hashes };
+};
+
+/**
+ * Find the stored recovery code that matches a code entered by the user
+ * @param {string} code - Recovery code entered by the user
+ * @param {Array} hashes - Stored recovery code hash records
+ * @returns {number} Index of the matching record, or -1
+ */
+export const findRecoveryCode = async (code, hashes = []) => {
+  const normalized = normalizeRecoveryCode(code);
+  for (let i = 0; i < hashes.length; i++) {
+    if (await verifyPassword(normalized, hashes[i])) {
+      return i;
+    }
+  }
+  return -1;
+};
@@ -0,0 +1,163 @@
+/**
+ * Permissions Utility Module
+ * Roles, what each role may do, and which screens it may open
+ * Every role and ownership check in the app goes through here, so the
+ * navigator, deep links and screens always agree
+ *
+ * Students submit work; instructors review and grade submissions and manage
+ * their courses' assignments; admins manage user accounts as well.
+ * Users without a valid role, such as accounts created before roles existed,
+ * are students.
+ */
+
+import { normalizeEmail } from './storage';
+import { SUBMISSION_STATUSES, getNextStatuses, isEditableByAuthor } from './submissionStatus';
+
+// Roles a user can have
+export const ROLES = {
+  STUDENT: 'student',
+  INSTRUCTOR: 'instructor',
+  ADMIN: 'admin',
+};
+
+// Label for each role
+export const ROLE_LABELS = {
+  [ROLES.STUDENT]: 'Student',
+  [ROLES.INSTRUCTOR]: 'Instructor',
+  [ROLES.ADMIN]: 'Admin',
+};
+
+// Role of a user without a valid one, and of every new account
+// Instructors and admins are promoted by an admin on the Users screen; the first
+// admins are named in app.json `extra.auth.adminEmails`
+export const DEFAULT_ROLE = ROLES.STUDENT;
+
+// Things a role may be allowed to do
+export const PERMISSIONS = {
+  SUBMIT_WORK: 'submit_work',
+  GRADE_SUBMISSIONS: 'grade_submissions',
+  MANAGE_COURSES: 'manage_courses',
+  MANAGE_USERS: 'manage_users',
+};
+
+// What each role may do
+const ROLE_PERMISSIONS = {
+  [ROLES.STUDENT]: [PERMISSIONS.SUBMIT_WORK],
+  [ROLES.INSTRUCTOR]: [PERMISSIONS.GRADE_SUBMISSIONS, PERMISSIONS.MANAGE_COURSES],
+  [ROLES.ADMIN]: [
+    PERMISSIONS.GRADE_SUBMISSIONS,
+    PERMISSIONS.MANAGE_COURSES,
+    PERMISSIONS.MANAGE_USERS,
+  ],
+};
+
+// Permission needed to open each restricted screen; other screens are open to every role
+const ROUTE_PERMISSIONS = {
+  Assignments: PERMISSIONS.SUBMIT_WORK,
+  NewSubmission: PERMISSIONS.SUBMIT_WORK,
+  Drafts: PERMISSIONS.SUBMIT_WORK,
+  EditSubmission: PERMISSIONS.SUBMIT_WORK,
+  Grading: PERMISSIONS.GRADE_SUBMISSIONS,
+  GradeSubmission: PERMISSIONS.GRADE_SUBMISSIONS,
+  Courses: PERMISSIONS.MANAGE_COURSES,
+  Users: PERMISSIONS.MANAGE_USERS,
+};
+
+/**
+ * Get a user's role
+ * @param {Object} user - Logged-in user
+ * @returns {string} One of ROLES
+ */
+export const getRole = (user) =>
+  Object.values(ROLES).includes(user?.role) ? user.role : DEFAULT_ROLE;
+
+/**
+ * Work out the role a new account gets
+ * Users cannot choose a role; anything sent with the signup is ignored
+ * @param {string} email - Email the account signs up with
+ * @param {Array} adminEmails - Emails that are made admins when they sign up
+ * @returns {string} One of ROLES
+ */
+export const getSignupRole = (email, adminEmails = []) =>
+  adminEmails.map(normalizeEmail).includes(normalizeEmail(email)) ? ROLES.ADMIN : DEFAULT_ROLE;
+
+/**
+ * Check whether a user may do something
+ * @param {Object} user - Logged-in user
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {boolean} True if the user's role grants the permission
+ */
+export const hasPermission = (user, permission) =>
+  Boolean(user) && ROLE_PERMISSIONS[getRole(user)].includes(permission);
+
+/**
+ * Check whether a user may open a screen
+ * @param {Object} user - Logged-in user
+ * @param {string} routeName - Screen's route name
+ * @returns {boolean} True if the screen is unrestricted or the user has its permission
+ */
+export const canAccessRoute = (user, routeName) =>
+  !ROUTE_PERMISSIONS[routeName] || hasPermission(user, ROUTE_PERMISSIONS[routeName]);
+
+/**
+ * Check whether the logged-in user wrote a submission
+ * @param {Object} post - Post object
+ * @param {Object} user - Logged-in user
+ * @returns {boolean} True if the submission is the user's own
+ */
+export const isOwnSubmission = (post, user) =>
+  Boolean(user?.email && post?.authorEmail) &&
+  normalizeEmail(post.authorEmail) === normalizeEmail(user.email);
+
+/**
+ * Check whether the logged-in user wrote a comment
+ * @param {Object} comment - Comment object
+ * @param {Object} user - Logged-in user
+ * @returns {boolean} True if the comment is the user's own
+ */
+export const isOwnComment = (comment, user) =>
+  Boolean(user?.email && comment?.email) &&
+  normalizeEmail(comment.email) === normalizeEmail(user.email);
+
+/**
+ * Check whether a user may edit or withdraw a submission
+ * @param {Object} user - Logged-in user
+ * @param {Object} post - Post object
+ * @returns {boolean} True for the author, while the submission is still theirs to change
+ */
+export const canEditSubmission = (user, post) =>
+  hasPermission(user, PERMISSIONS.SUBMIT_WORK) &&
+  isOwnSubmission(post, user) &&
+  isEditableByAuthor(post);
+
+/**
+ * Get the statuses a reviewer may move a submission to
+ * Resubmitting is left to the author
+ * @param {Object} post - Post object
+ * @returns {Array} Statuses from SUBMISSION_STATUSES
+ */
+export const getReviewStatuses = (post) =>
+  getNextStatuses(post).filter((status) => status !== SUBMISSION_STATUSES.SUBMITTED);
+
+/**
+ * Check whether a user may move a submission through review
+ * Nobody reviews their own work
+ * @param {Object} user - Logged-in user
+ * @param {Object} post - Post object
+ * @returns {boolean} True if the user grades submissions and this one has a next step
+ */
+export const canReviewSubmission = (user, post) =>
+  hasPermission(user, PERMISSIONS.GRADE_SUBMISSIONS) &&
+  !isOwnSubmission(post, user) &&
+  getReviewStatuses(post).length > 0;
+
+/**
+ * Check whether a user may change or remove another account
+ * Admins cannot change their own account, so there is always one left
+ * @param {Object} user - Logged-in user
+ * @param {Object} account - Account to manage (needs email)
+ * @returns {boolean} True if the user manages users and the account is not their own
+ */
+export const canManageAccount = (user, account) =>
+  hasPermission(user, PERMISSIONS.MANAGE_USERS) &&
+  normalizeEmail(account.email) !== normalizeEmail(user.email);
@@ -1,28 +1,358 @@
 /**
  * Storage Utility Module
- * Handles all AsyncStorage operations for the application
- * Stores user credentials, favorites, and app settings
+ * Handles all storage operations for the application
+ * Every read and write goes through the active backend from storageBackend.js
+ * Stores user credentials, favorites, submission drafts, and app settings
+ * Sensitive records are sealed with keys from encryption.js; UI preferences stay plaintext
  */
 
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { backend } from './storageBackend';
+import {
+  hashPassword,
+  verifyPassword,
+  verifyLegacyPassword,
+  needsRehash,
+  generateRecoveryCodes,
+  findRecoveryCode,
+} from './password';
+import {
+  getDeviceKey,
+  getUserKey,
+  unlockUserKey,
+  lockUserKeys,
+  createKeySalt,
+  isSealed,
+  seal,
+  unseal,
+} from './encryption';
 
 // Storage Keys
 const KEYS = {
-  USER: '@user_data',
+  ACCOUNTS: '@accounts',
+  SESSION: '@session',
+  LOGIN_ATTEMPTS: '@login_attempts',
+  AUTH_TOKENS: '@auth_tokens',
   FAVORITES: '@favorites',
   SETTINGS: '@settings',
-  IS_LOGGED_IN: '@is_logged_in',
+  APP_LOCK: '@app_lock',
+  WITHDRAWN_POSTS: '@withdrawn_posts',
+  DRAFTS: '@drafts',
 };
 
 /**
- * Save user data to AsyncStorage
- * @param {Object} userData - User object containing username, email, password
+ * Session lifetime policy
+ * A session ends after `idleTimeoutMs` without activity, and in any case
+ * `absoluteTimeoutMs` after login
+ */
+export const SESSION_POLICY = {
+  idleTimeoutMs: 30 * 60 * 1000,
+  absoluteTimeoutMs: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Failed login policy, applied per email
+ * After `freeAttempts` failures each further attempt waits `baseDelayMs`,
+ * doubling up to `maxDelayMs`; after `lockoutAttempts` failures the email is
+ * locked for `lockoutMs`
+ */
+export const LOGIN_THROTTLE_POLICY = {
+  freeAttempts: 3,
+  baseDelayMs: 5 * 1000,
+  maxDelayMs: 5 * 60 * 1000,
+  lockoutAttempts: 10,
+  lockoutMs: 15 * 60 * 1000,
+};
+
+/**
+ * App-lock PIN policy
+ * `maxAttempts` wrong PINs in a row force a full logout
+ */
+export const APP_LOCK_POLICY = {
+  pinMinLength: 4,
+  pinMaxLength: 6,
+  maxAttempts: 5,
+  defaultBackgroundTimeoutMs: 60 * 1000,
+};
+
+// Keys stored once per account, namespaced by the account's email
+const USER_SCOPED_KEYS = [KEYS.FAVORITES, KEYS.DRAFTS, KEYS.SETTINGS, KEYS.APP_LOCK];
+
+// Per-user keys sealed with the user's key
+const USER_SENSITIVE_KEYS = [KEYS.FAVORITES, KEYS.DRAFTS];
+
+// Settings used when nothing has been saved yet
+export const DEFAULT_SETTINGS = { darkMode: false, notifications: true };
+
+/**
+ * Normalize an email address for use as an account key
+ * @param {string} email - Email as entered by the user
+ * @returns {string} Trimmed, lower-case email
+ */
+export const normalizeEmail = (email) => (email || '').trim().toLowerCase();
+
+/**
+ * Build the storage key for one account's copy of a per-user key
+ * @param {string} key - Base storage key from USER_SCOPED_KEYS
+ * @param {string} email - Normalized account email
+ * @returns {string} Namespaced storage key
+ */
+const scopedKey = (key, email) => `${key}:${email}`;
+
+/**
+ * Read the stored session record without checking its expiry
+ * @returns {Object|null} Session record or null
+ */
+const readSession = async () => {
+  const session = await backend.getItem(KEYS.SESSION);
+  return session ? JSON.parse(session) : null;
+};
+
+/**
+ * Build the storage key for the logged-in account's copy of a per-user key
+ * @param {string} key - Base storage key from USER_SCOPED_KEYS
+ * @returns {string} Namespaced storage key
+ * @throws {Error} If no account is logged in
+ */
+const currentUserKey = async (key) => {
+  return scopedKey(key, await currentUserEmail());
+};
+
+/**
+ * Get the logged-in account's email
+ * @returns {string} Normalized account email
+ * @throws {Error} If no account is logged in
+ */
+const currentUserEmail = async () => {
+  const session = await readSession();
+  if (!session?.email) {
+    throw new Error('No user is logged in');
+  }
+  return session.email;
+};
+
+/**
+ * Read and parse a value that may be sealed
+ * Values written before encryption was added are read as plain JSON
+ * @param {string} key - Storage key
+ * @param {Uint8Array|null} encryptionKey - Key the value is sealed with
+ * @returns {*} Parsed value, or null if nothing is stored
+ * @throws {Error} If the value is sealed and the key is missing or wrong
+ */
+const readSealed = async (key, encryptionKey) => {
+  const stored = await backend.getItem(key);
+  if (stored === null) {
+    return null;
+  }
+  if (!isSealed(stored)) {
+    return JSON.parse(stored);
+  }
+  if (!encryptionKey) {
+    throw new Error('Encrypted data is locked');
+  }
+  return JSON.parse(unseal(stored, encryptionKey));
+};
+
+/**
+ * Seal and write a value
+ * @param {string} key - Storage key
+ * @param {*} value - Value to store as JSON
+ * @param {Uint8Array|null} encryptionKey - Key to seal the value with
+ * @throws {Error} If no key is available, rather than writing plaintext
+ */
+const writeSealed = async (key, value, encryptionKey) => {
+  if (!encryptionKey) {
+    throw new Error('Encrypted data is locked');
+  }
+  await backend.setItem(key, seal(JSON.stringify(value), encryptionKey));
+};
+
+/**
+ * Make a user's encryption key available after their password was checked
+ * Without a secure store the key is derived from the password; existing
+ * plaintext records are then sealed
+ * @param {string} email - Normalized account email
+ * @param {string} password - Plaintext password
+ * @param {string} keySalt - Salt stored with the account
+ */
+const unlockUserData = async (email, password, keySalt) => {
+  if (!(await getDeviceKey())) {
+    await unlockUserKey(email, password, keySalt);
+  }
+  const encryptionKey = await getUserKey(email);
+  for (const base of USER_SENSITIVE_KEYS) {
+    const key = scopedKey(base, email);
+    const stored = await backend.getItem(key);
+    if (stored !== null && !isSealed(stored)) {
+      await writeSealed(key, JSON.parse(stored), encryptionKey);
+    }
+  }
+};
+
+/**
+ * Re-seal a user's data after their password changes
+ * Only needed for credential-derived keys; the device key does not change
+ * @param {string} email - Normalized account email
+ * @param {string} newPassword - New plaintext password
+ * @param {string} keySalt - Salt stored with the account
+ */
+const resealUserData = async (email, newPassword, keySalt) => {
+  if (await getDeviceKey()) {
+    return;
+  }
+
+  const oldKey = await getUserKey(email);
+  const values = [];
+  for (const base of USER_SENSITIVE_KEYS) {
+    const key = scopedKey(base, email);
+    values.push([key, await readSealed(key, oldKey)]);
+  }
+
+  const newKey = await unlockUserKey(email, newPassword, keySalt);
+  for (const [key, value] of values) {
+    if (value !== null) {
+      await writeSealed(key, value, newKey);
+    }
+  }
+};
+
+/**
+ * Remove a user's sealed data that can no longer be decrypted
+ * Used when a password is reset without the old one, which leaves data sealed
+ * with a credential-derived key unreadable
+ * @param {string} email - Normalized account email
+ */
+const discardUnreadableUserData = async (email) => {
+  if (await getDeviceKey()) {
+    return;
+  }
+  await backend.multiRemove(USER_SENSITIVE_KEYS.map((base) => scopedKey(base, email)));
+};
+
+/**
+ * Check whether a user's favorites and drafts survive a password reset
+ * They do not when there is no secure store, since they are sealed with a key
+ * derived from the old password; warn the user before resetting
+ * @returns {boolean} True if a reset keeps the user's data
+ */
+export const resetKeepsUserData = async () => {
+  try {
+    return Boolean(await getDeviceKey());
+  } catch (error) {
+    console.error('Error checking the device key:', error);
+    return false;
+  }
+};
+
+/**
+ * Check whether the logged-in user's sealed data can be read on this run
+ * Without a secure store, the key is lost when the app restarts
+ * @returns {boolean} True if a user is logged in and their key is available
+ */
+export const canAccessUserData = async () => {
+  try {
+    const session = await readSession();
+    return Boolean(session && (await getUserKey(session.email)));
+  } catch (error) {
+    console.error('Error checking user data access:', error);
+    return false;
+  }
+};
+
+/**
+ * Strip credential fields from a stored user record
+ * @param {Object} record - Stored user record
+ * @returns {Object} User data that is safe to keep in app state
+ */
+const toPublicUser = (record) => {
+  const { password, passwordHash, recoveryCodes, keySalt, ...user } = record;
+  return user;
+};
+
+/**
+ * Check a password against a stored account record
+ * Records from before passwords were hashed hold the plaintext password
+ * @param {Object} record - Stored account record
+ * @param {string} password - Password entered by the user
+ * @returns {boolean} True if the password matches
+ */
+const checkPassword = async (record, password) => {
+  return record.passwordHash
+    ? verifyPassword(password, record.passwordHash)
+    : verifyLegacyPassword(password, record.password);
+};
+
+/**
+ * Write the account registry to storage
+ * It is sealed with the device key where there is a secure store. Otherwise it
+ * must stay readable before login, so it is stored as plain JSON; it holds
+ * password hashes, never passwords
+ * @param {Object} accounts - Account records keyed by normalized email
+ */
+const writeAccounts = async (accounts) => {
+  const deviceKey = await getDeviceKey();
+  if (deviceKey) {
+    await writeSealed(KEYS.ACCOUNTS, accounts, deviceKey);
+  } else {
+    await backend.setItem(KEYS.ACCOUNTS, JSON.stringify(accounts));
+  }
+};
+
+/**
+ * Read the account registry from storage
+ * @returns {Object} Account records keyed by normalized email
+ */
+const readAccounts = async () => {
+  return (await readSealed(KEYS.ACCOUNTS, await getDeviceKey())) || {};
+};
+
+/**
+ * Check whether an account already exists for an email
+ * @param {string} email - Email to look up
+ * @returns {boolean} True if an account is registered with this email
+ */
+export const accountExists = async (email) => {
+  try {
+    const accounts = await readAccounts();
+    return Boolean(accounts[normalizeEmail(email)]);
+  } catch (error) {
+    console.error('Error checking account:', error);
+    return false;
+  }
+};
+
+/**
+ * Register a new account and log it in
+ * The plaintext password is replaced with a salted hash before it is written
+ * @param {Object} userData - User object containing username, email, password and role
+ * @returns {Object} Result object with success status, the stored user without
+ * credentials and the recovery codes to show the user once
  */
 export const saveUserData = async (userData) => {
   try {
-    await AsyncStorage.setItem(KEYS.USER, JSON.stringify(userData));
-    await AsyncStorage.setItem(KEYS.IS_LOGGED_IN, 'true');
-    return { success: true };
+    const { password, ...profile } = userData;
+    const email = normalizeEmail(profile.email);
+    const accounts = await readAccounts();
+    if (accounts[email]) {
+      return {
+        success: false,
+        field: 'email',
+        error: 'An account with this email already exists',
+      };
+    }
+
+    const { codes, hashes } = await generateRecoveryCodes();
+    const record = {
+      ...profile,
+      email,
+      createdAt: new Date().toISOString(),
+      passwordHash: await hashPassword(password),
+      recoveryCodes: hashes,
+      keySalt: createKeySalt(),
+    };
+    await writeAccounts({ ...accounts, [email]: record });
+    await startSession(email);
+    await unlockUserData(email, password, record.keySalt);
+    return { success: true, user: toPublicUser(record), recoveryCodes: codes };
   } catch (error) {
     console.error('Error saving user data:', error);
     return { success: false, error: error.message };
@@ -30,32 +360,286 @@ export const saveUserData = async (userData) => {
 };
 
 /**
- * Get user data from AsyncStorage
- * @returns {Object|null} User data object or null
+ * Get the logged-in user's data from storage
+ * @returns {Object|null} User data object without credentials or null
  */
 export const getUserData = async () => {
   try {
-    const userData = await AsyncStorage.getItem(KEYS.USER);
-    return userData ? JSON.parse(userData) : null;
+    const accounts = await readAccounts();
+    const session = await readSession();
+    const record = session ? accounts[session.email] : null;
+    return record ? toPublicUser(record) : null;
   } catch (error) {
     console.error('Error getting user data:', error);
     return null;
   }
 };
 
+/**
+ * Record an account authenticated by a remote provider and start its session
+ * Only the profile is cached locally; the backend keeps the credentials
+ * @param {Object} user - User object returned by the backend (must include email)
+ * @param {string} password - Password the backend accepted, used to unlock local data
+ * @returns {Object} Result object with success status and the cached user
+ */
+export const signInRemoteUser = async (user, password) => {
+  try {
+    const email = normalizeEmail(user.email);
+    const accounts = await readAccounts();
+    const record = {
+      keySalt: createKeySalt(),
+      ...accounts[email],
+      ...user,
+      email,
+      remote: true,
+    };
+    await writeAccounts({ ...accounts, [email]: record });
+    await startSession(email);
+    await unlockUserData(email, password, record.keySalt);
+    return { success: true, user: toPublicUser(record) };
+  } catch (error) {
+    console.error('Error signing in remote user:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Save the access and refresh tokens issued by a remote auth provider
+ * Tokens are sealed with the logged-in user's key
+ * @param {Object} tokens - Object with accessToken and refreshToken
+ */
+export const saveAuthTokens = async (tokens) => {
+  try {
+    const email = await currentUserEmail();
+    await writeSealed(KEYS.AUTH_TOKENS, tokens, await getUserKey(email));
+    return { success: true };
+  } catch (error) {
+    console.error('Error saving auth tokens:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Get the tokens issued by a remote auth provider
+ * @returns {Object|null} Object with accessToken and refreshToken, or null
+ */
+export const getAuthTokens = async () => {
+  try {
+    const session = await readSession();
+    if (!session) {
+      return null;
+    }
+    return await readSealed(KEYS.AUTH_TOKENS, await getUserKey(session.email));
+  } catch (error) {
+    console.error('Error getting auth tokens:', error);
+    return null;
+  }
+};
+
+/**
+ * Remove the tokens issued by a remote auth provider
+ */
+export const clearAuthTokens = async () => {
+  try {
+    await backend.removeItem(KEYS.AUTH_TOKENS);
+    return { success: true };
+  } catch (error) {
+    console.error('Error clearing auth tokens:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * List all accounts stored on this device
+ * @returns {Array} Array of user objects without credentials
+ */
+export const getAccounts = async () => {
+  try {
+    const accounts = await readAccounts();
+    return Object.values(accounts).map(toPublicUser);
+  } catch (error) {
+    console.error('Error getting accounts:', error);
+    return [];
+  }
+};
+
+/**
+ * Change the role of an account stored on this device
+ * This is how users become instructors or admins; callers must check that the
+ * logged-in user may manage the account (canManageAccount in permissions.js)
+ * @param {string} email - Email of the account to change
+ * @param {string} role - New role (see ROLES in permissions.js)
+ * @returns {Object} Result object with the updated user without credentials
+ */
+export const setAccountRole = async (email, role) => {
+  try {
+    const key = normalizeEmail(email);
+    const accounts = await readAccounts();
+    if (!accounts[key]) {
+      return { success: false, error: 'Account not found' };
+    }
+
+    const record = { ...accounts[key], role };
+    await writeAccounts({ ...accounts, [key]: record });
+    return { success: true, user: toPublicUser(record) };
+  } catch (error) {
+    console.error('Error changing account role:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Remove an account and its per-user data from this device
+ * Removing the logged-in account also logs it out
+ * @param {string} email - Email of the account to remove
+ */
+export const removeAccount = async (email) => {
+  try {
+    const key = normalizeEmail(email);
+    const { [key]: removed, ...accounts } = await readAccounts();
+    if (!removed) {
+      return { success: false, error: 'Account not found' };
+    }
+
+    await writeAccounts(accounts);
+    await backend.multiRemove(USER_SCOPED_KEYS.map((base) => scopedKey(base, key)));
+    const session = await readSession();
+    if (session?.email === key) {
+      await backend.removeItem(KEYS.SESSION);
+    }
+    return { success: true };
+  } catch (error) {
+    console.error('Error removing account:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Read the failed login counters from storage
+ * @returns {Object} Counters keyed by normalized email
+ */
+const readLoginAttempts = async () => {
+  const attempts = await backend.getItem(KEYS.LOGIN_ATTEMPTS);
+  return attempts ? JSON.parse(attempts) : {};
+};
+
+/**
+ * Describe a pending retry delay as a result payload
+ * @param {Object} entry - Failed login counter for one email
+ * @returns {Object|null} Error message, `retryAt` and `locked`, or null if the email may try now
+ */
+const describeThrottle = (entry) => {
+  if (!entry || !entry.retryAt || Date.now() >= entry.retryAt) {
+    return null;
+  }
+  return {
+    error: entry.locked
+      ? 'Too many failed attempts. This account is temporarily locked.'
+      : 'Too many failed attempts. Please wait before trying again.',
+    retryAt: entry.retryAt,
+    locked: entry.locked,
+  };
+};
+
+/**
+ * Check whether login attempts for an email are currently throttled
+ * @param {string} email - Email to check
+ * @returns {Object|null} Error message, `retryAt` (ms since epoch) and `locked`, or null
+ */
+export const getLoginThrottle = async (email) => {
+  try {
+    const attempts = await readLoginAttempts();
+    return describeThrottle(attempts[normalizeEmail(email)]);
+  } catch (error) {
+    console.error('Error checking login attempts:', error);
+    return null;
+  }
+};
+
+/**
+ * Count a failed login and apply LOGIN_THROTTLE_POLICY
+ * @param {string} email - Normalized email
+ * @returns {Object} `retryAt` and `locked` if the next attempt must wait, otherwise empty
+ */
+const recordFailedLogin = async (email) => {
+  const attempts = await readLoginAttempts();
+  const count = (attempts[email]?.count || 0) + 1;
+  const entry = { count, lastFailedAt: Date.now(), retryAt: null, locked: false };
+
+  if (count >= LOGIN_THROTTLE_POLICY.lockoutAttempts) {
+    entry.retryAt = Date.now() + LOGIN_THROTTLE_POLICY.lockoutMs;
+    entry.locked = true;
+  } else if (count > LOGIN_THROTTLE_POLICY.freeAttempts) {
+    const exponent = count - LOGIN_THROTTLE_POLICY.freeAttempts - 1;
+    const delay = Math.min(
+      LOGIN_THROTTLE_POLICY.baseDelayMs * 2 ** exponent,
+      LOGIN_THROTTLE_POLICY.maxDelayMs
+    );
+    entry.retryAt = Date.now() + delay;
+  }
+
+  await backend.setItem(
+    KEYS.LOGIN_ATTEMPTS,
+    JSON.stringify({ ...attempts, [email]: entry })
+  );
+  return entry.retryAt ? { retryAt: entry.retryAt, locked: entry.locked } : {};
+};
+
+/**
+ * Reset the failed login counter for an email
+ * @param {string} email - Normalized email
+ */
+const clearFailedLogins = async (email) => {
+  const { [email]: cleared, ...attempts } = await readLoginAttempts();
+  if (cleared) {
+    await backend.setItem(KEYS.LOGIN_ATTEMPTS, JSON.stringify(attempts));
+  }
+};
+
 /**
  * Validate user credentials during login
+ * Records saved before passwords were hashed, or hashed with outdated
+ * settings, are re-hashed after a successful match. Failed attempts are
+ * throttled per email under LOGIN_THROTTLE_POLICY
  * @param {string} email - User email
  * @param {string} password - User password
- * @returns {Object} Result object with success status and user data if valid
+ * @returns {Object} Result object with success status and user data if valid,
+ * or `retryAt` and `locked` when further attempts must wait
  */
 export const validateUser = async (email, password) => {
   try {
-    const userData = await getUserData();
-    if (userData && userData.email === email && userData.password === password) {
-      return { success: true, user: userData };
+    const key = normalizeEmail(email);
+    const throttle = await getLoginThrottle(key);
+    if (throttle) {
+      return { success: false, ...throttle };
     }
-    return { success: false, error: 'Invalid email or password' };
+
+    const accounts = await readAccounts();
+    let record = accounts[key];
+    if (!record || !(await checkPassword(record, password))) {
+      const penalty = await recordFailedLogin(key);
+      return { success: false, error: 'Invalid email or password', ...penalty };
+    }
+
+    await clearFailedLogins(key);
+
+    // Accounts created before encryption get a key salt on their next login
+    if (needsRehash(record.passwordHash) || !record.keySalt) {
+      const { password: legacyPassword, ...profile } = record;
+      const upgraded = {
+        ...profile,
+        passwordHash: needsRehash(record.passwordHash)
+          ? await hashPassword(password)
+          : record.passwordHash,
+        keySalt: record.keySalt || createKeySalt(),
+      };
+      await writeAccounts({ ...accounts, [key]: upgraded });
+      record = upgraded;
+    }
+
+    await startSession(key);
+    await unlockUserData(key, password, record.keySalt);
+    return { success: true, user: toPublicUser(record) };
   } catch (error) {
     console.error('Error validating user:', error);
     return { success: false, error: error.message };
@@ -63,25 +647,196 @@ export const validateUser = async (email, password) => {
 };
 
 /**
- * Check if user is logged in
- * @returns {boolean} True if logged in, false otherwise
+ * Change the logged-in user's password
+ * @param {string} currentPassword - Current password, verified before the change
+ * @param {string} newPassword - New password
+ * @returns {Object} Result object with success status
  */
-export const checkLoginStatus = async () => {
+export const changePassword = async (currentPassword, newPassword) => {
   try {
-    const isLoggedIn = await AsyncStorage.getItem(KEYS.IS_LOGGED_IN);
-    return isLoggedIn === 'true';
+    const session = await readSession();
+    const accounts = await readAccounts();
+    const record = session ? accounts[session.email] : null;
+    if (!record) {
+      return { success: false, error: 'No user is logged in' };
+    }
+
+    const isValid = await checkPassword(record, currentPassword);
+    if (!isValid) {
+      return { success: false, field: 'currentPassword', error: 'Current password is incorrect' };
+    }
+
+    const { password, ...profile } = record;
+    const updated = { ...profile, passwordHash: await hashPassword(newPassword) };
+    await resealUserData(session.email, newPassword, record.keySalt);
+    try {
+      await writeAccounts({ ...accounts, [session.email]: updated });
+    } catch (error) {
+      // The stored hash is still the old password's, so the data must match it again
+      await resealUserData(session.email, currentPassword, record.keySalt);
+      throw error;
+    }
+    return { success: true };
   } catch (error) {
-    console.error('Error checking login status:', error);
-    return false;
+    console.error('Error changing password:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Replace the logged-in user's recovery codes with a new set
+ * @param {string} currentPassword - Current password, verified before the change
+ * @returns {Object} Result object with success status and the new codes to show once
+ */
+export const regenerateRecoveryCodes = async (currentPassword) => {
+  try {
+    const session = await readSession();
+    const accounts = await readAccounts();
+    const record = session ? accounts[session.email] : null;
+    if (!record) {
+      return { success: false, error: 'No user is logged in' };
+    }
+
+    const isValid = await checkPassword(record, currentPassword);
+    if (!isValid) {
+      return { success: false, field: 'currentPassword', error: 'Current password is incorrect' };
+    }
+
+    const { codes, hashes } = await generateRecoveryCodes();
+    await writeAccounts({ ...accounts, [session.email]: { ...record, recoveryCodes: hashes } });
+    return { success: true, recoveryCodes: codes };
+  } catch (error) {
+    console.error('Error generating recovery codes:', error);
+    return { success: false, error: error.message };
   }
 };
 
 /**
- * Logout user - clear login status
+ * Reset a forgotten password with one of the account's recovery codes
+ * Each code works once and is removed after use
+ * @param {string} email - Account email
+ * @param {string} code - Recovery code entered by the user
+ * @param {string} newPassword - New password
+ * @returns {Object} Result object with success status and the number of codes left
+ */
+export const resetPasswordWithRecoveryCode = async (email, code, newPassword) => {
+  try {
+    const key = normalizeEmail(email);
+    const throttle = await getLoginThrottle(key);
+    if (throttle) {
+      return { success: false, ...throttle };
+    }
+
+    const accounts = await readAccounts();
+    const record = accounts[key];
+    const index = record ? await findRecoveryCode(code, record.recoveryCodes) : -1;
+    if (index === -1) {
+      const penalty = await recordFailedLogin(key);
+      return { success: false, error: 'Invalid email or recovery code', ...penalty };
+    }
+
+    await clearFailedLogins(key);
+
+    const { password, ...profile } = record;
+    const recoveryCodes = record.recoveryCodes.filter((_, i) => i !== index);
+    const updated = {
+      ...profile,
+      passwordHash: await hashPassword(newPassword),
+      recoveryCodes,
+    };
+    await writeAccounts({ ...accounts, [key]: updated });
+    // Only discarded once the new password is stored, so a failed reset loses nothing
+    await discardUnreadableUserData(key);
+    return { success: true, remainingCodes: recoveryCodes.length };
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Compute when a session ends under SESSION_POLICY
+ * @param {Object} session - Session record with issuedAt and lastActivityAt
+ * @returns {number} Expiry time in milliseconds since the epoch
+ */
+const computeExpiry = (session) => {
+  return Math.min(
+    session.lastActivityAt + SESSION_POLICY.idleTimeoutMs,
+    session.issuedAt + SESSION_POLICY.absoluteTimeoutMs
+  );
+};
+
+/**
+ * Start a new session for an account
+ * @param {string} email - Normalized account email
+ * @returns {Object} The new session record
+ */
+const startSession = async (email) => {
+  const now = Date.now();
+  const session = { email, issuedAt: now, lastActivityAt: now };
+  session.expiresAt = computeExpiry(session);
+  await backend.setItem(KEYS.SESSION, JSON.stringify(session));
+  return session;
+};
+
+/**
+ * Get the current session if it has not expired
+ * An expired session is removed from storage
+ * @returns {Object|null} Session record with email, issuedAt, lastActivityAt and expiresAt, or null
+ */
+export const getSession = async () => {
+  try {
+    const session = await readSession();
+    if (!session) {
+      return null;
+    }
+    if (Date.now() >= session.expiresAt) {
+      await backend.removeItem(KEYS.SESSION);
+      return null;
+    }
+    return session;
+  } catch (error) {
+    console.error('Error getting session:', error);
+    return null;
+  }
+};
+
+/**
+ * Record user activity, extending the session up to its absolute limit
+ * @returns {Object|null} Updated session record, or null if it had already expired
+ */
+export const touchSession = async () => {
+  try {
+    const session = await getSession();
+    if (!session) {
+      return null;
+    }
+    const updated = { ...session, lastActivityAt: Date.now() };
+    updated.expiresAt = computeExpiry(updated);
+    await backend.setItem(KEYS.SESSION, JSON.stringify(updated));
+    return updated;
+  } catch (error) {
+    console.error('Error updating session:', error);
+    return null;
+  }
+};
+
+/**
+ * Check if user is logged in with a session that has not expired
+ * @returns {boolean} True if logged in, false otherwise
+ */
+export const checkLoginStatus = async () => {
+  const session = await getSession();
+  return session !== null;
+};
+
+/**
+ * Logout user - end the current session and forget credential-derived keys
  */
 export const logoutUser = async () => {
   try {
-    await AsyncStorage.setItem(KEYS.IS_LOGGED_IN, 'false');
+    lockUserKeys();
+    await backend.removeItem(KEYS.SESSION);
     return { success: true };
   } catch (error) {
     console.error('Error logging out:', error);
@@ -90,12 +845,13 @@ export const logoutUser = async () => {
 };
 
 /**
- * Save favorite posts to AsyncStorage
+ * Save the logged-in user's favorite posts to storage
  * @param {Array} favorites - Array of favorite posts
  */
 export const saveFavorites = async (favorites) => {
   try {
-    await AsyncStorage.setItem(KEYS.FAVORITES, JSON.stringify(favorites));
+    const email = await currentUserEmail();
+    await writeSealed(scopedKey(KEYS.FAVORITES, email), favorites, await getUserKey(email));
     return { success: true };
   } catch (error) {
     console.error('Error saving favorites:', error);
@@ -104,13 +860,76 @@ export const saveFavorites = async (favorites) => {
 };
 
 /**
- * Get favorite posts from AsyncStorage
+ * Read the IDs of posts known to have been withdrawn
+ * The list is shared by every account on the device
+ * @returns {Array} Withdrawn post IDs
+ */
+const readWithdrawnPosts = async () => {
+  const withdrawn = await backend.getItem(KEYS.WITHDRAWN_POSTS);
+  return withdrawn ? JSON.parse(withdrawn) : [];
+};
+
+/**
+ * Record that posts have been withdrawn, and drop them from the logged-in
+ * user's favorites. Other accounts on the device drop them the next time
+ * their favorites are read
+ * @param {Array} postIds - IDs of the withdrawn posts
+ */
+export const markPostsWithdrawn = async (postIds) => {
+  try {
+    const withdrawn = await readWithdrawnPosts();
+    const added = postIds.filter((id) => !withdrawn.includes(id));
+    if (added.length > 0) {
+      await backend.setItem(KEYS.WITHDRAWN_POSTS, JSON.stringify([...withdrawn, ...added]));
+    }
+    // Reading the favorites prunes the withdrawn posts from them
+    await getFavorites();
+    return { success: true };
+  } catch (error) {
+    console.error('Error recording withdrawn posts:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Record that the backend returned some of the logged-in user's favorites
+ * A favorite seen on the backend is known to be withdrawn when it later
+ * answers 404; one never seen there may simply never have been stored
+ * @param {Array} postIds - IDs of the posts the backend returned
+ */
+export const markFavoritesSeenOnServer = async (postIds) => {
+  try {
+    const favorites = await getFavorites();
+    const unseen = favorites.filter((item) => !item.seenOnServer && postIds.includes(item.id));
+    if (unseen.length > 0) {
+      await saveFavorites(
+        favorites.map((item) =>
+          postIds.includes(item.id) ? { ...item, seenOnServer: true } : item
+        )
+      );
+    }
+    return { success: true };
+  } catch (error) {
+    console.error('Error recording favorites seen on the server:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Get the logged-in user's favorite posts from storage
+ * Posts that have been withdrawn are removed, and the pruned list saved
  * @returns {Array} Array of favorite posts
  */
 export const getFavorites = async () => {
   try {
-    const favorites = await AsyncStorage.getItem(KEYS.FAVORITES);
-    return favorites ? JSON.parse(favorites) : [];
+    const email = await currentUserEmail();
+    const favorites = (await readSealed(scopedKey(KEYS.FAVORITES, email), await getUserKey(email))) || [];
+    const withdrawn = await readWithdrawnPosts();
+    const remaining = favorites.filter((item) => !withdrawn.includes(item.id));
+    if (remaining.length < favorites.length) {
+      await saveFavorites(remaining);
+    }
+    return remaining;
   } catch (error) {
     console.error('Error getting favorites:', error);
     return [];
@@ -169,12 +988,80 @@ export const isInFavorites = async (postId) => {
 };
 
 /**
- * Save app settings to AsyncStorage
+ * Get the logged-in user's submission drafts, most recently edited first
+ * @returns {Array} Array of drafts, each with id, fields, selection and updatedAt
+ */
+export const getDrafts = async () => {
+  try {
+    const email = await currentUserEmail();
+    const drafts = await readSealed(scopedKey(KEYS.DRAFTS, email), await getUserKey(email));
+    return (drafts || []).sort((a, b) => b.updatedAt - a.updatedAt);
+  } catch (error) {
+    console.error('Error getting drafts:', error);
+    return [];
+  }
+};
+
+/**
+ * Get one of the logged-in user's submission drafts
+ * @param {string} draftId - Draft ID
+ * @returns {Object|null} Draft, or null if it does not exist
+ */
+export const getDraft = async (draftId) => {
+  const drafts = await getDrafts();
+  return drafts.find((draft) => draft.id === draftId) || null;
+};
+
+/**
+ * Create or update a submission draft
+ * @param {Object} draft - Object with id, fields (title, body, course,
+ * category) and selection (the focused field and its cursor range, or null)
+ * @returns {Object} Result object with the draft as saved
+ */
+export const saveDraft = async (draft) => {
+  try {
+    const email = await currentUserEmail();
+    const key = scopedKey(KEYS.DRAFTS, email);
+    const encryptionKey = await getUserKey(email);
+    const drafts = (await readSealed(key, encryptionKey)) || [];
+    const saved = { ...draft, updatedAt: Date.now() };
+    await writeSealed(
+      key,
+      [saved, ...drafts.filter((item) => item.id !== draft.id)],
+      encryptionKey
+    );
+    return { success: true, draft: saved };
+  } catch (error) {
+    console.error('Error saving draft:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Delete a submission draft
+ * @param {string} draftId - Draft ID
+ */
+export const deleteDraft = async (draftId) => {
+  try {
+    const email = await currentUserEmail();
+    const key = scopedKey(KEYS.DRAFTS, email);
+    const encryptionKey = await getUserKey(email);
+    const drafts = (await readSealed(key, encryptionKey)) || [];
+    await writeSealed(key, drafts.filter((item) => item.id !== draftId), encryptionKey);
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting draft:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Save the logged-in user's app settings to storage
  * @param {Object} settings - Settings object with darkMode, notifications
  */
 export const saveSettings = async (settings) => {
   try {
-    await AsyncStorage.setItem(KEYS.SETTINGS, JSON.stringify(settings));
+    await backend.setItem(await currentUserKey(KEYS.SETTINGS), JSON.stringify(settings));
     return { success: true };
   } catch (error) {
     console.error('Error saving settings:', error);
@@ -183,25 +1070,156 @@ export const saveSettings = async (settings) => {
 };
 
 /**
- * Get app settings from AsyncStorage
- * @returns {Object} Settings object
+ * Get the logged-in user's app settings from storage
+ * @returns {Object} Settings object, or the defaults when logged out
  */
 export const getSettings = async () => {
   try {
-    const settings = await AsyncStorage.getItem(KEYS.SETTINGS);
-    return settings ? JSON.parse(settings) : { darkMode: false, notifications: true };
+    const session = await readSession();
+    if (!session) {
+      return { ...DEFAULT_SETTINGS };
+    }
+    const settings = await backend.getItem(scopedKey(KEYS.SETTINGS, session.email));
+    return settings ? JSON.parse(settings) : { ...DEFAULT_SETTINGS };
   } catch (error) {
     console.error('Error getting settings:', error);
-    return { darkMode: false, notifications: true };
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+/**
+ * Read the logged-in user's app-lock record
+ * @returns {Object|null} Record with pinHash, backgroundTimeoutMs and failedAttempts, or null
+ */
+const readAppLock = async () => {
+  const appLock = await backend.getItem(await currentUserKey(KEYS.APP_LOCK));
+  return appLock ? JSON.parse(appLock) : null;
+};
+
+/**
+ * Write the logged-in user's app-lock record
+ * @param {Object} appLock - Record with pinHash, backgroundTimeoutMs and failedAttempts
+ */
+const writeAppLock = async (appLock) => {
+  await backend.setItem(await currentUserKey(KEYS.APP_LOCK), JSON.stringify(appLock));
+};
+
+/**
+ * Get the logged-in user's app-lock settings
+ * @returns {Object} Object with enabled and backgroundTimeoutMs
+ */
+export const getAppLockConfig = async () => {
+  try {
+    const appLock = await readAppLock();
+    return {
+      enabled: Boolean(appLock?.pinHash),
+      backgroundTimeoutMs: appLock?.backgroundTimeoutMs ?? APP_LOCK_POLICY.defaultBackgroundTimeoutMs,
+    };
+  } catch (error) {
+    console.error('Error getting app lock:', error);
+    return { enabled: false, backgroundTimeoutMs: APP_LOCK_POLICY.defaultBackgroundTimeoutMs };
+  }
+};
+
+/**
+ * Enable the app lock for the logged-in user, or replace its PIN
+ * @param {string} pin - Numeric PIN
+ * @param {number} backgroundTimeoutMs - Time in the background before the app locks
+ */
+export const setAppLockPin = async (pin, backgroundTimeoutMs) => {
+  try {
+    await writeAppLock({
+      pinHash: await hashPassword(pin),
+      backgroundTimeoutMs: backgroundTimeoutMs ?? APP_LOCK_POLICY.defaultBackgroundTimeoutMs,
+      failedAttempts: 0,
+    });
+    return { success: true };
+  } catch (error) {
+    console.error('Error setting app lock PIN:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Change how long the app may stay in the background before it locks
+ * @param {number} backgroundTimeoutMs - Timeout in milliseconds
+ */
+export const setAppLockTimeout = async (backgroundTimeoutMs) => {
+  try {
+    const appLock = await readAppLock();
+    if (!appLock) {
+      return { success: false, error: 'App lock is not enabled' };
+    }
+    await writeAppLock({ ...appLock, backgroundTimeoutMs });
+    return { success: true };
+  } catch (error) {
+    console.error('Error setting app lock timeout:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Disable the app lock for the logged-in user
+ */
+export const disableAppLock = async () => {
+  try {
+    await backend.removeItem(await currentUserKey(KEYS.APP_LOCK));
+    return { success: true };
+  } catch (error) {
+    console.error('Error disabling app lock:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Check an app-lock PIN, counting wrong entries
+ * @param {string} pin - PIN entered on the lock screen
+ * @returns {Object} Result object with success status, and on failure either
+ * `attemptsLeft` or `forceLogout` once APP_LOCK_POLICY.maxAttempts is reached
+ */
+export const verifyAppLockPin = async (pin) => {
+  try {
+    const appLock = await readAppLock();
+    if (!appLock) {
+      return { success: true };
+    }
+
+    if (await verifyPassword(pin, appLock.pinHash)) {
+      if (appLock.failedAttempts) {
+        await writeAppLock({ ...appLock, failedAttempts: 0 });
+      }
+      return { success: true };
+    }
+
+    const failedAttempts = (appLock.failedAttempts || 0) + 1;
+    if (failedAttempts >= APP_LOCK_POLICY.maxAttempts) {
+      await writeAppLock({ ...appLock, failedAttempts: 0 });
+      return { success: false, forceLogout: true, error: 'Too many wrong PIN attempts' };
+    }
+
+    await writeAppLock({ ...appLock, failedAttempts });
+    return {
+      success: false,
+      attemptsLeft: APP_LOCK_POLICY.maxAttempts - failedAttempts,
+      error: 'Incorrect PIN',
+    };
+  } catch (error) {
+    console.error('Error verifying app lock PIN:', error);
+    return { success: false, error: error.message };
   }
 };
 
 /**
- * Clear all app data (for logout/reset)
+ * Clear all app data, including every account's per-user data (for reset)
  */
 export const clearAllData = async () => {
   try {
-    await AsyncStorage.multiRemove(Object.values(KEYS));
+    const baseKeys = Object.values(KEYS);
+    const allKeys = await backend.getAllKeys();
+    const appKeys = allKeys.filter((key) =>
+      baseKeys.some((base) => key === base || key.startsWith(`${base}:`))
+    );
+    await backend.multiRemove(appKeys);
     return { success: true };
   } catch (error) {
     console.error('Error clearing data:', error);
@@ -0,0 +1,120 @@
+/**
+ * Storage Backend Module
+ * Small key-value interface that every storage helper goes through
+ * Includes an AsyncStorage backend for the app and an in-memory backend for
+ * tests and headless use
+ *
+ * Every backend implements the AsyncStorage subset the app uses:
+ *   getItem(key)            -> string or null
+ *   setItem(key, value)
+ *   removeItem(key)
+ *   multiGet(keys)          -> array of [key, value] pairs
+ *   multiSet(pairs)
+ *   multiRemove(keys)
+ *   getAllKeys()            -> array of keys
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import Constants from 'expo-constants';
+
+/**
+ * Create a backend that stores data with AsyncStorage
+ * @returns {Object} Storage backend
+ */
+export const createAsyncStorageBackend = () => ({
+  name: 'asyncStorage',
+  getItem: (key) => AsyncStorage.getItem(key),
+  setItem: (key, value) => AsyncStorage.setItem(key, value),
+  removeItem: (key) => AsyncStorage.removeItem(key),
+  multiGet: (keys) => AsyncStorage.multiGet(keys),
+  multiSet: (pairs) => AsyncStorage.multiSet(pairs),
+  multiRemove: (keys) => AsyncStorage.multiRemove(keys),
+  getAllKeys: async () => [...(await AsyncStorage.getAllKeys())],
+});
+
+/**
+ * Create a backend that keeps data in memory only
+ * @param {Object} initialData - Optional key/value pairs to start with
+ * @returns {Object} Storage backend
+ */
+export const createMemoryBackend = (initialData = {}) => {
+  const data = new Map(Object.entries(initialData));
+
+  return {
+    name: 'memory',
+    getItem: async (key) => (data.has(key) ? data.get(key) : null),
+    setItem: async (key, value) => {
+      data.set(key, String(value));
+    },
+    removeItem: async (key) => {
+      data.delete(key);
+    },
+    multiGet: async (keys) => keys.map((key) => [key, data.has(key) ? data.get(key) : null]),
+    multiSet: async (pairs) => {
+      pairs.forEach(([key, value]) => data.set(key, String(value)));
+    },
+    multiRemove: async (keys) => {
+      keys.forEach((key) => data.delete(key));
+    },
+    getAllKeys: async () => [...data.keys()],
+  };
+};
+
+// Backends that can be selected by name in app.json `extra.storageBackend`
+const BACKEND_FACTORIES = {
+  asyncStorage: createAsyncStorageBackend,
+  memory: createMemoryBackend,
+};
+
+/**
+ * Create the backend named in app.json `extra.storageBackend`
+ * @returns {Object} Storage backend, AsyncStorage unless configured otherwise
+ */
+const createConfiguredBackend = () => {
+  const name = Constants.expoConfig?.extra?.storageBackend;
+  const factory = BACKEND_FACTORIES[name] || createAsyncStorageBackend;
+  return factory();
+};
+
+let activeBackend = null;
+
+/**
+ * Get the active storage backend
+ * @returns {Object} Storage backend
+ */
+export const getStorageBackend = () => {
+  if (!activeBackend) {
+    activeBackend = createConfiguredBackend();
+  }
+  return activeBackend;
+};
+
+/**
+ * Replace the active storage backend
+ * Call this at startup, before anything reads storage
+ * @param {Object|string} nextBackend - Storage backend, or the name of a built-in one
+ */
+export const setStorageBackend = (nextBackend) => {
+  if (typeof nextBackend === 'string') {
+    if (!BACKEND_FACTORIES[nextBackend]) {
+      throw new Error(`Unknown storage backend: ${nextBackend}`);
+    }
+    activeBackend = BACKEND_FACTORIES[nextBackend]();
+  } else {
+    activeBackend = nextBackend;
+  }
+};
+
+/**
+ * Storage facade that forwards every call to the active backend
+ * Storage helpers import this instead of a concrete backend
+ */
+export const backend = {
+  getItem: (key) => getStorageBackend().getItem(key),
+  setItem: (key, value) => getStorageBackend().setItem(key, value),
+  removeItem: (key) => getStorageBackend().removeItem(key),
+  multiGet: (keys) => getStorageBackend().multiGet(keys),
+  multiSet: (pairs) => getStorageBackend().multiSet(pairs),
+  multiRemove: (keys) => getStorageBackend().multiRemove(keys),
+  getAllKeys: () => getStorageBackend().getAllKeys(),
+};
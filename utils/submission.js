@@ -0,0 +1,151 @@
+/**
+ * Submission Utility Module
+ * Categories, validation rules and draft helpers for academic submissions
+ * Shared by the screens that create and edit submissions
+ */
+
+import { ATTACHMENT_LIMITS } from './attachments';
+import { acceptsSubmissions, describeLatePolicy } from './assignments';
+
+// Categories a submission can be filed under
+export const SUBMISSION_CATEGORIES = ['Essay', 'Research Paper', 'Lab Report', 'Project', 'Presentation'];
+
+// Fields of an empty submission
+// Attachments are uploaded as they are picked (see uploadAttachment in api.js)
+// A submission made for an assignment also holds that assignment, so that a
+// draft can be judged late when it is finally sent
+export const EMPTY_SUBMISSION = {
+  title: '',
+  body: '',
+  course: '',
+  category: '',
+  attachments: [],
+  assignment: null,
+};
+
+// Text fields of a submission
+const TEXT_FIELDS = ['title', 'body', 'course', 'category'];
+
+// How long typing must pause before a draft is saved, in milliseconds
+export const DRAFT_AUTOSAVE_DELAY_MS = 1000;
+
+// Field length limits, in characters
+export const SUBMISSION_LIMITS = {
+  titleMin: 5,
+  titleMax: 120,
+  bodyMin: 20,
+  bodyMax: 5000,
+  courseMax: 60,
+};
+
+/**
+ * Trim a submission's text fields
+ * The assignment is only kept when there is one, so that edits never detach it
+ * @param {Object} fields - Object with title, body, course, category, attachments and assignment
+ * @returns {Object} The same fields, trimmed
+ */
+export const normalizeSubmission = ({
+  title = '',
+  body = '',
+  course = '',
+  category = '',
+  attachments = [],
+  assignment = null,
+}) => ({
+  title: title.trim(),
+  body: body.trim(),
+  course: course.trim(),
+  category,
+  attachments,
+  ...(assignment ? { assignment } : {}),
+});
+
+/**
+ * Create an ID for a new draft
+ * @returns {string} ID unique on this device
+ */
+export const createDraftId = () =>
+  `draft-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Check whether a submission has nothing entered yet
+ * @param {Object} fields - Object with title, body, course, category and attachments
+ * @returns {boolean} True if every field is blank and nothing is attached
+ */
+export const isEmptySubmission = (fields) => {
+  const normalized = normalizeSubmission(fields);
+  return TEXT_FIELDS.every((name) => !normalized[name]) && normalized.attachments.length === 0;
+};
+
+/**
+ * Check whether two sets of submission fields differ
+ * @param {Object} a - Object with title, body, course, category and attachments
+ * @param {Object} b - Object with title, body, course, category and attachments
+ * @returns {boolean} True if any field or the attached files differ
+ */
+export const hasSubmissionChanges = (a, b) => {
+  const attachmentIds = (fields) => (fields.attachments || []).map((item) => item.id).join(',');
+  return (
+    TEXT_FIELDS.some((name) => (a[name] || '') !== (b[name] || '')) ||
+    attachmentIds(a) !== attachmentIds(b)
+  );
+};
+
+/**
+ * Get the editable fields of an existing submission
+ * @param {Object} post - Post object
+ * @returns {Object} Object with title, body, course, category and attachments
+ */
+export const toSubmissionFields = (post) => ({
+  title: post.title || '',
+  body: post.body || '',
+  course: post.course || '',
+  category: post.category || '',
+  attachments: post.attachments || [],
+});
+
+/**
+ * Validate a submission's fields
+ * @param {Object} fields - Object with title, body, course, category and attachments
+ * @returns {Object} Error messages keyed by field; empty if the submission is valid
+ */
+export const validateSubmission = (fields) => {
+  const { title, body, course, category, attachments, assignment } = normalizeSubmission(fields);
+  const errors = {};
+
+  if (!title) {
+    errors.title = 'Title is required';
+  } else if (title.length < SUBMISSION_LIMITS.titleMin) {
+    errors.title = `Title must be at least ${SUBMISSION_LIMITS.titleMin} characters`;
+  } else if (title.length > SUBMISSION_LIMITS.titleMax) {
+    errors.title = `Title must be at most ${SUBMISSION_LIMITS.titleMax} characters`;
+  }
+
+  if (!body) {
+    errors.body = 'Body is required';
+  } else if (body.length < SUBMISSION_LIMITS.bodyMin) {
+    errors.body = `Body must be at least ${SUBMISSION_LIMITS.bodyMin} characters`;
+  } else if (body.length > SUBMISSION_LIMITS.bodyMax) {
+    errors.body = `Body must be at most ${SUBMISSION_LIMITS.bodyMax} characters`;
+  }
+
+  if (!course) {
+    errors.course = 'Course is required';
+  } else if (course.length > SUBMISSION_LIMITS.courseMax) {
+    errors.course = `Course must be at most ${SUBMISSION_LIMITS.courseMax} characters`;
+  }
+
+  if (!SUBMISSION_CATEGORIES.includes(category)) {
+    errors.category = 'Choose a category';
+  }
+
+  if (attachments.length > ATTACHMENT_LIMITS.maxFiles) {
+    errors.attachments = `Attach at most ${ATTACHMENT_LIMITS.maxFiles} files`;
+  }
+
+  if (assignment && !acceptsSubmissions(assignment)) {
+    errors.assignment = `${assignment.title} is past its deadline. ${describeLatePolicy(assignment)}.`;
+  }
+
+  return errors;
+};
@@ -0,0 +1,120 @@
+/**
+ * Submission Status Module
+ * The lifecycle a submission moves through, as a small state machine:
+ *
+ *   draft -> submitted -> under review -> graded
+ *                 ^              |
+ *                 +-- returned <-+
+ *
+ * Drafts live on the device (see the drafts functions in storage.js); a
+ * submission reaches the backend as submitted. Every transition is recorded
+ * in the submission's statusHistory, oldest first.
+ */
+
+// Statuses a submission can be in
+export const SUBMISSION_STATUSES = {
+  DRAFT: 'draft',
+  SUBMITTED: 'submitted',
+  UNDER_REVIEW: 'under_review',
+  RETURNED: 'returned',
+  GRADED: 'graded',
+};
+
+// Statuses each status may move to
+const TRANSITIONS = {
+  [SUBMISSION_STATUSES.DRAFT]: [SUBMISSION_STATUSES.SUBMITTED],
+  [SUBMISSION_STATUSES.SUBMITTED]: [SUBMISSION_STATUSES.UNDER_REVIEW],
+  [SUBMISSION_STATUSES.UNDER_REVIEW]: [SUBMISSION_STATUSES.RETURNED, SUBMISSION_STATUSES.GRADED],
+  [SUBMISSION_STATUSES.RETURNED]: [SUBMISSION_STATUSES.SUBMITTED],
+  [SUBMISSION_STATUSES.GRADED]: [],
+};
+
+// Label and badge color for each status
+export const STATUS_DISPLAY = {
+  [SUBMISSION_STATUSES.DRAFT]: { label: 'Draft', color: '#6B7280' },
+  [SUBMISSION_STATUSES.SUBMITTED]: { label: 'Submitted', color: '#6C63FF' },
+  [SUBMISSION_STATUSES.UNDER_REVIEW]: { label: 'Under Review', color: '#FF8C42' },
+  [SUBMISSION_STATUSES.RETURNED]: { label: 'Returned', color: '#EF4444' },
+  [SUBMISSION_STATUSES.GRADED]: { label: 'Graded', color: '#00C9A7' },
+};
+
+// Statuses in which the author may still edit or withdraw a submission
+const AUTHOR_EDITABLE_STATUSES = [SUBMISSION_STATUSES.SUBMITTED, SUBMISSION_STATUSES.RETURNED];
+
+/**
+ * Get a submission's current status
+ * Posts from before statuses existed count as submitted
+ * @param {Object} post - Post object
+ * @returns {string} One of SUBMISSION_STATUSES
+ */
+export const getSubmissionStatus = (post) =>
+  TRANSITIONS[post?.status] ? post.status : SUBMISSION_STATUSES.SUBMITTED;
+
+/**
+ * Get a submission's status history, oldest first
+ * Posts from before statuses existed get a single entry for their creation,
+ * if its time is known
+ * @param {Object} post - Post object
+ * @returns {Array} Entries with status, at (ISO time), and optional by and note
+ */
+export const getStatusHistory = (post) => {
+  if (post?.statusHistory?.length) {
+    return post.statusHistory;
+  }
+  return post?.createdAt ? [{ status: getSubmissionStatus(post), at: post.createdAt }] : [];
+};
+
+/**
+ * Check whether a submission may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if the transition is allowed
+ */
+export const canTransition = (from, to) => Boolean(TRANSITIONS[from]?.includes(to));
+
+/**
+ * Get the statuses a submission may move to next
+ * @param {Object} post - Post object
+ * @returns {Array} Allowed statuses
+ */
+export const getNextStatuses = (post) => TRANSITIONS[getSubmissionStatus(post)];
+
+/**
+ * Check whether the author may still change a submission
+ * Once it is under review or graded, it is fixed
+ * @param {Object} post - Post object
+ * @returns {boolean} True if the submission can be edited or withdrawn
+ */
+export const isEditableByAuthor = (post) => AUTHOR_EDITABLE_STATUSES.includes(getSubmissionStatus(post));
+
+/**
+ * Move a submission to a new status, recording the transition
+ * @param {Object} post - Post object; pass { status: 'draft' } for a new submission
+ * @param {string} to - Requested status
+ * @param {Object} details - Object with by (who made the change) and note
+ * @returns {Object} Result object with the changed fields (status and
+ * statusHistory), or an error if the transition is not allowed
+ */
+export const transitionSubmission = (post, to, { by, note } = {}) => {
+  const from = getSubmissionStatus(post);
+  if (!canTransition(from, to)) {
+    return {
+      success: false,
+      error: `A submission that is ${STATUS_DISPLAY[from].label.toLowerCase()} cannot be marked ${
+        STATUS_DISPLAY[to]?.label.toLowerCase() || to
+      }`,
+    };
+  }
+
+  const entry = { status: to, at: new Date().toISOString() };
+  if (by) {
+    entry.by = by;
+  }
+  if (note) {
+    entry.note = note;
+  }
+  return {
+    success: true,
+    changes: { status: to, statusHistory: [...getStatusHistory(post), entry] },
+  };
+};